@@ -0,0 +1,332 @@
+/**
+ * HNSW Vector Index
+ * Approximate nearest-neighbour search over a Hierarchical Navigable Small World graph, scored
+ * by cosine similarity. Vectors are added and removed one at a time, so the graph grows with
+ * every capture instead of being rebuilt. export() returns the graph without its vectors (the
+ * stored chunks already hold them) for IndexedDB; restore() puts it back together.
+ */
+
+class HnswIndex {
+  constructor(options = {}) {
+    this.m = options.m || 12; // links per node and layer (twice as many on the bottom layer)
+    this.efConstruction = options.efConstruction || 64;
+    this.efSearch = options.efSearch || 64;
+    this.levelFactor = 1 / Math.log(this.m);
+    this.random = HnswIndex.createRandom(options.seed ?? 1);
+    this.nodes = new Map(); // id -> { key, vector, level, neighbors: [id[] per layer] }
+    this.ids = new Map(); // key -> id
+    this.nextId = 0;
+    this.entryPoint = null;
+    this.maxLevel = -1;
+  }
+
+  static get version() {
+    return 1;
+  }
+
+  get size() {
+    return this.nodes.size;
+  }
+
+  has(key) {
+    return this.ids.has(key);
+  }
+
+  /**
+   * Add or update a vector; unchanged vectors keep their links. False for zero vectors.
+   */
+  add(key, vector) {
+    const unit = HnswIndex.normalize(vector);
+
+    if (this.ids.has(key)) {
+      const existing = this.nodes.get(this.ids.get(key));
+      if (unit && existing.vector.every((value, index) => value === unit[index])) return true;
+      this.remove([key]);
+    }
+    if (!unit) return false;
+
+    const id = this.nextId++;
+    const level = Math.floor(-Math.log(1 - this.random()) * this.levelFactor);
+    this.nodes.set(id, { key, vector: unit, level, neighbors: Array.from({ length: level + 1 }, () => []) });
+    this.ids.set(key, id);
+    this.insert(id);
+    return true;
+  }
+
+  insert(id) {
+    const node = this.nodes.get(id);
+
+    if (this.entryPoint === null) {
+      this.entryPoint = id;
+      this.maxLevel = node.level;
+      return;
+    }
+
+    // Greedy descent through the layers above the node's own
+    let entries = [this.entryPoint];
+    for (let level = this.maxLevel; level > node.level; level--) {
+      entries = [this.searchLayer(node.vector, entries, 1, level)[0].id];
+    }
+
+    for (let level = Math.min(node.level, this.maxLevel); level >= 0; level--) {
+      const found = this.searchLayer(node.vector, entries, this.efConstruction, level);
+      node.neighbors[level] = this.selectNeighbors(found, this.m).map(candidate => candidate.id);
+      node.neighbors[level].forEach(neighborId => this.link(neighborId, id, level));
+      entries = found.map(candidate => candidate.id);
+    }
+
+    if (node.level > this.maxLevel) {
+      this.entryPoint = id;
+      this.maxLevel = node.level;
+    }
+  }
+
+  link(fromId, toId, level) {
+    const node = this.nodes.get(fromId);
+    const links = node.neighbors[level];
+    links.push(toId);
+
+    if (links.length > this.getMaxLinks(level)) {
+      node.neighbors[level] = this.selectNeighbors(this.score(node.vector, links), this.getMaxLinks(level))
+        .map(candidate => candidate.id);
+    }
+  }
+
+  getMaxLinks(level) {
+    return level === 0 ? this.m * 2 : this.m;
+  }
+
+  /**
+   * Remove vectors; nodes that linked to them are relinked through the removed nodes' neighbours
+   */
+  remove(keys) {
+    const removed = new Map();
+    keys.forEach(key => {
+      const id = this.ids.get(key);
+      if (id === undefined) return;
+      removed.set(id, this.nodes.get(id));
+      this.nodes.delete(id);
+      this.ids.delete(key);
+    });
+    if (removed.size === 0) return 0;
+
+    // After large removals a rebuild links the rest better than patching
+    if (removed.size > this.nodes.size) {
+      this.rebuild();
+      return removed.size;
+    }
+
+    this.nodes.forEach((node, id) => {
+      node.neighbors.forEach((links, level) => {
+        if (!links.some(neighborId => removed.has(neighborId))) return;
+
+        const candidates = new Set(links.filter(neighborId => !removed.has(neighborId)));
+        links.filter(neighborId => removed.has(neighborId)).forEach(neighborId => {
+          (removed.get(neighborId).neighbors[level] || []).forEach(candidateId => {
+            if (candidateId !== id && this.nodes.has(candidateId)) candidates.add(candidateId);
+          });
+        });
+        node.neighbors[level] = this.selectNeighbors(this.score(node.vector, [...candidates]), this.getMaxLinks(level))
+          .map(candidate => candidate.id);
+      });
+    });
+
+    if (removed.has(this.entryPoint)) {
+      this.entryPoint = null;
+      this.maxLevel = -1;
+      this.nodes.forEach((node, id) => {
+        if (node.level > this.maxLevel) {
+          this.entryPoint = id;
+          this.maxLevel = node.level;
+        }
+      });
+    }
+
+    return removed.size;
+  }
+
+  /**
+   * Relink every node from scratch
+   */
+  rebuild() {
+    this.entryPoint = null;
+    this.maxLevel = -1;
+    this.nodes.forEach(node => {
+      node.neighbors = Array.from({ length: node.level + 1 }, () => []);
+    });
+    this.nodes.forEach((node, id) => this.insert(id));
+  }
+
+  /**
+   * Up to k most similar vectors: [{ key, similarity }], best first. A filter(key) restricts the
+   * results; raise ef when it rejects most of the index.
+   */
+  search(vector, k, { ef = this.efSearch, filter } = {}) {
+    const query = HnswIndex.normalize(vector);
+    if (!query || this.entryPoint === null) return [];
+
+    let entries = [this.entryPoint];
+    for (let level = this.maxLevel; level > 0; level--) {
+      entries = [this.searchLayer(query, entries, 1, level)[0].id];
+    }
+
+    return this.searchLayer(query, entries, Math.max(ef, k), 0)
+      .map(({ id, similarity }) => ({ key: this.nodes.get(id).key, similarity }))
+      .filter(result => !filter || filter(result.key))
+      .slice(0, k);
+  }
+
+  /**
+   * Best-first search of one layer; returns up to ef candidates, best first
+   */
+  searchLayer(query, entryIds, ef, level) {
+    const visited = new Set(entryIds);
+    const candidates = this.score(query, entryIds);
+    const results = candidates.slice(0, ef);
+
+    while (candidates.length > 0) {
+      const current = candidates.shift();
+      if (results.length >= ef && current.similarity < results[results.length - 1].similarity) break;
+
+      (this.nodes.get(current.id).neighbors[level] || []).forEach(neighborId => {
+        if (visited.has(neighborId)) return;
+        visited.add(neighborId);
+
+        const similarity = this.dot(query, this.nodes.get(neighborId).vector);
+        if (results.length < ef || similarity > results[results.length - 1].similarity) {
+          const candidate = { id: neighborId, similarity };
+          this.insertSorted(candidates, candidate);
+          this.insertSorted(results, candidate);
+          if (results.length > ef) results.pop();
+        }
+      });
+    }
+
+    return results;
+  }
+
+  /**
+   * Neighbour heuristic: prefer candidates that aren't closer to an already chosen neighbour than
+   * to the node, so links reach in several directions; then fill up with the closest rest
+   */
+  selectNeighbors(candidates, count) {
+    const selected = [];
+    candidates.forEach(candidate => {
+      if (selected.length >= count) return;
+      const vector = this.nodes.get(candidate.id).vector;
+      if (selected.every(chosen => this.dot(vector, this.nodes.get(chosen.id).vector) < candidate.similarity)) {
+        selected.push(candidate);
+      }
+    });
+
+    candidates.forEach(candidate => {
+      if (selected.length < count && !selected.includes(candidate)) selected.push(candidate);
+    });
+
+    return selected;
+  }
+
+  /**
+   * [{ id, similarity }] to the vector, best first
+   */
+  score(vector, ids) {
+    return ids
+      .map(id => ({ id, similarity: this.dot(vector, this.nodes.get(id).vector) }))
+      .sort((a, b) => b.similarity - a.similarity);
+  }
+
+  insertSorted(list, item) {
+    let low = 0;
+    let high = list.length;
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      if (list[middle].similarity >= item.similarity) low = middle + 1;
+      else high = middle;
+    }
+    list.splice(low, 0, item);
+  }
+
+  dot(vec1, vec2) {
+    let sum = 0;
+    for (let i = 0; i < vec1.length; i++) sum += vec1[i] * vec2[i];
+    return sum;
+  }
+
+  /**
+   * Graph without vectors: { version, m, efConstruction, keys, levels, neighbors, entryPoint }
+   */
+  export() {
+    const ids = [...this.nodes.keys()];
+    const positions = new Map(ids.map((id, position) => [id, position]));
+
+    return {
+      version: HnswIndex.version,
+      m: this.m,
+      efConstruction: this.efConstruction,
+      keys: ids.map(id => this.nodes.get(id).key),
+      levels: Uint8Array.from(ids, id => this.nodes.get(id).level),
+      neighbors: ids.map(id => this.nodes.get(id).neighbors.map(links => Uint32Array.from(links, link => positions.get(link)))),
+      entryPoint: this.entryPoint === null ? -1 : positions.get(this.entryPoint)
+    };
+  }
+
+  /**
+   * Index from an export; getVector(key) supplies the vectors, nodes without one are removed.
+   * Null when the snapshot is from another format version.
+   */
+  static restore(snapshot, getVector, options = {}) {
+    if (snapshot?.version !== this.version) return null;
+
+    const index = new HnswIndex({ ...options, m: snapshot.m, efConstruction: snapshot.efConstruction });
+    const missing = [];
+
+    snapshot.keys.forEach((key, id) => {
+      const vector = HnswIndex.normalize(getVector(key) || []);
+      index.nodes.set(id, {
+        key,
+        vector: vector || new Float32Array(0),
+        level: snapshot.levels[id],
+        neighbors: snapshot.neighbors[id].map(links => Array.from(links))
+      });
+      index.ids.set(key, id);
+      if (!vector) missing.push(key);
+    });
+
+    index.nextId = snapshot.keys.length;
+    if (snapshot.entryPoint >= 0) {
+      index.entryPoint = snapshot.entryPoint;
+      index.maxLevel = snapshot.levels[snapshot.entryPoint];
+    }
+
+    index.remove(missing);
+    return index;
+  }
+
+  /**
+   * Unit-length copy, or null for a zero (or empty) vector
+   */
+  static normalize(vector) {
+    let norm = 0;
+    for (let i = 0; i < vector.length; i++) norm += vector[i] * vector[i];
+    if (norm === 0) return null;
+
+    norm = Math.sqrt(norm);
+    return Float32Array.from(vector, value => value / norm);
+  }
+
+  /**
+   * Seeded generator for node levels, so the same inserts build the same graph
+   */
+  static createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+      state = (Math.imul(state, 1664525) + 1013904223) >>> 0;
+      return state / 0x100000000;
+    };
+  }
+}
+
+// Export for use in content script
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = HnswIndex;
+}
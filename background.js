@@ -3,7 +3,12 @@ chrome.runtime.onInstalled.addListener(() => {
   chrome.storage.sync.set({
     userPrompt: '',
     threshold: 0.6,
-    isEnabled: true
+    isEnabled: true,
+    crawlMode: false,
+    crawlMaxPages: 12,
+    embeddingProvider: 'lightweight',
+    retrievalMode: 'hybrid-rrf',
+    lexicalWeight: 0.4
   });
 });
 
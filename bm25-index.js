@@ -0,0 +1,175 @@
+/**
+ * BM25 Index
+ * Inverted index over chunk text for lexical retrieval next to the vector search. Words are
+ * stemmed and stopwords dropped per locale; identifiers such as model numbers ("WH-1000XM4")
+ * and GTINs are also indexed whole, separators removed, so an exact identifier in the query
+ * can be found regardless of how the shop spells it.
+ */
+
+class Bm25Index {
+  constructor(options = {}) {
+    this.locales = options.localeSupport || null;
+    this.k1 = options.k1 ?? 1.2;
+    this.b = options.b ?? 0.75;
+    this.postings = new Map(); // term -> Map(key -> term frequency)
+    this.documents = new Map(); // key -> { length, terms }
+    this.totalLength = 0;
+  }
+
+  get size() {
+    return this.documents.size;
+  }
+
+  add(key, text, locale) {
+    if (this.documents.has(key)) this.remove([key]);
+
+    const terms = this.tokenize(text, locale);
+    const counts = new Map();
+    terms.forEach(term => counts.set(term, (counts.get(term) || 0) + 1));
+
+    counts.forEach((count, term) => {
+      if (!this.postings.has(term)) this.postings.set(term, new Map());
+      this.postings.get(term).set(key, count);
+    });
+    this.documents.set(key, { length: terms.length, terms: [...counts.keys()] });
+    this.totalLength += terms.length;
+  }
+
+  remove(keys) {
+    keys.forEach(key => {
+      const document = this.documents.get(key);
+      if (!document) return;
+
+      document.terms.forEach(term => {
+        const posting = this.postings.get(term);
+        posting.delete(key);
+        if (posting.size === 0) this.postings.delete(term);
+      });
+      this.documents.delete(key);
+      this.totalLength -= document.length;
+    });
+  }
+
+  /**
+   * Documents matching any query term: [{ key, score }], best first. Scores are divided by the
+   * most a document could score for this query, so they fall in [0, 1) like cosine similarities.
+   */
+  search(text, { locale, filter } = {}) {
+    const terms = [...new Set(this.tokenize(text, locale))].filter(term => this.postings.has(term));
+    if (terms.length === 0) return [];
+
+    const averageLength = this.totalLength / this.documents.size;
+    const scores = new Map();
+    let maxScore = 0;
+
+    terms.forEach(term => {
+      const posting = this.postings.get(term);
+      const idf = Math.log(1 + (this.documents.size - posting.size + 0.5) / (posting.size + 0.5));
+      maxScore += idf * (this.k1 + 1);
+
+      posting.forEach((frequency, key) => {
+        if (filter && !filter(key)) return;
+
+        const length = this.documents.get(key).length;
+        const saturation = frequency + this.k1 * (1 - this.b + this.b * length / averageLength);
+        scores.set(key, (scores.get(key) || 0) + idf * frequency * (this.k1 + 1) / saturation);
+      });
+    });
+
+    return [...scores.entries()]
+      .map(([key, score]) => ({ key, score: score / maxScore }))
+      .sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * Keys of documents containing one of the query's identifiers
+   */
+  getExactMatches(text) {
+    const keys = new Set();
+    this.getCodes(text).forEach(code => {
+      this.postings.get(code)?.forEach((frequency, key) => keys.add(key));
+    });
+    return keys;
+  }
+
+  getCodes(text) {
+    return (this.normalize(text).match(Bm25Index.tokenPattern) || [])
+      .map(token => Bm25Index.getCode(token))
+      .filter(Boolean);
+  }
+
+  /**
+   * Index terms: stemmed words without stopwords, plus "#code" for identifier-like tokens
+   */
+  tokenize(text, locale) {
+    const terms = [];
+
+    (this.normalize(text).match(Bm25Index.tokenPattern) || []).forEach(token => {
+      const code = Bm25Index.getCode(token);
+      if (code) terms.push(code);
+
+      token.split(/[-./]/).forEach(word => {
+        if (word.length < 2 || this.locales?.isStopword(word, locale)) return;
+        terms.push(/\d/.test(word) || !this.locales ? word : this.locales.stem(word, locale));
+      });
+    });
+
+    return terms;
+  }
+
+  normalize(text) {
+    return (text || '').toLowerCase().normalize('NFKD').replace(/\p{M}/gu, '');
+  }
+
+  /**
+   * Words joined by -, . or / ("wh-1000xm4", "b07/xyz")
+   */
+  static get tokenPattern() {
+    return /[\p{L}\p{N}]+(?:[-./][\p{L}\p{N}]+)*/gu;
+  }
+
+  /**
+   * "#wh1000xm4" for model numbers and SKUs: letters and digits with a separator ("a-123",
+   * "wh-1000xm4") or 6+ characters without one ("sm7b" is too short), and for GTINs. Digit runs
+   * count only with a valid check digit, so dates ("2024-10-19") and order numbers don't.
+   * Quantities and sizes ("100ml", "42eu", "3-pack", "2x50g") don't count.
+   */
+  static getCode(token) {
+    const compact = token.replace(/[-./]/g, '');
+    const hasDigit = /\d/.test(compact);
+    const hasLetter = /\p{L}/u.test(compact);
+
+    if (hasDigit && !hasLetter) {
+      return this.isValidGtin(compact) ? `#${compact}` : null;
+    }
+    if (!hasDigit || !hasLetter || this.unitPattern.test(compact)) return null;
+
+    const hasSeparator = compact !== token;
+    if ((hasSeparator && compact.length >= 4) || compact.length >= 6) return `#${compact}`;
+    return null;
+  }
+
+  /**
+   * GTIN-8/12/13/14 check: weights 3 and 1 alternate from the digit left of the check digit
+   */
+  static isValidGtin(digits) {
+    if (![8, 12, 13, 14].includes(digits.length)) return false;
+    let sum = 0;
+    for (let i = digits.length - 2, weight = 3; i >= 0; i--, weight = 4 - weight) {
+      sum += Number(digits[i]) * weight;
+    }
+    return (10 - (sum % 10)) % 10 === Number(digits[digits.length - 1]);
+  }
+
+  /**
+   * Amounts with a unit or size suffix, optionally multiplied: "100ml", "1.5l", "42eu", "2x50g"
+   */
+  static get unitPattern() {
+    return /^(?:\d+x)?\d+(?:mm|cm|m|km|in|inch|ft|ml|cl|dl|l|mg|g|kg|oz|lb|lbs|mah|wh|kwh|w|kw|v|hz|khz|mhz|ghz|mb|gb|tb|mp|fps|p|k|eu|us|uk|fr|it|er|pcs|pc|st|stk|pack|pk|x|ct|tlg|teilig)$/i;
+  }
+}
+
+// Export for use in content script
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Bm25Index;
+}
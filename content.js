@@ -2,22 +2,52 @@ class ProductHighlighter {
   constructor() {
     console.log('🏗️ ProductHighlighter constructor called');
 
-    this.userPrompt = '';
+    this.userPrompt = ''; // Text of the prompt selected in the toolbar
+    this.prompts = new PromptSet(); // Named prompts searched side by side
+    this.selectedPromptId = null;
+    this.savedSearches = new SavedSearchLibrary(); // Named searches, optionally a domain's default
+    this.savedSearches.onChange = () => this.renderSavedSearches();
     this.threshold = 0.6;
     this.isEnabled = false; // Start deactivated by default on new websites
     this.highlightedElements = new Set();
-    this.processedProducts = new Set(); // Track processed product IDs/signatures
+    this.elementProductIds = new WeakMap(); // card element -> productId
     this.optimizedWeights = { keyword: 0.4, exact: 0.3, semantic: 0.3 };
     this.highPerformingKeywords = [];
     this.siteSpecificRules = new Map();
+    this.localeSupport = new LocaleSupport();
+    this.priceParser = new PriceParser({ localeSupport: this.localeSupport });
+    this.facetExtractor = new FacetExtractor(FacetExtractor.getDefaultVocabulary(), this.localeSupport);
+    this.currencyConverter = new CurrencyConverter();
+    this.querySyntax = new QuerySyntaxParser(this.facetExtractor, this.priceParser, this.localeSupport);
+    this.domTraversal = new DOMTraversal();
+    this.elementLocator = new ElementLocator(new ProductIdentity(), this.domTraversal);
+
+    // Per-site product card and field selectors
+    this.siteAdapters = new SiteAdapterRegistry();
 
     // RAG system integration
     console.log('🧠 Initializing RAG System...');
-    this.ragSystem = new ProductRAGSystem();
+    this.ragSystem = new ProductRAGSystem({
+      facetExtractor: this.facetExtractor,
+      localeSupport: this.localeSupport
+    });
+
+    // Executed prompts for autocomplete; shared with the evaluator, which reports highlight feedback
+    this.queryHistory = new QueryHistory(this.ragSystem);
+    window.productQueryHistory = this.queryHistory;
+    this.suggestions = [];
+    this.suggestionIndex = -1;
+    this.suggestTimer = null;
 
     // Vector search integration (fallback)
     console.log('🔍 Initializing Vector Search...');
-    this.vectorSearch = new VectorProductSearch();
+    this.vectorSearch = new VectorProductSearch({
+      siteAdapters: this.siteAdapters,
+      domTraversal: this.domTraversal,
+      facetExtractor: this.facetExtractor,
+      localeSupport: this.localeSupport,
+      embedder: this.ragSystem
+    });
 
     // Groq LLM integration (for verification only)
     console.log('🤖 Initializing GroqProductEnhancer...');
@@ -31,7 +61,28 @@ class ProductHighlighter {
     this.edgeTab = null;
     this.autoCollapseTimer = null;
     this.isCapturing = false;
-    this.captureCompleted = false;
+    this.captureAbortController = null;
+    this.capturePromise = null;
+    this.captureStats = null; // Running totals shown in the progress overlay
+    this.crawlMode = false; // Opt-in: also capture the following result pages
+    this.crawlMaxPages = 12;
+
+    // Capture sessions keyed by URL so SPA navigations get their own knowledge base
+    this.captureSessions = new Map();
+    this.maxCaptureSessions = 20; // least recently visited ones are dropped beyond this
+    this.session = this.getOrCreateCaptureSession(window.location.href);
+    this.navigationSettleDelay = 800; // ms for the SPA to render the new listing
+    this.navigationWatcher = new NavigationWatcher({
+      onNavigate: (url) => this.handleNavigation(url)
+    });
+
+    // Incremental capture of inserted / re-rendered product cards
+    this.ingestionQueue = Promise.resolve();
+    this.incrementalCapture = new IncrementalCaptureObserver({
+      siteAdapters: this.siteAdapters,
+      domTraversal: this.domTraversal,
+      onCards: (cards) => this.queueIncrementalIngestion(cards)
+    });
 
     console.log('🚀 Starting init...');
     this.init();
@@ -40,25 +91,43 @@ class ProductHighlighter {
   async init() {
     console.log('🔄 Init started');
     await this.loadSettings();
+    await this.siteAdapters.loadCustomAdapters();
+    await this.currencyConverter.load();
     console.log('⚙️ Settings loaded, creating toolbar...');
     this.createToolbar();
     this.detectProducts(); // Make sure this gets called
-    this.setupScrollListener();
+    this.incrementalCapture.start(document.body);
+    this.navigationWatcher.start();
     this.setupMessageListener();
   }
 
   async loadSettings() {
     try {
       const result = await chrome.storage.sync.get([
-        'userPrompt', 'threshold', 'isEnabled',
-        'optimizedThreshold', 'highPerformingKeywords', 'problematicSites'
+        'userPrompt', 'threshold', 'isEnabled', 'crawlMode', 'crawlMaxPages', 'embeddingProvider',
+        'retrievalMode', 'lexicalWeight', 'optimizedThreshold', 'highPerformingKeywords', 'problematicSites'
       ]);
 
-      this.userPrompt = result.userPrompt || '';
+      await this.prompts.load();
+      this.selectPrompt(this.prompts.getAll()[0].id);
       this.threshold = result.optimizedThreshold || result.threshold || 0.6;
       this.isEnabled = false; // Always start deactivated on website entry
       this.highPerformingKeywords = result.highPerformingKeywords || [];
+      this.crawlMode = result.crawlMode === true;
+      this.crawlMaxPages = result.crawlMaxPages || 12;
       this.useGroq = true; // Always use Groq since we have hardcoded API key
+      await this.setEmbeddingProvider(await this.migrateEmbeddingProvider(result.embeddingProvider));
+      this.ragSystem.setRetrievalMode(result.retrievalMode, result.lexicalWeight);
+
+      // A site's default saved search is activated on arrival
+      await this.savedSearches.load();
+      const defaultSearch = this.savedSearches.getDefaultFor(window.location.hostname);
+      if (defaultSearch) {
+        this.loadSavedSearch(defaultSearch);
+        this.isEnabled = true;
+        this.savedSearches.markUsed(defaultSearch.id);
+        console.log(`📚 Activated default saved search "${defaultSearch.name}" for ${window.location.hostname}`);
+      }
 
       if (result.problematicSites) {
         const currentDomain = window.location.hostname;
@@ -74,10 +143,19 @@ class ProductHighlighter {
   setupMessageListener() {
     chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       if (message.action === 'updateSettings') {
-        this.userPrompt = message.userPrompt || '';
+        if (Array.isArray(message.prompts)) {
+          this.prompts.replaceAll(message.prompts);
+        } else {
+          this.prompts.update(this.selectedPromptId, { prompt: message.userPrompt || '' });
+        }
+        this.selectPrompt(this.prompts.get(this.selectedPromptId) ? this.selectedPromptId : this.prompts.getAll()[0].id);
         this.threshold = message.threshold || 0.6;
         this.isEnabled = message.isEnabled !== false;
+        if (message.crawlMode !== undefined) this.crawlMode = message.crawlMode === true;
+        if (message.crawlMaxPages) this.crawlMaxPages = message.crawlMaxPages;
         this.useGroq = true; // Always use Groq
+        const providerChange = this.setEmbeddingProvider(message.embeddingProvider);
+        this.ragSystem.setRetrievalMode(message.retrievalMode, message.lexicalWeight);
 
         // Groq enhancer is always enabled with hardcoded key
         if (this.groqEnhancer) {
@@ -86,44 +164,44 @@ class ProductHighlighter {
         }
 
         this.clearHighlights();
-        if (this.isEnabled && this.userPrompt) {
+        if (this.isEnabled && this.hasActivePrompts()) {
           console.log('Triggering product detection from message listener...');
-          this.detectProducts();
+          providerChange.then(() => this.detectProducts());
         }
         sendResponse({ success: true });
       }
-    });
-  }
 
-  setupScrollListener() {
-    let scrollTimeout;
-    let lastScrollRun = 0;
-    const scrollCooldown = 5000; // 5 seconds between scroll-triggered detections
-
-    window.addEventListener('scroll', () => {
-      clearTimeout(scrollTimeout);
-      scrollTimeout = setTimeout(() => {
-        if (this.isEnabled && this.userPrompt) {
-          const now = Date.now();
-          if (now - lastScrollRun > scrollCooldown) {
-            console.log('🔄 Scroll detected, checking for NEW products...');
-            lastScrollRun = now;
-            this.detectNewProducts(); // Only detect NEW products
-          } else {
-            console.log('⏳ Scroll detection skipped (cooldown active)');
-          }
+      if (message.action === 'applySavedSearch') {
+        const search = this.savedSearches.get(message.searchId);
+        if (search) {
+          if (!this.isEnabled) this.showToolbar();
+          this.activateSavedSearch(search);
         }
-      }, 1000); // Increased delay to 1 second
+        sendResponse({ success: !!search, prompts: this.prompts.getAll() });
+      }
+
+      if (message.action === 'getQueryHistory') {
+        this.queryHistory.getHistory({ limit: message.limit || 50 })
+          .then(history => sendResponse({ history }));
+        return true;
+      }
+
+      if (message.action === 'clearQueryHistory') {
+        this.queryHistory.clear()
+          .then(() => sendResponse({ success: true }))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
+      }
     });
   }
 
   async detectProducts() {
     console.log('🔍 detectProducts called', {
-      userPrompt: this.userPrompt,
+      prompts: this.prompts.getActive().map(entry => entry.prompt),
       isEnabled: this.isEnabled
     });
 
-    if (!this.userPrompt || !this.isEnabled) {
+    if (!this.hasActivePrompts() || !this.isEnabled) {
       console.log('❌ Early exit: no prompt or disabled');
       return;
     }
@@ -132,24 +210,21 @@ class ProductHighlighter {
       // NEW RAG APPROACH: Retrieval-Augmented Generation
       console.log('🧠 Using RAG system for product detection...');
 
-      // Phase 1: Capture and process products for RAG knowledge base (only once)
-      if (!this.captureCompleted) {
-        await this.captureAndIndexProductsForRAG();
-        this.captureCompleted = true;
+      // Phase 1: Capture and process products for RAG knowledge base (once per session)
+      const session = this.session;
+      if (!session.captureCompleted) {
+        const captured = await this.captureAndIndexProductsForRAG(session);
+        if (!captured) return;
+        session.captureCompleted = true;
+        this.flushPendingCards(session);
       }
 
-      // Phase 2: RAG-based search and generation
-      console.log('🔍 Phase 2: RAG retrieval and generation...');
-      const ragResults = await this.ragSystem.generateWithRAG(this.userPrompt);
-      console.log(`Found ${ragResults.matches.length} matches via RAG system`);
-
-      // Phase 3: Highlight matched products
-      console.log('✅ Phase 3: Highlighting RAG matches...');
-      await this.highlightRAGMatches(ragResults.matches);
+      // Navigated away while capturing - the new session runs its own detection
+      if (session !== this.session) return;
 
-      // Phase 4: Mark all current products as processed
-      console.log('📝 Phase 4: Marking all current products as processed...');
-      this.markAllCurrentProductsAsProcessed();
+      // Phase 2 + 3: RAG search per active prompt (restricted to this page's products), then highlight
+      console.log('🔍 Phase 2: RAG retrieval and generation...');
+      await this.searchActivePrompts([...session.productIds], session, { record: true });
 
       console.log('✅ RAG-based product detection complete');
 
@@ -160,10 +235,57 @@ class ProductHighlighter {
     }
   }
 
-  async captureAndIndexProductsForRAG() {
-    if (this.isCapturing) return;
+  /**
+   * Score each active prompt independently and badge its matches in the prompt's colour
+   */
+  async searchActivePrompts(productIds, session = this.session, { record = false } = {}) {
+    for (const entry of this.prompts.getActive()) {
+      if (session !== this.session) return;
+
+      const queryAnalysis = this.analyzeQuery(entry.prompt);
+      const ragResults = await this.ragSystem.generateWithRAG(this.getRetrievalQuery(entry.prompt, queryAnalysis), {
+        productIds,
+        exclusions: queryAnalysis.exclusions,
+        minConfidence: entry.threshold
+      });
+      const matches = this.applyQueryCriteria(this.applyPriceConstraints(ragResults.matches, entry.prompt), entry.prompt);
+      console.log(`Found ${matches.length} matches for "${this.prompts.getDisplayName(entry)}" via RAG system`);
+      if (record) {
+        this.queryHistory.record({ query: entry.prompt, promptId: entry.id, matchCount: matches.length });
+      }
 
+      await this.highlightRAGMatches(matches, entry);
+    }
+  }
+
+  hasActivePrompts() {
+    return this.prompts.getActive().length > 0;
+  }
+
+  /**
+   * Text to embed for retrieval: the prompt, or the plain terms of a structured query
+   */
+  getRetrievalQuery(prompt, queryAnalysis) {
+    return queryAnalysis.structured ? queryAnalysis.coreQuery : prompt;
+  }
+
+  async captureAndIndexProductsForRAG(session = this.session) {
+    if (this.isCapturing) return false;
+
+    this.capturePromise = this.runRAGCapture(session);
+    return this.capturePromise;
+  }
+
+  /**
+   * Capture, embed and store the page's products with real progress and cancellation
+   * Resolves true when the knowledge base was built, false when cancelled
+   */
+  async runRAGCapture(session) {
     this.isCapturing = true;
+    this.captureAbortController = new AbortController();
+    const { signal } = this.captureAbortController;
+    const onProgress = (progress) => this.updateCaptureProgress(progress);
+
     console.log('📸 Starting product capture for RAG knowledge base...');
 
     // Show progress indicator
@@ -171,24 +293,41 @@ class ProductHighlighter {
 
     try {
       // Capture all products using vector search
-      const products = await this.vectorSearch.captureAllProducts((progress) => {
-        console.log(`📊 Capture progress: ${progress.percentage}% (${progress.captured} products)`);
-        this.updateCaptureProgress(progress);
-      });
+      const crawl = this.crawlMode ? { maxPages: this.crawlMaxPages } : null;
+      const products = await this.vectorSearch.captureAllProducts({ onProgress, signal, crawl });
 
       // Process products for RAG system
       console.log('🧠 Processing products for RAG knowledge base...');
-      await this.ragSystem.processProductsForRAG(products);
+      const result = await this.ragSystem.processProductsForRAG(products, { onProgress, signal });
+      this.registerProductElements(products, result.productIds, session);
 
-      console.log('✅ RAG knowledge base created');
+      console.log(`✅ RAG knowledge base created for ${session.url}`);
+      return true;
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        console.log('⏹️ Product capture cancelled');
+        return false;
+      }
+      throw error;
     } finally {
       this.isCapturing = false;
+      this.captureAbortController = null;
       this.hideCaptureProgress();
     }
   }
 
-  async highlightRAGMatches(matches) {
-    console.log(`🎯 Highlighting ${matches.length} RAG matches`);
+  /**
+   * Stop an in-flight capture and wait for it to unwind
+   */
+  async cancelCapture() {
+    if (!this.captureAbortController) return;
+
+    this.captureAbortController.abort();
+    await this.capturePromise?.catch(() => false);
+  }
+
+  async highlightRAGMatches(matches, entry = this.prompts.getActive()[0]) {
+    console.log(`🎯 Highlighting ${matches.length} RAG matches for "${this.prompts.getDisplayName(entry)}"`);
 
     // Track processed products to avoid duplicates
     const processedProducts = new Set();
@@ -204,11 +343,10 @@ class ProductHighlighter {
 
         processedProducts.add(match.productId);
 
-        // Find the DOM element for this product
-        const element = await this.findProductElement(match);
+        const element = this.resolveProductElement(match);
         if (element) {
-          // Check if element is already highlighted
-          if (element.classList.contains('modern-badge')) {
+          // Check if element is already highlighted for this prompt
+          if (this.getElementPromptIds(element).includes(entry.id)) {
             console.log(`⏭️ Element already highlighted: ${match.title}`);
             continue;
           }
@@ -216,7 +354,8 @@ class ProductHighlighter {
           this.highlightElement(element, {
             reason: match.reason,
             confidence: match.confidence,
-            retrievalScore: match.retrievalScore
+            retrievalScore: match.retrievalScore,
+            prompt: entry
           });
           successfulHighlights++;
         } else {
@@ -230,112 +369,49 @@ class ProductHighlighter {
     console.log(`✅ Successfully highlighted ${successfulHighlights}/${matches.length} products`);
   }
 
-  async findProductElement(productMeta) {
-    console.log(`🔍 Finding element for product: ${productMeta.title}`);
-    console.log(`📊 Element info available:`, productMeta.elementInfo);
-
-    // Method 1: Use stored element info if available (most accurate)
-    if (productMeta.elementInfo) {
-      const { tag, classes, index } = productMeta.elementInfo;
-
-      if (tag && classes) {
-        // Try to find by tag, classes, and position
-        const selector = `${tag.toLowerCase()}${classes ? '.' + classes.split(' ').join('.') : ''}`;
-        const elements = document.querySelectorAll(selector);
-
-        if (elements.length > 0) {
-          // If index is provided, try to get exact element
-          if (typeof index === 'number' && elements[index]) {
-            const candidateElement = elements[index];
-            const text = candidateElement.textContent?.toLowerCase() || '';
-            const title = productMeta.title?.toLowerCase() || '';
-
-            // Verify this is still the right element by checking title match
-            if (title && text.includes(title.substring(0, Math.min(20, title.length)))) {
-              console.log(`✅ Found element by stored metadata: ${productMeta.title}`);
-              return candidateElement;
-            }
-          }
-
-          // Fallback: find the best match among elements with same tag/classes
-          for (const element of elements) {
-            const text = element.textContent?.toLowerCase() || '';
-            const title = productMeta.title?.toLowerCase() || '';
-
-            if (title && text.includes(title.substring(0, Math.min(20, title.length)))) {
-              console.log(`✅ Found element by tag/classes fallback: ${productMeta.title}`);
-              return element;
-            }
-          }
-        }
-      }
-    }
-
-    // Method 2: Intelligent text matching with multiple selectors
-    const productSelectors = [
-      'article',
-      'a[href*="/"]',
-      '[class*="product"]',
-      '[class*="item"]',
-      '[data-testid*="product"]'
-    ];
-
-    const title = productMeta.title?.toLowerCase() || '';
-    const brand = productMeta.brand?.toLowerCase() || '';
-    const price = productMeta.price || '';
-
-    for (const selector of productSelectors) {
-      const elements = document.querySelectorAll(selector);
-
-      for (const element of elements) {
-        const text = element.textContent?.toLowerCase() || '';
-
-        // Multi-factor matching for better accuracy
-        let matchScore = 0;
-
-        // Title matching (most important)
-        if (title && title.length > 3) {
-          const titleWords = title.split(/\s+/).filter(w => w.length > 2);
-          const matchingWords = titleWords.filter(word => text.includes(word));
-          matchScore += (matchingWords.length / titleWords.length) * 0.7;
-        }
-
-        // Brand matching
-        if (brand && text.includes(brand)) {
-          matchScore += 0.2;
-        }
-
-        // Price matching
-        if (price && text.includes(price.toString())) {
-          matchScore += 0.1;
-        }
-
-        // Require at least 60% match confidence
-        if (matchScore >= 0.6) {
-          console.log(`✅ Found element with ${(matchScore * 100).toFixed(1)}% confidence: ${productMeta.title}`);
-          return element;
-        }
-      }
+  /**
+   * Card element for a match: the live element captured this session, else the stored locator
+   */
+  resolveProductElement(match) {
+    const liveElement = this.session.productElements.get(match.productId);
+    if (liveElement?.isConnected) return liveElement;
+
+    const element = this.elementLocator.resolve(match.locator, { title: match.title });
+    if (element) {
+      this.session.productElements.set(match.productId, element);
+      this.elementProductIds.set(element, match.productId);
     }
-
-    console.warn(`⚠️ Could not find element for: ${productMeta.title} (tried ${productSelectors.length} selector types)`);
-    return null;
+    return element;
   }
 
   highlightElement(element, options = {}) {
     if (!element) return;
 
-    // Skip if already highlighted to preserve existing highlights
-    if (element.classList.contains('modern-badge')) {
+    const entry = options.prompt || this.prompts.getActive()[0];
+    const confidence = options.confidence || 0;
+    const promptIds = this.getElementPromptIds(element);
+
+    // Skip if already highlighted for this prompt to preserve existing highlights
+    if (promptIds.includes(entry.id)) {
       console.log('⏭️ Element already highlighted, skipping...');
       return;
     }
 
+    // Another prompt matched this card first: keep its highlight and stack this prompt's badge
+    if (element.classList.contains('modern-badge')) {
+      this.addPromptBadge(element, entry, confidence);
+      element.setAttribute('data-match-prompts', [...promptIds, entry.id].join(' '));
+      console.log(`✨ Stacked badge "${this.prompts.getBadgeLabel(entry)}" on highlighted element`);
+      return;
+    }
+
+    // Cards inside shadow roots / iframes need the highlight styles there
+    this.domTraversal.ensureStylesheet(element, 'highlight.css');
+
     // Remove any existing highlighting classes (only if not already highlighted)
     element.classList.remove('product-highlight', 'product-highlight-strong', 'product-highlight-medium');
 
     // Determine highlight strength based on confidence
-    const confidence = options.confidence || 0;
     let highlightClass = 'product-highlight';
 
     if (confidence >= 0.8) {
@@ -350,122 +426,277 @@ class ProductHighlighter {
     // Store match information for tooltips/debugging
     element.setAttribute('data-match-confidence', confidence.toFixed(3));
     element.setAttribute('data-match-reason', options.reason || '');
+    element.setAttribute('data-match-prompts', entry.id);
+    element.style.setProperty('--ph-highlight-color', entry.color);
+    this.addPromptBadge(element, entry, confidence);
+    this.highlightedElements.add(element);
 
     console.log(`✨ Highlighted NEW element with modern badge: ${highlightClass}, confidence: ${confidence.toFixed(3)}`);
   }
 
   /**
-   * Only detect and highlight NEW products (for scroll/infinite scroll)
+   * Badge for one prompt; badges of several matching prompts stack in the card's corner
    */
-  async detectNewProducts() {
-    if (!this.userPrompt || !this.isEnabled) {
-      console.log('❌ Early exit: no prompt or disabled');
-      return;
+  addPromptBadge(element, entry, confidence) {
+    const doc = element.ownerDocument || document;
+    let stack = element.querySelector(':scope > .ph-badge-stack');
+    if (!stack) {
+      stack = doc.createElement('div');
+      stack.className = 'ph-badge-stack';
+      element.appendChild(stack);
     }
 
-    console.log('🆕 Detecting only NEW products...');
+    const badge = doc.createElement('span');
+    badge.className = 'ph-badge';
+    badge.dataset.promptId = entry.id;
+    badge.textContent = this.prompts.getBadgeLabel(entry);
+    badge.title = `${this.prompts.getDisplayName(entry)} • ${confidence.toFixed(2)}`;
+    badge.style.setProperty('--ph-badge-color', entry.color);
+    stack.appendChild(badge);
+  }
 
-    // Get all current products on page
-    const currentProducts = this.getAllProductsOnPage();
-    const newProducts = [];
+  getElementPromptIds(element) {
+    return (element.getAttribute('data-match-prompts') || '').split(' ').filter(Boolean);
+  }
 
-    // Filter out already processed products
-    for (const product of currentProducts) {
-      const productSignature = this.getProductSignature(product);
-      if (!this.processedProducts.has(productSignature)) {
-        newProducts.push(product);
-        this.processedProducts.add(productSignature);
-      }
-    }
+  removePromptBadges(element) {
+    element.querySelector(':scope > .ph-badge-stack')?.remove();
+    element.removeAttribute('data-match-prompts');
+    element.style.removeProperty('--ph-highlight-color');
+  }
 
-    console.log(`📊 Found ${newProducts.length} NEW products out of ${currentProducts.length} total`);
+  /**
+   * Switch the RAG embedding provider; stored vectors of the old one can't be searched, so
+   * every session re-captures its products on the next detection
+   */
+  /**
+   * Stored provider setting, reset to 'lightweight' when it names a provider that's no longer
+   * available ('use' was offered before its model files were packaged)
+   */
+  async migrateEmbeddingProvider(type) {
+    if (!type || EmbeddingProviders.getTypes()[type]) return type;
 
-    if (newProducts.length === 0) {
-      console.log('✅ No new products to process');
+    console.log(`🔄 Embedding provider "${type}" is not available, switching the setting to lightweight`);
+    await chrome.storage.sync.set({ embeddingProvider: 'lightweight' });
+    return 'lightweight';
+  }
+
+  async setEmbeddingProvider(type) {
+    try {
+      if (!await this.ragSystem.setEmbeddingProvider(type)) return;
+    } catch (error) {
+      console.error('❌ Failed to switch embedding provider:', error);
       return;
     }
 
-    // Process only new products with RAG system
-    try {
-      const ragResponse = await this.ragSystem.generateWithRAG(this.userPrompt);
+    await this.cancelCapture();
+    this.captureSessions.forEach(session => {
+      session.captureCompleted = false;
+      session.productIds.clear();
+    });
+    console.log(`🔄 Embedding provider changed to ${type}; products will be re-embedded`);
+  }
 
-      console.log(`🎯 Highlighting ${ragResponse.matches.length} RAG matches`);
-      await this.highlightRAGMatches(ragResponse.matches);
+  /**
+   * Capture session for a URL; recent sessions are kept so going back needs no rescan
+   */
+  getOrCreateCaptureSession(url) {
+    const key = this.getSessionKey(url);
+    const session = this.captureSessions.get(key) || {
+      url: key,
+      productIds: new Set(),
+      productElements: new Map(), // productId -> live card element
+      captureCompleted: false,
+      pendingCards: [], // reported while the first capture ran; ingested once it completes
+      createdAt: Date.now()
+    };
 
-    } catch (error) {
-      console.error('❌ New product detection failed:', error);
+    // Re-insert so the map stays ordered from least to most recently visited
+    this.captureSessions.delete(key);
+    this.captureSessions.set(key, session);
+    this.evictCaptureSessions();
+
+    return session;
+  }
+
+  /**
+   * Drop the least recently visited sessions beyond maxCaptureSessions, never the current one
+   */
+  evictCaptureSessions() {
+    for (const [key, session] of this.captureSessions) {
+      if (this.captureSessions.size <= this.maxCaptureSessions) break;
+      if (session !== this.session) {
+        this.captureSessions.delete(key);
+      }
     }
   }
 
   /**
-   * Get a unique signature for a product to track if we've seen it
+   * Hashes only count when they are client-side routes ("#/shoes", "#!/shoes"); in-page
+   * anchors ("#reviews") stay on the same listing
    */
-  getProductSignature(product) {
-    // Use title + price + first 50 chars of text as signature
-    const title = product.title || '';
-    const price = product.price || '';
-    const text = (product.text || '').substring(0, 50);
-    return `${title}|${price}|${text}`.replace(/\s+/g, ' ').trim();
+  getSessionKey(url) {
+    try {
+      const parsed = new URL(url);
+      const route = /^#!?\//.test(parsed.hash) ? parsed.hash : '';
+      return `${parsed.origin}${parsed.pathname}${parsed.search}${route}`;
+    } catch (error) {
+      return url;
+    }
   }
 
   /**
-   * Get all products currently visible on page
+   * True when two URLs differ only in their page number (?page=2, &start=48, /page/3)
    */
-  getAllProductsOnPage() {
-    const products = [];
-    const selectors = ['article', 'a[href*="/"]'];
-
-    for (const selector of selectors) {
-      const elements = document.querySelectorAll(selector);
-      for (const element of elements) {
-        const title = element.textContent?.trim() || '';
-        if (title.length > 10) { // Basic filter for actual products
-          products.push({
-            title: title.substring(0, 100),
-            text: title,
-            element: element
-          });
-        }
+  isPaginationChange(fromUrl, toUrl) {
+    const pageParams = ['page', 'p', 'pg', 'pagenum', 'page_num', 'start', 'offset', 'from'];
+    const stripPage = (url) => {
+      try {
+        const parsed = new URL(url);
+        pageParams.forEach(param => parsed.searchParams.delete(param));
+        parsed.pathname = parsed.pathname.replace(/\/page\/\d+\/?$/, '').replace(/\/$/, '');
+        parsed.hash = '';
+        return parsed.href;
+      } catch (error) {
+        return url;
       }
+    };
+
+    return fromUrl !== toUrl && stripPage(fromUrl) === stripPage(toUrl);
+  }
+
+  /**
+   * Switch to the capture session for a new SPA URL and re-run detection
+   */
+  async handleNavigation(url) {
+    // "Load more" on SPA shops pushes ?page=N while the crawler is clicking: same listing, keep capturing
+    if (this.isCapturing && this.isPaginationChange(this.session.url, url)) {
+      console.log(`🧭 Ignoring pagination URL change during capture: ${url}`);
+      return;
     }
 
-    return products;
+    const session = this.getOrCreateCaptureSession(url);
+    if (session === this.session) return;
+
+    console.log(`🧭 Switching capture session to ${session.url} (${session.captureCompleted ? 'restored' : 'new'})`);
+
+    this.session = session;
+    await this.cancelCapture();
+    this.clearHighlights();
+    this.incrementalCapture.reset();
+
+    // Give the router time to replace the old listing before scanning
+    await this.vectorSearch.wait(this.navigationSettleDelay);
+    if (session !== this.session) return;
+
+    if (this.isEnabled && this.hasActivePrompts()) {
+      this.detectProducts();
+    }
   }
 
   /**
-   * Find DOM element by product metadata
+   * Remember which card element each indexed product came from
    */
-  findElementByProduct(productMeta) {
-    const selectors = ['article', 'a[href*="/"]'];
-
-    for (const selector of selectors) {
-      const elements = document.querySelectorAll(selector);
-      for (const element of elements) {
-        const elementText = element.textContent?.trim() || '';
-        if (elementText.includes(productMeta.title?.substring(0, 20))) {
-          return element;
-        }
-      }
+  registerProductElements(products, productIds, session = this.session) {
+    products.forEach((product, index) => {
+      const productId = productIds[index];
+      if (!productId) return;
+
+      session.productIds.add(productId);
+      if (!product.element) return;
+
+      session.productElements.set(productId, product.element);
+      this.elementProductIds.set(product.element, productId);
+    });
+
+    this.incrementalCapture.markSeen(products.map(product => product.element));
+  }
+
+  isProductInAnySession(productId) {
+    for (const session of this.captureSessions.values()) {
+      if (session.productIds.has(productId)) return true;
     }
-    return null;
+    return false;
   }
 
   /**
-   * Mark all products currently on page as processed to avoid re-processing on scroll
+   * Serialize incremental ingestion so overlapping mutation bursts don't interleave
    */
-  markAllCurrentProductsAsProcessed() {
-    const currentProducts = this.getAllProductsOnPage();
-    let marked = 0;
-
-    for (const product of currentProducts) {
-      const productSignature = this.getProductSignature(product);
-      if (!this.processedProducts.has(productSignature)) {
-        this.processedProducts.add(productSignature);
-        marked++;
-      }
+  queueIncrementalIngestion(cards) {
+    this.ingestionQueue = this.ingestionQueue
+      .then(() => this.ingestNewCards(cards))
+      .catch(error => console.error('❌ Incremental ingestion failed:', error));
+    return this.ingestionQueue;
+  }
+
+  /**
+   * Ingest the cards queued during the session's capture that are still on the page
+   */
+  flushPendingCards(session) {
+    const cards = session.pendingCards.splice(0).filter(card => card.element.isConnected);
+    if (cards.length === 0 || session !== this.session) return;
+
+    console.log(`🆕 Ingesting ${cards.length} cards rendered during capture`);
+    this.queueIncrementalIngestion(cards);
+  }
+
+  /**
+   * Extract, embed and index only newly inserted or re-rendered cards,
+   * then score just those products against the active prompt
+   */
+  async ingestNewCards(cards) {
+    const session = this.session;
+
+    // Cards that show up mid-capture (lazy loading) may be missed by it: ingest them afterwards.
+    // Before any capture runs, the first full capture picks everything up.
+    if (this.isCapturing) {
+      session.pendingCards.push(...cards);
+      return;
+    }
+    if (!session.captureCompleted) return;
+
+    const elements = cards.map(card => card.element);
+
+    // Drop stale records for cards that were re-rendered with different content
+    const staleIds = cards
+      .filter(card => card.isRerender)
+      .map(card => this.elementProductIds.get(card.element))
+      .filter(Boolean);
+
+    if (staleIds.length > 0) {
+      staleIds.forEach(productId => {
+        session.productIds.delete(productId);
+        session.productElements.delete(productId);
+      });
+      await this.ragSystem.deleteProducts(staleIds.filter(productId => !this.isProductInAnySession(productId)));
+      cards.forEach(card => {
+        if (card.isRerender) this.clearElementHighlight(card.element);
+      });
     }
 
-    console.log(`📝 Marked ${marked} products as processed (total tracked: ${this.processedProducts.size})`);
+    this.incrementalCapture.markSeen(elements);
+    const products = await this.vectorSearch.captureProductsFromElements(elements);
+
+    // Products this session already indexed (e.g. after navigating back) only need their new element
+    const knownProducts = [];
+    const newProducts = [];
+    products.forEach(product => {
+      const productId = this.ragSystem.getProductId(product);
+      (session.productIds.has(productId) ? knownProducts : newProducts).push({ product, productId });
+    });
+
+    this.registerProductElements(knownProducts.map(k => k.product), knownProducts.map(k => k.productId), session);
+
+    if (newProducts.length === 0) return;
+
+    console.log(`🆕 Ingesting ${newProducts.length} new products (${knownProducts.length} already indexed)`);
+    const result = await this.ragSystem.processProductsForRAG(newProducts.map(n => n.product));
+    this.registerProductElements(newProducts.map(n => n.product), result.productIds, session);
+
+    if (!this.hasActivePrompts() || !this.isEnabled || session !== this.session) return;
+
+    console.log(`🎯 Scoring ${result.productIds.length} new products against ${this.prompts.getActive().length} prompts`);
+    await this.searchActivePrompts(result.productIds, session);
   }
 
   async fallbackToVectorSearch() {
@@ -503,14 +734,14 @@ class ProductHighlighter {
     this.showCaptureProgress();
 
     try {
-      // Auto-scroll and capture all products
-      await this.vectorSearch.captureAllProducts((progress) => {
-        console.log(`📊 Capture progress: ${progress.percentage}% (${progress.captured} products)`);
-        this.updateCaptureProgress(progress);
+      // Capture all products on the page
+      await this.vectorSearch.captureAllProducts({
+        onProgress: (progress) => this.updateCaptureProgress(progress)
       });
 
       console.log('✅ Product capture complete');
     } finally {
+      this.isCapturing = false;
       this.hideCaptureProgress();
     }
   }
@@ -576,7 +807,7 @@ class ProductHighlighter {
     const potentialProducts = [];
 
     productSelectors.forEach(selector => {
-      const elements = document.querySelectorAll(selector);
+      const elements = this.domTraversal.querySelectorAll(selector);
       elements.forEach(element => {
         if (!this.highlightedElements.has(element) && this.isVisibleProduct(element)) {
           potentialProducts.push({
@@ -709,7 +940,7 @@ class ProductHighlighter {
     const maxCandidates = isSentenceQuery ? 30 : 20; // More candidates for sentences
 
     ambiguousSelectors.forEach(selector => {
-      const elements = document.querySelectorAll(selector);
+      const elements = this.domTraversal.querySelectorAll(selector);
       Array.from(elements).slice(0, maxCandidates).forEach(element => {
         if (this.couldBeProduct(element) && !this.isAlreadyAnalyzed(element)) {
           candidates.push(element);
@@ -842,17 +1073,19 @@ class ProductHighlighter {
 
   // Extract meaningful keywords from sentence queries
   extractKeywordsFromSentence(sentence) {
-    const stopWords = ['i', 'am', 'looking', 'for', 'want', 'need', 'find', 'show', 'me', 'get', 'buy', 'purchase', 'a', 'an', 'the', 'and', 'or', 'with', 'that', 'have', 'has', 'is', 'are', 'in', 'on', 'at', 'to', 'from'];
+    const locale = this.localeSupport.detectLocale(sentence);
+    const stopWords = this.localeSupport.getStopwords(locale);
 
     const words = sentence.toLowerCase()
       .split(/\s+/)
       .filter(word => word.length > 2)
-      .filter(word => !stopWords.includes(word))
+      .filter(word => !stopWords.has(word))
       .filter(word => !/^\d+$/.test(word)); // Remove standalone numbers
 
-    // Prioritize likely product keywords
+    // Prioritize likely product keywords (product types in the query's language)
     const productKeywords = words.filter(word =>
-      /shoe|sneaker|boot|shirt|dress|jacket|phone|laptop|watch|bag|hat|jean|trouser|skirt/i.test(word)
+      this.facetExtractor.lookup(word, 'productTypes', locale) ||
+      /phone|laptop|watch/i.test(word)
     );
 
     return productKeywords.length > 0 ? productKeywords : words.slice(0, 3);
@@ -872,7 +1105,7 @@ class ProductHighlighter {
     const potentialProducts = [];
 
     productSelectors.forEach(selector => {
-      const elements = document.querySelectorAll(selector);
+      const elements = this.domTraversal.querySelectorAll(selector);
       elements.forEach(element => {
         if (!this.highlightedElements.has(element) && this.isVisibleProduct(element)) {
           const text = this.extractProductInfo(element).toLowerCase();
@@ -975,14 +1208,22 @@ class ProductHighlighter {
     return productInfo.trim().substring(0, 500);
   }
 
-  async calculateMatchScore(productText, userPrompt) {
+  async calculateMatchScore(productText, userPrompt, productInfo = {}) {
     try {
+      // Colours read from the product image count like colours named in the text
+      const imageColors = productInfo.imageColors || [];
+
       // Enhanced query parsing
       const queryAnalysis = this.analyzeQuery(userPrompt);
       const productLower = productText.toLowerCase();
 
+      // "cheapest" / "budget" / "premium" need the prices of the other candidates
+      if (productInfo.peerPrices) {
+        queryAnalysis.priceConstraints = this.priceParser.resolvePriceTiers(queryAnalysis.priceConstraints, productInfo.peerPrices);
+      }
+
       // NEW APPROACH: Check ALL required criteria first
-      const criteriaSatisfied = this.checkAllRequiredCriteria(productText, queryAnalysis);
+      const criteriaSatisfied = this.checkAllRequiredCriteria(productText, queryAnalysis, imageColors);
 
       // Debug logging for all queries to see what's happening
       if (queryAnalysis.keywords.length > 0) {
@@ -993,7 +1234,8 @@ class ProductHighlighter {
             keywords: queryAnalysis.keywords,
             colors: queryAnalysis.colors,
             brands: queryAnalysis.brands,
-            priceConstraints: queryAnalysis.priceConstraints
+            priceConstraints: queryAnalysis.priceConstraints,
+            exclusions: queryAnalysis.exclusions
           },
           criteriaSatisfied
         });
@@ -1003,7 +1245,10 @@ class ProductHighlighter {
       if (queryAnalysis.keywords.length === 0 &&
           queryAnalysis.colors.length === 0 &&
           queryAnalysis.brands.length === 0 &&
-          queryAnalysis.priceConstraints.length === 0) {
+          queryAnalysis.priceConstraints.length === 0 &&
+          queryAnalysis.exclusions.length === 0 &&
+          queryAnalysis.phrases.length === 0 &&
+          queryAnalysis.anyOf.length === 0) {
 
         console.log('No criteria extracted, falling back to simple matching for:', userPrompt);
 
@@ -1019,19 +1264,19 @@ class ProductHighlighter {
       }
 
       // Use a more flexible approach - require core keywords but be more lenient with attributes
-      if (!this.checkCoreRequirements(productText, queryAnalysis)) {
+      if (!this.checkCoreRequirements(productText, queryAnalysis, imageColors)) {
         return 0;
       }
 
       // If all required criteria are met, calculate quality score
       const scores = {
-        keyword: this.calculateKeywordScore(productLower, queryAnalysis.keywords),
-        exact: this.calculateExactScore(productLower, queryAnalysis.keywords),
+        keyword: this.calculateKeywordScore(productLower, [...queryAnalysis.keywords, ...queryAnalysis.phrases], queryAnalysis.locale),
+        exact: this.calculateExactScore(productLower, [...queryAnalysis.keywords, ...queryAnalysis.phrases]),
         semantic: this.calculateSemanticSimilarity(productText, queryAnalysis.coreQuery),
         price: this.calculatePriceScore(productText, queryAnalysis.priceConstraints),
         brand: this.calculateBrandScore(productLower, queryAnalysis.brands),
         category: this.calculateCategoryScore(productLower, queryAnalysis.categories),
-        color: this.calculateColorScore(productLower, queryAnalysis.colors),
+        color: this.calculateColorScore(productLower, queryAnalysis.colors, imageColors),
         attributes: this.calculateAttributeScore(productLower, queryAnalysis.attributes)
       };
 
@@ -1075,26 +1320,37 @@ class ProductHighlighter {
   analyzeQuery(userPrompt) {
     const prompt = userPrompt.toLowerCase();
 
+    // Language of the query (falls back to the page language); drives vocabulary, stemming and stopwords
+    const locale = this.localeSupport.detectLocale(userPrompt);
+
+    // Power-user syntax: brand:nike OR brand:adidas color:white price:<100 -leather "air force"
+    if (this.querySyntax.isStructured(userPrompt)) {
+      return this.analyzeStructuredQuery(userPrompt, locale);
+    }
+
     // Extract price constraints
     const priceConstraints = this.extractPriceConstraints(prompt);
 
-    // Extract brands
-    const brands = this.extractBrands(prompt);
+    // Negated terms ("not white", "no nike", "without heels") are excluded, not searched for
+    const exclusions = this.extractExclusions(prompt, priceConstraints, locale);
+    const positivePrompt = exclusions.reduce((text, exclusion) => text.replace(exclusion.raw, ' '), prompt);
 
-    // Extract categories
-    const categories = this.extractCategories(prompt);
+    // Brands, categories, colors and attributes from the shared vocabulary (synonyms and translations included)
+    const facets = this.facetExtractor.extract(positivePrompt, { locale });
+    const brands = facets.brands;
+    const categories = facets.categories;
+    const colors = facets.colors;
+    const attributes = this.extractAttributes(facets);
 
-    // Extract colors and attributes
-    const colors = this.extractColors(prompt);
-    const attributes = this.extractAttributes(prompt);
-
-    // Clean query by removing price words, brands, and filter words
-    const cleanedQuery = this.cleanQuery(prompt, priceConstraints, brands, colors, attributes);
+    // Clean query by removing price words and matched facet terms (product types stay as keywords)
+    const facetTerms = facets.matches.filter(match => !['productTypes', 'categories'].includes(match.facet));
+    const cleanedQuery = this.cleanQuery(positivePrompt, priceConstraints, facetTerms, locale);
 
     // Extract meaningful keywords from cleaned query
     const keywords = this.extractMeaningfulKeywords(cleanedQuery);
 
     return {
+      locale,
       coreQuery: cleanedQuery,
       keywords,
       priceConstraints,
@@ -1102,100 +1358,94 @@ class ProductHighlighter {
       categories,
       colors,
       attributes,
+      exclusions,
+      phrases: [],
+      anyOf: [],
+      structured: false,
       requiredCriteria: this.identifyRequiredCriteria(keywords, colors, attributes, brands, priceConstraints),
       hasPrice: priceConstraints.length > 0,
       hasBrand: brands.length > 0,
       hasColor: colors.length > 0,
-      hasAttributes: attributes.length > 0
+      hasAttributes: attributes.length > 0,
+      hasExclusions: exclusions.length > 0
     };
   }
 
-  extractPriceConstraints(prompt) {
-    const constraints = [];
-
-    // Match various price patterns
-    const pricePatterns = [
-      /(?:under|below|less than|max|maximum)\s*(\€|\$|£|usd|eur|gbp)?\s*(\d+(?:[.,]\d+)?)/gi,
-      /(?:above|over|more than|min|minimum)\s*(\€|\$|£|usd|eur|gbp)?\s*(\d+(?:[.,]\d+)?)/gi,
-      /(\€|\$|£)\s*(\d+(?:[.,]\d+)?)\s*(?:or less|max|maximum)/gi,
-      /(\d+(?:[.,]\d+)?)\s*(\€|\$|£|usd|eur|gbp)\s*(?:or less|max|maximum)/gi
-    ];
-
-    pricePatterns.forEach(pattern => {
-      let match;
-      while ((match = pattern.exec(prompt)) !== null) {
-        const value = parseFloat(match[2] || match[1]);
-        if (!isNaN(value)) {
-          constraints.push({
-            type: prompt.includes('under') || prompt.includes('below') || prompt.includes('less') || prompt.includes('max') ? 'max' : 'min',
-            value: value,
-            currency: match[1] || match[2] || '€'
-          });
-        }
-      }
-    });
+  /**
+   * Same criteria object as analyzeQuery, from the structured syntax
+   * Adds exact phrases and OR groups (anyOf: at least one criterion per group must match)
+   */
+  analyzeStructuredQuery(userPrompt, locale) {
+    const query = this.querySyntax.parse(userPrompt, { locale });
+    console.log('🧩 Structured query:', query);
 
-    return constraints;
+    return {
+      locale,
+      coreQuery: query.searchText,
+      keywords: query.keywords,
+      priceConstraints: query.priceConstraints,
+      brands: query.brands,
+      categories: query.categories,
+      colors: query.colors,
+      attributes: query.attributes,
+      exclusions: query.exclusions,
+      phrases: query.phrases,
+      anyOf: query.anyOf,
+      structured: true,
+      requiredCriteria: this.identifyRequiredCriteria(query.keywords, query.colors, query.attributes, query.brands, query.priceConstraints),
+      hasPrice: query.priceConstraints.length > 0,
+      hasBrand: query.brands.length > 0,
+      hasColor: query.colors.length > 0,
+      hasAttributes: query.attributes.length > 0,
+      hasExclusions: query.exclusions.length > 0
+    };
   }
 
-  extractBrands(prompt) {
-    const commonBrands = [
-      'nike', 'adidas', 'apple', 'samsung', 'sony', 'microsoft', 'google',
-      'amazon', 'hp', 'dell', 'lenovo', 'asus', 'acer', 'lg', 'philips',
-      'bosch', 'siemens', 'whirlpool', 'dyson', 'bose', 'beats', 'jbl'
-    ];
-
-    return commonBrands.filter(brand => prompt.includes(brand));
+  extractPriceConstraints(prompt) {
+    return this.priceParser.parseConstraints(prompt);
   }
 
-  extractCategories(prompt) {
-    const categories = {
-      electronics: ['phone', 'laptop', 'tablet', 'computer', 'headphones', 'speaker', 'tv', 'monitor'],
-      clothing: ['sneakers', 'shoes', 'shirt', 'pants', 'dress', 'jacket', 'hat', 'clothing'],
-      home: ['furniture', 'lamp', 'table', 'chair', 'bed', 'sofa', 'kitchen'],
-      sports: ['fitness', 'gym', 'running', 'basketball', 'football', 'tennis']
+  /**
+   * Exclusion criteria from negated query terms: { type, facet, value, raw }
+   * type is color, brand, material, attribute or keyword (product types and unknown words)
+   */
+  extractExclusions(prompt, priceConstraints = [], locale) {
+    // "no more than 100" is a price constraint, not an exclusion
+    const text = priceConstraints.reduce((remaining, constraint) => remaining.replace(constraint.raw.toLowerCase(), ' '), prompt);
+
+    const exclusionTypes = {
+      colors: 'color',
+      brands: 'brand',
+      materials: 'material',
+      sizes: 'attribute',
+      styles: 'attribute',
+      features: 'attribute',
+      genders: 'attribute'
     };
 
-    const detected = [];
-    Object.entries(categories).forEach(([category, words]) => {
-      if (words.some(word => prompt.includes(word))) {
-        detected.push(category);
-      }
-    });
-
-    return detected;
-  }
-
-  extractColors(prompt) {
-    const colors = [
-      'white', 'black', 'red', 'blue', 'green', 'yellow', 'orange', 'purple', 'pink', 'brown',
-      'gray', 'grey', 'silver', 'gold', 'beige', 'navy', 'turquoise', 'lime', 'maroon', 'olive'
-    ];
-
-    return colors.filter(color => {
-      const regex = new RegExp(`\\b${color}\\b`, 'i');
-      return regex.test(prompt);
-    });
+    return this.facetExtractor.extractExclusions(text, { locale }).map(exclusion => ({
+      type: exclusionTypes[exclusion.facet] || 'keyword',
+      facet: exclusion.facet,
+      value: exclusion.value,
+      raw: exclusion.raw
+    }));
   }
 
-  extractAttributes(prompt) {
-    const attributes = {
-      size: ['small', 'medium', 'large', 'xl', 'xxl', 'xs', 'size'],
-      material: ['cotton', 'leather', 'wool', 'silk', 'polyester', 'denim', 'canvas'],
-      style: ['casual', 'formal', 'sporty', 'vintage', 'modern', 'classic'],
-      features: ['waterproof', 'wireless', 'bluetooth', 'rechargeable', 'portable', 'lightweight']
+  /**
+   * Attribute criteria from query facets: { type, facet, value }
+   */
+  extractAttributes(facets) {
+    const attributeFacets = {
+      sizes: 'size',
+      materials: 'material',
+      styles: 'style',
+      features: 'features',
+      genders: 'gender'
     };
 
-    const detected = [];
-    Object.entries(attributes).forEach(([type, words]) => {
-      words.forEach(word => {
-        if (prompt.includes(word)) {
-          detected.push({ type, value: word });
-        }
-      });
-    });
-
-    return detected;
+    return Object.entries(attributeFacets).flatMap(([facet, type]) =>
+      facets[facet].map(value => ({ type, facet, value }))
+    );
   }
 
   identifyRequiredCriteria(keywords, colors, attributes, brands, priceConstraints) {
@@ -1229,9 +1479,14 @@ class ProductHighlighter {
     return criteria;
   }
 
-  cleanQuery(prompt, priceConstraints, brands, colors, attributes) {
+  cleanQuery(prompt, priceConstraints, facetTerms = [], locale = 'en') {
     let cleaned = prompt;
 
+    // Remove the parsed price constraints ("under 100 euros")
+    priceConstraints.forEach(constraint => {
+      cleaned = cleaned.replace(constraint.raw.toLowerCase(), ' ');
+    });
+
     // Remove price-related words
     const priceWords = ['under', 'below', 'less than', 'max', 'maximum', 'above', 'over', 'more than', 'min', 'minimum', 'cost', 'price', 'budget', 'cheap', 'expensive'];
     priceWords.forEach(word => {
@@ -1242,26 +1497,12 @@ class ProductHighlighter {
     cleaned = cleaned.replace(/[€$£]\s*\d+(?:[.,]\d+)?/g, '');
     cleaned = cleaned.replace(/\d+(?:[.,]\d+)?\s*[€$£]/g, '');
 
-    // Remove brands (they're handled separately)
-    brands.forEach(brand => {
-      cleaned = cleaned.replace(new RegExp(`\\b${brand}\\b`, 'gi'), '');
-    });
-
-    // Remove colors (they're handled separately)
-    colors.forEach(color => {
-      cleaned = cleaned.replace(new RegExp(`\\b${color}\\b`, 'gi'), '');
-    });
-
-    // Remove attributes (they're handled separately)
-    attributes.forEach(attr => {
-      cleaned = cleaned.replace(new RegExp(`\\b${attr.value}\\b`, 'gi'), '');
-    });
+    // Remove brands, colors and attributes (they're handled separately)
+    cleaned = this.facetExtractor.removeTerms(cleaned, facetTerms);
 
-    // Remove common filter words
-    const filterWords = ['that', 'in', 'with', 'for', 'or', 'and', 'the', 'a', 'an'];
-    filterWords.forEach(word => {
-      cleaned = cleaned.replace(new RegExp(`\\b${word}\\b`, 'gi'), '');
-    });
+    // Remove common filter words of the query's language
+    const stopwords = this.localeSupport.getStopwords(locale);
+    cleaned = cleaned.split(/\s+/).filter(word => word && !stopwords.has(word)).join(' ');
 
     return cleaned.trim();
   }
@@ -1277,11 +1518,11 @@ class ProductHighlighter {
     return keywords;
   }
 
-  calculateKeywordScore(productText, keywords) {
+  calculateKeywordScore(productText, keywords, locale) {
     if (keywords.length === 0) return 0;
 
     const matchCount = keywords.filter(keyword =>
-      productText.includes(keyword)).length;
+      this.productHasKeyword(productText, keyword, locale)).length;
 
     return matchCount / keywords.length;
   }
@@ -1304,50 +1545,186 @@ class ProductHighlighter {
     const prices = this.extractPricesFromText(productText);
     if (prices.length === 0) return 0.5; // No price found = neutral
 
-    // Check if any extracted price meets the constraints
-    return prices.some(price =>
-      priceConstraints.every(constraint =>
-        this.checkPriceConstraint(price, constraint)
-      )
-    ) ? 1 : 0;
+    // Best price against its weakest constraint ("around" prices score by closeness)
+    return Math.max(...prices.map(price =>
+      Math.min(...priceConstraints.map(constraint => this.scorePriceConstraint(price, constraint)))
+    ));
   }
 
+  /**
+   * Prices to compare against constraints - only the sale price, never a struck-through original
+   * The original price is kept on the sale price (original) for discount constraints
+   */
   extractPricesFromText(text) {
-    const prices = [];
-    const pricePatterns = [
-      /(\€|\$|£)\s*(\d+(?:[.,]\d+)?)/g,
-      /(\d+(?:[.,]\d+)?)\s*(\€|\$|£)/g
-    ];
+    const prices = this.priceParser.parse(text);
+    const salePrice = this.priceParser.pickSalePrice(prices);
+    if (!salePrice) return [];
 
-    pricePatterns.forEach(pattern => {
-      let match;
-      while ((match = pattern.exec(text)) !== null) {
-        const value = parseFloat((match[2] || match[1]).replace(',', '.'));
-        if (!isNaN(value)) {
-          prices.push(value);
-        }
+    const originalPrice = this.priceParser.pickOriginalPrice(prices);
+    const original = originalPrice && originalPrice.currency === salePrice.currency ? originalPrice.amount : undefined;
+    return [{ ...salePrice, original }];
+  }
+
+  checkPriceConstraint(price, constraint) {
+    // Discounts compare the sale price with the original price
+    if (constraint.type === 'discount') {
+      const discount = this.getDiscountPercent(price);
+      return discount !== null && discount >= constraint.value;
+    }
+
+    const converted = this.convertPriceForConstraint(price, constraint);
+    const { min, max } = this.getConstraintBounds(constraint);
+
+    // Ranges and "from" prices satisfy an upper bound if their lowest price fits
+    return (max === undefined || converted.amount <= max) &&
+           (min === undefined || (converted.max ?? converted.amount) >= min);
+  }
+
+  /**
+   * 0-1 score of a price against one constraint: 0 when it fails, 1 when it fits,
+   * and for "around" prices 0.5-1 depending on the distance to the target
+   */
+  scorePriceConstraint(price, constraint) {
+    if (!this.checkPriceConstraint(price, constraint)) return 0;
+    if (constraint.type !== 'around') return 1;
+
+    const converted = this.convertPriceForConstraint(price, constraint);
+    const distance = Math.abs(converted.amount - constraint.value) / (constraint.max - constraint.value);
+    return 1 - 0.5 * Math.min(distance, 1);
+  }
+
+  /**
+   * { min, max } of a constraint; unresolved price tiers have none and accept any price
+   */
+  getConstraintBounds(constraint) {
+    switch (constraint.type) {
+      case 'max': return { max: constraint.value };
+      case 'min': return { min: constraint.value };
+      default: return { min: constraint.min, max: constraint.max };
+    }
+  }
+
+  /**
+   * Percent saved against the original price, or null when there is no (higher) original price
+   */
+  getDiscountPercent(price) {
+    if (!price.original || price.original <= price.amount) return null;
+    return Math.round((1 - price.amount / price.original) * 100);
+  }
+
+  /**
+   * Express a price in the constraint's currency ("under $150" on a euro shop)
+   * Prices without a currency, or with one missing from the rate table, are compared as-is
+   */
+  convertPriceForConstraint(price, constraint) {
+    if (!constraint.currency || !price.currency || price.currency === constraint.currency) return price;
+    if (!this.currencyConverter.canConvert(price.currency, constraint.currency)) return price;
+
+    return {
+      ...price,
+      amount: this.currencyConverter.convert(price.amount, price.currency, constraint.currency),
+      max: price.max !== undefined ? this.currencyConverter.convert(price.max, price.currency, constraint.currency) : undefined,
+      currency: constraint.currency
+    };
+  }
+
+  /**
+   * Drop RAG matches whose stored price misses the prompt's price constraints,
+   * and add the (converted) price to the reason of those that pass
+   */
+  applyPriceConstraints(matches, prompt = this.userPrompt) {
+    // "cheapest" / "budget" / "premium" are relative to the prices of the matches
+    const constraints = this.priceParser.resolvePriceTiers(
+      this.analyzeQuery(prompt).priceConstraints,
+      matches.map(match => match.priceAmount)
+    );
+    if (constraints.length === 0) return matches;
+
+    return matches.filter(match => {
+      // No price found - be lenient for now
+      if (match.priceAmount === null || match.priceAmount === undefined) return true;
+
+      const price = {
+        amount: match.priceAmount,
+        currency: match.currency || null,
+        kind: match.priceKind || 'current',
+        original: match.originalPriceAmount ?? undefined
+      };
+      if (!constraints.every(constraint => this.checkPriceConstraint(price, constraint))) {
+        console.log(`💸 Price outside constraints, skipping: ${match.title}`);
+        return false;
       }
+
+      match.reason = `${match.reason} • ${this.describePriceMatch(price, constraints)}`;
+      return true;
     });
+  }
 
-    return prices;
+  /**
+   * Structured queries: drop RAG matches that miss a field term, phrase, OR group or exclusion
+   * (prices are handled by applyPriceConstraints). Natural-language prompts pass through unchanged.
+   */
+  applyQueryCriteria(matches, prompt = this.userPrompt) {
+    const queryAnalysis = this.analyzeQuery(prompt);
+    if (!queryAnalysis.structured) return matches;
+
+    const criteria = { ...queryAnalysis, priceConstraints: [] };
+    return matches.filter(match => {
+      const text = `${match.title || ''} ${match.brand || ''}`;
+      const result = this.checkAllRequiredCriteria(text, criteria, match.imageColors || []);
+      if (!result.allRequired) {
+        console.log(`🧩 Structured criteria not met (${[...result.missing, ...result.excluded].join(', ')}), skipping: ${match.title}`);
+      }
+      return result.allRequired;
+    });
   }
 
-  checkPriceConstraint(price, constraint) {
-    return constraint.type === 'max' ? price <= constraint.value : price >= constraint.value;
+  describePriceMatch(price, constraints) {
+    const original = this.currencyConverter.format(price.amount, price.currency);
+
+    const parts = constraints.map(constraint => {
+      if (constraint.type === 'discount') {
+        return `${original} (−${this.getDiscountPercent(price)}%, ≥ ${constraint.value}% off)`;
+      }
+
+      const converted = this.convertPriceForConstraint(price, constraint);
+      const limit = this.describePriceConstraint(constraint, constraint.currency || price.currency);
+      return converted !== price
+        ? `${original} ≈ ${this.currencyConverter.format(converted.amount, converted.currency)} (${limit})`
+        : `${original} (${limit})`;
+    });
+
+    return `Price: ${parts.join(', ')}`;
+  }
+
+  describePriceConstraint(constraint, currency) {
+    const format = (amount) => this.currencyConverter.format(amount, currency);
+
+    switch (constraint.type) {
+      case 'max': return `≤ ${format(constraint.value)}`;
+      case 'min': return `≥ ${format(constraint.value)}`;
+      case 'range': return `${format(constraint.min)} – ${format(constraint.max)}`;
+      case 'around': return `≈ ${format(constraint.value)}`;
+      case 'tier': {
+        const bound = constraint.max !== undefined ? ` ≤ ${format(constraint.max)}` : constraint.min !== undefined ? ` ≥ ${format(constraint.min)}` : '';
+        return `${constraint.value}${bound}`;
+      }
+      default: return constraint.raw;
+    }
   }
 
   calculateBrandScore(productText, brands) {
     if (brands.length === 0) return 1; // No brand requirement = perfect score
 
-    const matchingBrands = brands.filter(brand => productText.includes(brand));
+    const matchingBrands = brands.filter(brand => this.facetExtractor.hasFacet(productText, 'brands', brand));
     return matchingBrands.length / brands.length;
   }
 
   calculateCategoryScore(productText, categories) {
     if (categories.length === 0) return 1; // No category requirement = perfect score
 
-    // This is a simplified implementation - could be enhanced with more sophisticated category matching
-    return 1;
+    const matchingCategories = categories.filter(category => this.facetExtractor.hasFacet(productText, 'categories', category));
+    return matchingCategories.length / categories.length;
   }
 
   getAdaptiveWeights(queryAnalysis) {
@@ -1401,7 +1778,7 @@ class ProductHighlighter {
   /**
    * More flexible core requirements check
    */
-  checkCoreRequirements(productText, queryAnalysis) {
+  checkCoreRequirements(productText, queryAnalysis, imageColors = []) {
     const productLower = productText.toLowerCase();
 
     // 1. At least ONE core keyword must match (product type)
@@ -1412,7 +1789,8 @@ class ProductHighlighter {
                productLower.includes(keyword + 's') ||  // plural
                productLower.includes(keyword.slice(0, -1)) || // singular
                (keyword === 'sneakers' && productLower.includes('sneaker')) || // sneakers -> sneaker
-               (keyword === 'sneaker' && productLower.includes('sneakers'));   // sneaker -> sneakers
+               (keyword === 'sneaker' && productLower.includes('sneakers')) || // sneaker -> sneakers
+               this.productHasKeyword(productText, keyword, queryAnalysis.locale);
       }).length;
 
       console.log(`🔍 Keyword matching: ${keywordMatches}/${queryAnalysis.keywords.length} keywords found`);
@@ -1428,10 +1806,7 @@ class ProductHighlighter {
 
     // 2. If color is specified, it's REQUIRED (strict)
     if (queryAnalysis.colors.length > 0) {
-      const colorMatches = queryAnalysis.colors.some(color => {
-        const regex = new RegExp(`\\b${color}\\b`, 'i');
-        return regex.test(productText);
-      });
+      const colorMatches = queryAnalysis.colors.some(color => this.productHasColor(productText, color, imageColors));
       if (!colorMatches) {
         return false;
       }
@@ -1439,10 +1814,7 @@ class ProductHighlighter {
 
     // 3. If brand is specified, it's REQUIRED (strict)
     if (queryAnalysis.brands.length > 0) {
-      const brandMatches = queryAnalysis.brands.some(brand => {
-        const regex = new RegExp(`\\b${brand}\\b`, 'i');
-        return regex.test(productText);
-      });
+      const brandMatches = queryAnalysis.brands.some(brand => this.facetExtractor.hasFacet(productText, 'brands', brand));
       if (!brandMatches) {
         return false;
       }
@@ -1467,7 +1839,34 @@ class ProductHighlighter {
     }
 
     // 5. Attributes are less strict (optional boost)
-    // Don't block products for missing attributes
+    // Don't block products for missing attributes, only for a different target gender
+    const genders = queryAnalysis.attributes.filter(attr => attr.type === 'gender').map(attr => attr.value);
+    if (genders.length > 0) {
+      const productGender = this.facetExtractor.getGender(this.facetExtractor.extract(productText));
+      if (productGender !== 'unisex' && !genders.includes(productGender)) {
+        return false;
+      }
+    }
+
+    // 6. Exact phrases and OR groups of the structured syntax are strict
+    const missingPhrase = queryAnalysis.phrases.find(phrase => !productLower.includes(phrase));
+    if (missingPhrase) {
+      console.log(`❌ Missing exact phrase: "${missingPhrase}"`);
+      return false;
+    }
+    if (!queryAnalysis.anyOf.every(group => group.some(criterion =>
+      this.productMatchesCriterion(productText, criterion, imageColors, queryAnalysis.locale)))) {
+      console.log('❌ No alternative of an OR group matched');
+      return false;
+    }
+
+    // 7. Excluded terms ("not white", "no nike") are strict
+    const violated = queryAnalysis.exclusions.find(exclusion =>
+      this.productHasExclusion(productText, exclusion, imageColors, queryAnalysis.locale));
+    if (violated) {
+      console.log(`🚫 Product contains excluded ${violated.type}: ${violated.value}`);
+      return false;
+    }
 
     return true;
   }
@@ -1475,29 +1874,26 @@ class ProductHighlighter {
   /**
    * CRITICAL: Check that ALL required criteria are satisfied (AND logic)
    */
-  checkAllRequiredCriteria(productText, queryAnalysis) {
-    const productLower = productText.toLowerCase();
+  checkAllRequiredCriteria(productText, queryAnalysis, imageColors = []) {
     const missing = [];
 
     // Check ALL keywords are present
     for (const keyword of queryAnalysis.keywords) {
-      if (!productLower.includes(keyword)) {
+      if (!this.productHasKeyword(productText, keyword, queryAnalysis.locale)) {
         missing.push(`keyword:${keyword}`);
       }
     }
 
     // Check ALL colors are present
     for (const color of queryAnalysis.colors) {
-      const colorRegex = new RegExp(`\\b${color}\\b`, 'i');
-      if (!colorRegex.test(productText)) {
+      if (!this.productHasColor(productText, color, imageColors)) {
         missing.push(`color:${color}`);
       }
     }
 
     // Check ALL brands are present
     for (const brand of queryAnalysis.brands) {
-      const brandRegex = new RegExp(`\\b${brand}\\b`, 'i');
-      if (!brandRegex.test(productText)) {
+      if (!this.facetExtractor.hasFacet(productText, 'brands', brand)) {
         missing.push(`brand:${brand}`);
       }
     }
@@ -1521,38 +1917,99 @@ class ProductHighlighter {
 
     // Check ALL attributes are present
     for (const attr of queryAnalysis.attributes) {
-      const attrRegex = new RegExp(`\\b${attr.value}\\b`, 'i');
-      if (!attrRegex.test(productText)) {
+      if (!this.facetExtractor.hasFacet(productText, attr.facet, attr.value)) {
         missing.push(`attribute:${attr.value}`);
       }
     }
 
+    // Check ALL exact phrases are present, and one alternative of each OR group
+    queryAnalysis.phrases
+      .filter(phrase => !productText.toLowerCase().includes(phrase))
+      .forEach(phrase => missing.push(`phrase:${phrase}`));
+
+    queryAnalysis.anyOf
+      .filter(group => !group.some(criterion => this.productMatchesCriterion(productText, criterion, imageColors, queryAnalysis.locale)))
+      .forEach(group => missing.push(`any:${group.map(criterion => criterion.value ?? criterion.constraint.raw).join('|')}`));
+
+    // Check NO excluded term is present
+    const excluded = queryAnalysis.exclusions
+      .filter(exclusion => this.productHasExclusion(productText, exclusion, imageColors, queryAnalysis.locale))
+      .map(exclusion => `${exclusion.type}:${exclusion.value}`);
+
     return {
-      allRequired: missing.length === 0,
+      allRequired: missing.length === 0 && excluded.length === 0,
       missing: missing,
+      excluded: excluded,
       satisfied: queryAnalysis.keywords.length + queryAnalysis.colors.length +
-                queryAnalysis.brands.length + queryAnalysis.attributes.length - missing.length
+                queryAnalysis.brands.length + queryAnalysis.attributes.length +
+                queryAnalysis.phrases.length + queryAnalysis.anyOf.length - missing.length
     };
   }
 
-  calculateColorScore(productText, colors) {
+  calculateColorScore(productText, colors, imageColors = []) {
     if (colors.length === 0) return 1; // No color requirement = perfect score
 
-    const matchingColors = colors.filter(color => {
-      const regex = new RegExp(`\\b${color}\\b`, 'i');
-      return regex.test(productText);
-    });
+    const matchingColors = colors.filter(color => this.productHasColor(productText, color, imageColors));
 
     return matchingColors.length / colors.length;
   }
 
+  /**
+   * Colour named in the product text (any alias), or dominant in its image palette
+   */
+  productHasColor(productText, color, imageColors = []) {
+    return this.facetExtractor.hasFacet(productText, 'colors', color) || imageColors.includes(color);
+  }
+
+  /**
+   * Single criterion of an OR group: { type, facet, value } or { type: 'price', constraint }
+   */
+  productMatchesCriterion(productText, criterion, imageColors = [], locale) {
+    switch (criterion.type) {
+      case 'color': return this.productHasColor(productText, criterion.value, imageColors);
+      case 'keyword': return this.productHasKeyword(productText, criterion.value, locale);
+      case 'phrase': return productText.toLowerCase().includes(criterion.value);
+      case 'price':
+        return this.extractPricesFromText(productText).some(price => this.checkPriceConstraint(price, criterion.constraint));
+      case 'category':
+        return this.productHasExclusion(productText, { type: 'keyword', facet: 'categories', value: criterion.value });
+      default: return this.facetExtractor.hasFacet(productText, criterion.facet, criterion.value);
+    }
+  }
+
+  /**
+   * Does the product carry an excluded term? Only the dominant image colour counts for colours,
+   * so a black shoe with a white sole still passes "not white"
+   */
+  productHasExclusion(productText, exclusion, imageColors = [], locale) {
+    if (exclusion.type === 'color') {
+      return this.facetExtractor.hasFacet(productText, 'colors', exclusion.value) || imageColors[0] === exclusion.value;
+    }
+    if (exclusion.facet === 'productTypes' || exclusion.facet === null) {
+      return this.productHasKeyword(productText, exclusion.value, locale);
+    }
+    if (exclusion.facet === 'categories') {
+      const categoryTypes = this.facetExtractor.getCategoryTypes(exclusion.value);
+      return this.facetExtractor.hasFacet(productText, 'categories', exclusion.value) ||
+             this.facetExtractor.extract(productText).productTypes.some(type => categoryTypes.includes(type));
+    }
+    return this.facetExtractor.hasFacet(productText, exclusion.facet, exclusion.value);
+  }
+
+  /**
+   * Keyword in the product text, or a synonym of the same product type ("trainers" for "sneakers")
+   */
+  productHasKeyword(productText, keyword, locale) {
+    if (productText.toLowerCase().includes(keyword)) return true;
+
+    const productType = this.facetExtractor.lookup(keyword, 'productTypes', locale);
+    return !!productType && this.facetExtractor.hasFacet(productText, 'productTypes', productType);
+  }
+
   calculateAttributeScore(productText, attributes) {
     if (attributes.length === 0) return 1; // No attribute requirement = perfect score
 
-    const matchingAttributes = attributes.filter(attr => {
-      const regex = new RegExp(`\\b${attr.value}\\b`, 'i');
-      return regex.test(productText);
-    });
+    const matchingAttributes = attributes.filter(attr => this.facetExtractor.hasFacet(productText, attr.facet, attr.value));
 
     return matchingAttributes.length / attributes.length;
   }
@@ -1568,6 +2025,7 @@ class ProductHighlighter {
   }
 
   highlightProduct(element, score) {
+    this.domTraversal.ensureStylesheet(element, 'highlight.css');
     element.classList.remove('product-highlight', 'product-highlight-strong', 'product-highlight-medium');
 
     if (score >= 0.8) {
@@ -1581,59 +2039,38 @@ class ProductHighlighter {
     element.setAttribute('data-match-score', score.toFixed(2));
   }
 
+  clearElementHighlight(element) {
+    element.classList.remove(
+      'product-highlight',
+      'product-highlight-strong',
+      'product-highlight-medium',
+      'modern-badge'
+    );
+    element.removeAttribute('data-match-score');
+    this.removePromptBadges(element);
+    this.highlightedElements.delete(element);
+  }
+
   clearHighlights() {
-    // Remove all highlight classes including modern-badge
-    this.highlightedElements.forEach(element => {
-      element.classList.remove(
-        'product-highlight',
-        'product-highlight-strong',
-        'product-highlight-medium',
-        'modern-badge'
-      );
-      element.removeAttribute('data-match-score');
-    });
+    // Remove all highlight classes including modern-badge and the prompt badges
+    this.highlightedElements.forEach(element => this.clearElementHighlight(element));
     this.highlightedElements.clear();
 
     // Also clear any elements that might have been highlighted outside the tracked set
-    const allHighlighted = document.querySelectorAll('.product-highlight, .product-highlight-strong, .product-highlight-medium, .modern-badge');
-    allHighlighted.forEach(element => {
-      element.classList.remove(
-        'product-highlight',
-        'product-highlight-strong',
-        'product-highlight-medium',
-        'modern-badge'
-      );
-      element.removeAttribute('data-match-score');
-    });
+    const allHighlighted = this.domTraversal.querySelectorAll('.product-highlight, .product-highlight-strong, .product-highlight-medium, .modern-badge');
+    allHighlighted.forEach(element => this.clearElementHighlight(element));
 
     console.log(`🧹 Cleared ${allHighlighted.length} highlighted elements`);
   }
 
   applySiteSpecificOptimizations(domain) {
-    switch (domain) {
-      case 'amazon.com':
-      case 'amazon.co.uk':
-        this.siteSpecificRules.set('selectors', [
-          '[data-component-type="s-search-result"]',
-          '[data-asin]',
-          '.s-result-item'
-        ]);
-        break;
-      case 'ebay.com':
-        this.siteSpecificRules.set('selectors', [
-          '.s-item',
-          '[data-view="mi:1686|iid:1"]'
-        ]);
-        break;
-      case 'etsy.com':
-        this.siteSpecificRules.set('selectors', [
-          '[data-test-id="listing-card"]',
-          '.listing-link'
-        ]);
-        break;
-      default:
-        this.optimizedWeights = { keyword: 0.5, exact: 0.35, semantic: 0.15 };
-        break;
+    const adapter = this.siteAdapters.getAdapter(domain);
+
+    if (adapter.id !== 'generic') {
+      this.siteSpecificRules.set('selectors', adapter.cardSelectors);
+      this.siteSpecificRules.set('adapter', adapter.id);
+    } else {
+      this.optimizedWeights = { keyword: 0.5, exact: 0.35, semantic: 0.15 };
     }
   }
 
@@ -1667,6 +2104,8 @@ class ProductHighlighter {
     promptInput.className = 'ph-prompt-input';
     promptInput.placeholder = 'I search for white sneakers.';
     promptInput.value = this.userPrompt || '';
+    promptInput.title = 'Natural language, or syntax: brand:nike OR brand:adidas color:white price:<100 -leather "air force"';
+    promptInput.classList.toggle('structured', this.querySyntax.isStructured(promptInput.value));
 
     // Create toggle button
     this.toggleButton = document.createElement('button');
@@ -1681,6 +2120,41 @@ class ProductHighlighter {
     // Add prompt input to container
     promptContainer.appendChild(promptInput);
 
+    // Removable chips for excluded terms ("not white", "no nike"), shown under the search bar
+    this.exclusionChips = document.createElement('div');
+    this.exclusionChips.className = 'ph-exclusion-chips';
+
+    // One tab per named prompt, shown above the search bar
+    this.promptTabs = document.createElement('div');
+    this.promptTabs.className = 'ph-prompt-tabs';
+
+    // Saved searches quick-pick, opened from the button next to the input
+    const savedButton = document.createElement('button');
+    savedButton.type = 'button';
+    savedButton.className = 'ph-saved-button';
+    savedButton.textContent = '☆';
+    savedButton.title = 'Saved searches';
+    savedButton.setAttribute('aria-label', savedButton.title);
+    savedButton.addEventListener('click', (e) => {
+      e.stopPropagation();
+      this.toolbar.classList.toggle('saved-open');
+      this.hideSuggestions();
+    });
+    promptContainer.appendChild(savedButton);
+
+    this.savedMenu = document.createElement('div');
+    this.savedMenu.className = 'ph-saved-menu';
+
+    // Autocomplete from the query history, under the search bar
+    this.suggestionList = document.createElement('div');
+    this.suggestionList.className = 'ph-suggestions';
+    this.suggestionList.setAttribute('role', 'listbox');
+
+    // Keep focus in the prompt input so its blur handler doesn't collapse the toolbar
+    [savedButton, this.savedMenu, this.suggestionList].forEach(element => {
+      element.addEventListener('mousedown', (e) => e.preventDefault());
+    });
+
     // Add click handler for toggle
     this.toggleButton.addEventListener('click', (e) => {
       // If toolbar is extended and clicking the button, just toggle without closing prompt
@@ -1699,7 +2173,7 @@ class ProductHighlighter {
 
     // Show search bar on button hover (only if there's a query)
     this.toggleButton.addEventListener('mouseenter', () => {
-      if (this.isEnabled && this.userPrompt && this.userPrompt.trim().length > 0) {
+      if (this.isEnabled && this.prompts.getAll().some(entry => entry.prompt.trim().length > 0)) {
         this.toolbar.classList.add('extended');
       }
     });
@@ -1717,7 +2191,7 @@ class ProductHighlighter {
     this.toolbar.addEventListener('mouseleave', () => {
       const promptInput = this.toolbar.querySelector('.ph-prompt-input');
       if (!this.autoCollapseTimer && (!promptInput || document.activeElement !== promptInput)) {
-        this.toolbar.classList.remove('extended');
+        this.toolbar.classList.remove('extended', 'saved-open');
         // Save any changes made to the prompt
         if (promptInput && promptInput.value !== this.userPrompt) {
           this.updatePrompt(promptInput.value);
@@ -1729,6 +2203,27 @@ class ProductHighlighter {
     promptInput.addEventListener('input', (e) => {
       // Update prompt in real-time for immediate feedback
       this.userPrompt = e.target.value;
+      promptInput.classList.toggle('structured', this.querySyntax.isStructured(e.target.value));
+      this.scheduleSuggestions(e.target.value);
+    });
+
+    promptInput.addEventListener('focus', () => this.scheduleSuggestions(promptInput.value));
+
+    // Suggestion navigation; Enter on a highlighted suggestion fills it in before the keypress handler runs
+    promptInput.addEventListener('keydown', (e) => {
+      if (this.suggestions.length === 0) return;
+
+      if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        const step = e.key === 'ArrowDown' ? 1 : -1;
+        this.suggestionIndex = (this.suggestionIndex + step + this.suggestions.length + 1) % (this.suggestions.length + 1) - 1;
+        this.renderSuggestions();
+      } else if (e.key === 'Escape') {
+        this.hideSuggestions();
+      } else if (e.key === 'Enter' && this.suggestionIndex >= 0) {
+        promptInput.value = this.suggestions[this.suggestionIndex].query;
+        this.hideSuggestions();
+      }
     });
 
     promptInput.addEventListener('keypress', (e) => {
@@ -1745,7 +2240,11 @@ class ProductHighlighter {
       if (!this.autoCollapseTimer) {
         // Small delay to allow mouse leave events to be processed first
         setTimeout(() => {
-          this.toolbar.classList.remove('extended');
+          // Focus moved back (e.g. after selecting another prompt tab)
+          if (document.activeElement === promptInput) return;
+
+          this.hideSuggestions();
+          this.toolbar.classList.remove('extended', 'saved-open');
           // Save any changes made to the prompt
           if (promptInput.value !== this.userPrompt) {
             this.updatePrompt(promptInput.value);
@@ -1775,6 +2274,13 @@ class ProductHighlighter {
     // Assemble toolbar
     this.toolbar.appendChild(promptContainer);
     this.toolbar.appendChild(this.toggleButton);
+    this.toolbar.appendChild(this.exclusionChips);
+    this.toolbar.appendChild(this.promptTabs);
+    this.toolbar.appendChild(this.savedMenu);
+    this.toolbar.appendChild(this.suggestionList);
+    this.renderExclusionChips();
+    this.renderPromptTabs();
+    this.renderSavedSearches();
 
     // Add to page
     console.log('➕ Adding toolbar and edge tab to page...');
@@ -1820,23 +2326,363 @@ class ProductHighlighter {
 
   updatePrompt(newPrompt) {
     this.userPrompt = newPrompt;
+    this.prompts.update(this.selectedPromptId, { prompt: newPrompt });
+    this.applyPromptChanges();
+  }
 
+  /**
+   * Save the prompt list and re-score the page against every active prompt
+   */
+  applyPromptChanges() {
     // Save to storage
-    chrome.storage.sync.set({ userPrompt: this.userPrompt });
+    this.prompts.save();
+    this.renderExclusionChips();
+    this.renderPromptTabs();
 
     // Clear existing highlights
     this.clearHighlights();
 
-    // Re-run detection with new prompt
-    if (this.isEnabled && this.userPrompt) {
+    // Re-run detection with the new prompts
+    if (this.isEnabled && this.hasActivePrompts()) {
       this.detectProducts();
     }
 
     // Notify popup/background of the change
     chrome.runtime.sendMessage({
       action: 'updateSettings',
-      userPrompt: this.userPrompt
+      userPrompt: this.userPrompt,
+      prompts: this.prompts.getAll()
+    });
+  }
+
+  /**
+   * Make a prompt the one edited in the toolbar (unsaved text of the previous one is kept)
+   */
+  selectPrompt(id, { focus = false } = {}) {
+    const current = this.prompts.get(this.selectedPromptId);
+    if (current && id !== current.id && current.prompt !== this.userPrompt) {
+      this.updatePrompt(this.userPrompt);
+    }
+
+    const entry = this.prompts.get(id);
+    if (!entry) return;
+
+    this.selectedPromptId = entry.id;
+    this.userPrompt = entry.prompt;
+
+    const promptInput = this.toolbar?.querySelector('.ph-prompt-input');
+    if (promptInput) {
+      promptInput.value = entry.prompt;
+      promptInput.classList.toggle('structured', this.querySyntax.isStructured(entry.prompt));
+      if (focus) promptInput.focus();
+    }
+
+    this.renderExclusionChips();
+    this.renderPromptTabs();
+  }
+
+  addPrompt() {
+    const entry = this.prompts.add();
+    if (!entry) return;
+
+    console.log(`➕ Added prompt ${this.prompts.getAll().length}`);
+    this.selectPrompt(entry.id, { focus: true });
+    this.prompts.save();
+  }
+
+  removePrompt(id) {
+    const index = this.prompts.getAll().findIndex(entry => entry.id === id);
+    if (!this.prompts.remove(id)) return;
+
+    const remaining = this.prompts.getAll();
+    this.selectedPromptId = null;
+    this.selectPrompt(remaining[Math.min(index, remaining.length - 1)].id);
+    this.applyPromptChanges();
+  }
+
+  /**
+   * Show or hide one prompt's highlights without deleting it
+   */
+  togglePrompt(id) {
+    const entry = this.prompts.toggle(id);
+    if (!entry) return;
+
+    console.log(`${entry.enabled ? '👁️ Showing' : '🙈 Hiding'} highlights for "${this.prompts.getDisplayName(entry)}"`);
+    this.applyPromptChanges();
+  }
+
+  /**
+   * One tab per prompt: clicking selects it for editing, its colour dot toggles it,
+   * × removes the selected prompt and + adds a new one
+   */
+  renderPromptTabs() {
+    if (!this.promptTabs) return;
+
+    const entries = this.prompts.getAll();
+    const tabs = entries.map(entry => {
+      const tab = document.createElement('button');
+      tab.type = 'button';
+      tab.className = 'ph-prompt-tab';
+      tab.classList.toggle('selected', entry.id === this.selectedPromptId);
+      tab.classList.toggle('off', !entry.enabled);
+      tab.title = entry.prompt || 'Empty prompt';
+
+      const dot = document.createElement('span');
+      dot.className = 'ph-prompt-dot';
+      dot.style.background = entry.color;
+      dot.title = entry.enabled ? 'Hide these highlights' : 'Show these highlights';
+      dot.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.togglePrompt(entry.id);
+      });
+
+      const label = document.createElement('span');
+      label.textContent = this.prompts.getDisplayName(entry);
+      tab.append(dot, label);
+
+      if (entry.id === this.selectedPromptId && entries.length > 1) {
+        const remove = document.createElement('span');
+        remove.className = 'ph-prompt-remove';
+        remove.textContent = '×';
+        remove.title = 'Remove this prompt';
+        remove.addEventListener('click', (e) => {
+          e.stopPropagation();
+          this.removePrompt(entry.id);
+        });
+        tab.appendChild(remove);
+      }
+
+      tab.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.selectPrompt(entry.id, { focus: true });
+      });
+      return tab;
+    });
+
+    if (entries.length < this.prompts.maxPrompts) {
+      const add = document.createElement('button');
+      add.type = 'button';
+      add.className = 'ph-prompt-tab ph-prompt-add';
+      add.textContent = '+';
+      add.title = 'Add a prompt';
+      add.setAttribute('aria-label', add.title);
+      add.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.addPrompt();
+      });
+      tabs.push(add);
+    }
+
+    this.promptTabs.replaceChildren(...tabs);
+  }
+
+  /**
+   * Refresh autocomplete shortly after typing stops
+   */
+  scheduleSuggestions(input) {
+    clearTimeout(this.suggestTimer);
+    this.suggestTimer = setTimeout(async () => {
+      this.suggestions = await this.queryHistory.getSuggestions(input);
+      this.suggestionIndex = -1;
+      this.renderSuggestions();
+    }, 150);
+  }
+
+  hideSuggestions() {
+    clearTimeout(this.suggestTimer);
+    this.suggestions = [];
+    this.suggestionIndex = -1;
+    this.renderSuggestions();
+  }
+
+  /**
+   * Past queries with how often they ran and how well they did
+   */
+  renderSuggestions() {
+    if (!this.suggestionList) return;
+
+    const items = this.suggestions.map((suggestion, index) => {
+      const item = document.createElement('button');
+      item.type = 'button';
+      item.className = 'ph-suggestion';
+      item.classList.toggle('active', index === this.suggestionIndex);
+      item.setAttribute('role', 'option');
+
+      const text = document.createElement('span');
+      text.className = 'ph-suggestion-text';
+      text.textContent = suggestion.query;
+
+      const meta = document.createElement('span');
+      meta.className = 'ph-suggestion-meta';
+      meta.textContent = `${suggestion.count}× · ${Math.round(suggestion.successRate * 100)}% ✓`;
+      meta.title = `Searched ${suggestion.count} times, last ${suggestion.matchCount} matches`;
+
+      item.append(text, meta);
+      item.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.acceptSuggestion(suggestion);
+      });
+      return item;
+    });
+
+    this.suggestionList.replaceChildren(...items);
+    this.toolbar?.classList.toggle('suggesting', items.length > 0);
+  }
+
+  acceptSuggestion(suggestion) {
+    const promptInput = this.toolbar?.querySelector('.ph-prompt-input');
+    if (promptInput) promptInput.value = suggestion.query;
+
+    this.hideSuggestions();
+    this.updatePrompt(suggestion.query);
+  }
+
+  /**
+   * Put a saved search into the selected prompt (enabling it) without re-running detection
+   */
+  loadSavedSearch(search) {
+    this.prompts.update(this.selectedPromptId, {
+      prompt: search.prompt,
+      threshold: search.threshold,
+      enabled: true
+    });
+    this.selectPrompt(this.selectedPromptId);
+  }
+
+  activateSavedSearch(search) {
+    console.log(`📚 Using saved search "${search.name}"`);
+    this.loadSavedSearch(search);
+    this.savedSearches.markUsed(search.id);
+    this.toolbar?.classList.remove('saved-open');
+    this.applyPromptChanges();
+  }
+
+  /**
+   * Save the selected prompt to the library; with a domain it becomes that site's default
+   */
+  async saveCurrentSearch({ domain = '' } = {}) {
+    const prompt = this.userPrompt.trim();
+    if (!prompt) return null;
+
+    const entry = this.prompts.get(this.selectedPromptId);
+    const locale = this.localeSupport.detectLocale(prompt);
+    const { matches, ...facets } = this.facetExtractor.extract(prompt.toLowerCase(), { locale });
+
+    try {
+      const search = await this.savedSearches.add({
+        name: entry?.name || '',
+        prompt,
+        threshold: entry?.threshold ?? null,
+        facets: Object.fromEntries(Object.entries(facets).filter(([, values]) => values.length > 0)),
+        domain,
+        isDefault: !!domain
+      });
+      console.log(`💾 Saved search "${search.name}"${domain ? ` as default for ${search.domain}` : ''}`);
+      this.renderSavedSearches();
+      return search;
+    } catch (error) {
+      console.error('❌ Failed to save search:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Quick-pick: save actions, then this site's saved searches followed by unscoped ones
+   */
+  renderSavedSearches() {
+    if (!this.savedMenu) return;
+
+    const hostname = window.location.hostname;
+    const makeButton = (className, text, title, onClick) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = className;
+      button.textContent = text;
+      if (title) button.title = title;
+      button.addEventListener('click', (e) => {
+        e.stopPropagation();
+        onClick();
+      });
+      return button;
+    };
+
+    const actions = document.createElement('div');
+    actions.className = 'ph-saved-actions';
+    actions.append(
+      makeButton('ph-saved-action', '★ Save search', 'Save the current prompt', () => this.saveCurrentSearch()),
+      makeButton('ph-saved-action', '📌 Default here', `Save and activate automatically on ${hostname}`,
+        () => this.saveCurrentSearch({ domain: hostname }))
+    );
+
+    const searches = this.savedSearches.getForDomain(hostname);
+    const items = searches.map(search => {
+      const item = document.createElement('div');
+      item.className = 'ph-saved-item';
+
+      const pick = makeButton('ph-saved-pick', '', search.prompt, () => this.activateSavedSearch(search));
+      const name = document.createElement('span');
+      name.className = 'ph-saved-name';
+      name.textContent = `${search.isDefault ? '📌 ' : ''}${search.name}`;
+      const facets = document.createElement('span');
+      facets.className = 'ph-saved-facets';
+      facets.textContent = this.savedSearches.describeFacets(search);
+      pick.append(name, facets);
+
+      const remove = makeButton('ph-saved-remove', '×', 'Delete saved search',
+        () => this.savedSearches.remove(search.id).then(() => this.renderSavedSearches()));
+
+      item.append(pick, remove);
+      return item;
     });
+
+    if (items.length === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'ph-saved-empty';
+      empty.textContent = 'No saved searches yet';
+      items.push(empty);
+    }
+
+    this.savedMenu.replaceChildren(actions, ...items);
+  }
+
+  /**
+   * One chip per negated phrase of the prompt; clicking it drops the exclusion from the search
+   */
+  renderExclusionChips() {
+    if (!this.exclusionChips) return;
+
+    const phrases = this.userPrompt
+      ? [...new Set(this.analyzeQuery(this.userPrompt).exclusions.map(exclusion => exclusion.raw))]
+      : [];
+
+    const chips = phrases.map(raw => {
+      const chip = document.createElement('button');
+      chip.type = 'button';
+      chip.className = 'ph-exclusion-chip';
+      chip.textContent = raw;
+      chip.title = `Remove "${raw}" from the search`;
+      chip.setAttribute('aria-label', chip.title);
+
+      chip.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.removeExclusion(raw);
+      });
+      return chip;
+    });
+
+    this.exclusionChips.replaceChildren(...chips);
+    this.exclusionChips.classList.toggle('visible', chips.length > 0);
+  }
+
+  removeExclusion(raw) {
+    const pattern = new RegExp(raw.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+    const newPrompt = this.userPrompt.replace(pattern, ' ').replace(/\s+/g, ' ').trim();
+
+    const promptInput = this.toolbar?.querySelector('.ph-prompt-input');
+    if (promptInput) promptInput.value = newPrompt;
+
+    console.log(`🧹 Removed exclusion "${raw}" from the search`);
+    this.updatePrompt(newPrompt);
   }
 
   handleToggle() {
@@ -1856,14 +2702,14 @@ class ProductHighlighter {
     // Handle highlighting
     if (this.isEnabled) {
       // Re-run detection when enabled
-      if (this.userPrompt) {
+      if (this.hasActivePrompts()) {
         this.detectProducts();
       }
     } else {
       // Clear all highlights when disabled
       this.clearHighlights();
-      // Reset capture state
-      this.isCapturing = false;
+      // Stop any capture in progress
+      this.cancelCapture();
     }
 
     // Notify background script
@@ -1917,9 +2763,9 @@ class ProductHighlighter {
     this.isEnabled = false;
     this.toggleButton.classList.add('inactive');
 
-    // Clear all highlights when hiding toolbar
+    // Clear all highlights and stop any capture when hiding toolbar
     this.clearHighlights();
-    this.isCapturing = false;
+    this.cancelCapture();
 
     // Collapse search bar first, then slide out toolbar
     this.toolbar.classList.remove('extended');
@@ -1975,6 +2821,15 @@ class ProductHighlighter {
           0% complete • 0 products found
         </div>
       </div>
+      <button id="ph-progress-cancel" type="button" aria-label="Cancel product scan" style="
+        background: rgba(255, 255, 255, 0.2);
+        border: 1px solid rgba(255, 255, 255, 0.4);
+        color: white;
+        border-radius: 14px;
+        padding: 4px 12px;
+        font-size: 12px;
+        cursor: pointer;
+      ">Cancel</button>
       <style>
         @keyframes spin {
           0% { transform: rotate(0deg); }
@@ -1983,13 +2838,51 @@ class ProductHighlighter {
       </style>
     `;
 
+    progressOverlay.querySelector('#ph-progress-cancel').addEventListener('click', () => {
+      progressOverlay.querySelector('#ph-progress-text').textContent = 'Cancelling...';
+      this.cancelCapture();
+    });
+
+    this.captureStats = { productsExtracted: 0, chunksEmbedded: 0 };
     document.body.appendChild(progressOverlay);
   }
 
   updateCaptureProgress(progress) {
+    // Each pipeline stage owns a slice of the overall bar
+    const stageRanges = {
+      scanning: [0, 15],
+      crawling: [15, 25],
+      images: [25, 35],
+      indexing: [35, 40],
+      embedding: [40, 90],
+      storing: [90, 100]
+    };
+
+    const [start, end] = stageRanges[progress.stage] || [0, 100];
+    const fraction = progress.total > 0 ? progress.completed / progress.total : 1;
+    const percentage = Math.round(start + (end - start) * fraction);
+
+    const stats = this.captureStats || {};
+    if (progress.productsExtracted !== undefined) stats.productsExtracted = progress.productsExtracted;
+    if (progress.chunksEmbedded !== undefined) stats.chunksEmbedded = progress.chunksEmbedded;
+
+    const labels = {
+      scanning: ['Scanning products...', `${progress.completed}/${progress.total} elements scanned • ${stats.productsExtracted} products found`],
+      crawling: ['Crawling result pages...', `${progress.completed}/${progress.total} pages • ${stats.productsExtracted} products found`],
+      images: ['Analyzing product images...', `${progress.completed}/${progress.total} images analyzed`],
+      indexing: ['Indexing products...', `${progress.completed}/${progress.total} products indexed`],
+      embedding: ['Embedding products...', `${progress.completed}/${progress.total} products • ${stats.chunksEmbedded} chunks embedded`],
+      storing: ['Saving knowledge base...', `${progress.completed}/${progress.total} records stored`]
+    };
+    const [text, detail] = labels[progress.stage] || ['Scanning products...', ''];
+
+    const textElement = document.getElementById('ph-progress-text');
     const statsElement = document.getElementById('ph-progress-stats');
+    if (textElement && this.captureAbortController && !this.captureAbortController.signal.aborted) {
+      textElement.textContent = text;
+    }
     if (statsElement) {
-      statsElement.textContent = `${progress.percentage}% complete • ${progress.captured} products found`;
+      statsElement.textContent = `${percentage}% complete • ${detail}`;
     }
   }
 
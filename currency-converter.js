@@ -0,0 +1,147 @@
+/**
+ * Currency Converter
+ * Converts prices between currencies with a user-editable rate table kept in
+ * extension storage (no live exchange-rate service)
+ *
+ * Rate table shape: { base: 'EUR', rates: { USD: 1.08, GBP: 0.85, ... }, updatedAt }
+ * Each rate is the amount of that currency per 1 unit of base
+ */
+
+class CurrencyConverter {
+  constructor() {
+    this.storageKey = 'currencyRates';
+    this.table = CurrencyConverter.getDefaultTable();
+    this.isWatching = false;
+  }
+
+  static getDefaultTable() {
+    return {
+      base: 'EUR',
+      rates: {
+        EUR: 1,
+        USD: 1.08,
+        GBP: 0.85,
+        CHF: 0.95,
+        SEK: 11.5,
+        NOK: 11.6,
+        DKK: 7.46,
+        PLN: 4.3,
+        CZK: 25.2,
+        JPY: 163,
+        AUD: 1.65,
+        CAD: 1.48,
+        INR: 90,
+        BRL: 5.9,
+        HKD: 8.4,
+        NZD: 1.8,
+        SGD: 1.45,
+        MXN: 19.5,
+        ISK: 150
+      },
+      updatedAt: null
+    };
+  }
+
+  /**
+   * Load the rate table from storage and keep it in sync with later edits
+   */
+  async load() {
+    try {
+      const result = await chrome.storage.local.get([this.storageKey]);
+      if (result[this.storageKey]) {
+        this.table = this.validateTable(result[this.storageKey]);
+      }
+
+      if (this.isWatching) return this.table;
+      this.isWatching = true;
+
+      chrome.storage.onChanged.addListener((changes, areaName) => {
+        if (areaName !== 'local' || !changes[this.storageKey]?.newValue) return;
+        try {
+          this.table = this.validateTable(changes[this.storageKey].newValue);
+          console.log('💱 Currency rates updated');
+        } catch (error) {
+          console.log('Ignoring invalid currency rate table:', error.message);
+        }
+      });
+    } catch (error) {
+      console.log('Failed to load currency rates, using defaults:', error);
+    }
+
+    return this.table;
+  }
+
+  async save(table) {
+    this.table = this.validateTable({ ...table, updatedAt: new Date().toISOString() });
+    await chrome.storage.local.set({ [this.storageKey]: this.table });
+    return this.table;
+  }
+
+  /**
+   * Import a rate table from JSON text; throws with a readable message when invalid
+   */
+  async importJson(json) {
+    let table;
+    try {
+      table = JSON.parse(json);
+    } catch (error) {
+      throw new Error(`Rate table is not valid JSON: ${error.message}`);
+    }
+    return this.save(table);
+  }
+
+  exportJson() {
+    return JSON.stringify(this.table, null, 2);
+  }
+
+  validateTable(table) {
+    if (!table || typeof table !== 'object' || !table.rates || typeof table.rates !== 'object') {
+      throw new Error('Rate table needs a "rates" object');
+    }
+
+    const base = String(table.base || 'EUR').toUpperCase();
+    const rates = { [base]: 1 };
+
+    Object.entries(table.rates).forEach(([currency, rate]) => {
+      const value = Number(rate);
+      if (!/^[A-Z]{3}$/i.test(currency) || !Number.isFinite(value) || value <= 0) {
+        throw new Error(`Invalid rate for "${currency}": ${rate}`);
+      }
+      rates[currency.toUpperCase()] = currency.toUpperCase() === base ? 1 : value;
+    });
+
+    return { base, rates, updatedAt: table.updatedAt || null };
+  }
+
+  canConvert(from, to) {
+    return !!(from && to && this.table.rates[from] && this.table.rates[to]);
+  }
+
+  /**
+   * Convert an amount, or return null when either currency is not in the table
+   */
+  convert(amount, from, to) {
+    if (amount === null || amount === undefined) return null;
+    if (!from || !to || from === to) return amount;
+    if (!this.canConvert(from, to)) return null;
+
+    const inBase = amount / this.table.rates[from];
+    return Math.round(inBase * this.table.rates[to] * 100) / 100;
+  }
+
+  format(amount, currency) {
+    if (amount === null || amount === undefined) return '';
+    if (!currency) return amount.toFixed(2);
+
+    try {
+      return new Intl.NumberFormat(undefined, { style: 'currency', currency }).format(amount);
+    } catch (error) {
+      return `${amount.toFixed(2)} ${currency}`;
+    }
+  }
+}
+
+// Export for use in content script
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CurrencyConverter;
+}
@@ -0,0 +1,127 @@
+/**
+ * DOM Traversal
+ * Queries that also reach into open shadow roots and same-origin iframes,
+ * so product cards inside web components and embedded widgets are found
+ */
+
+class DOMTraversal {
+  /**
+   * The root plus every open shadow root and accessible iframe document below it
+   */
+  getRoots(root = document) {
+    const roots = [];
+
+    const visitInnerRoots = (node) => {
+      if (node.shadowRoot) {
+        visit(node.shadowRoot);
+      }
+      if (node.tagName === 'IFRAME' || node.tagName === 'FRAME') {
+        const frameDocument = this.getFrameDocument(node);
+        if (frameDocument) visit(frameDocument);
+      }
+    };
+
+    const visit = (current) => {
+      roots.push(current);
+      if (current.nodeType === Node.ELEMENT_NODE) visitInnerRoots(current);
+
+      const ownerDocument = current.ownerDocument || current;
+      const walker = ownerDocument.createTreeWalker(current, NodeFilter.SHOW_ELEMENT);
+      let node = walker.nextNode();
+
+      while (node) {
+        visitInnerRoots(node);
+        node = walker.nextNode();
+      }
+    };
+
+    visit(root);
+    return roots;
+  }
+
+  /**
+   * querySelectorAll across shadow roots and iframes (document order per root)
+   */
+  querySelectorAll(selector, root = document) {
+    const results = [];
+    this.getRoots(root).forEach(current => {
+      if (current.nodeType === Node.ELEMENT_NODE && current.matches(selector)) {
+        results.push(current);
+      }
+      results.push(...current.querySelectorAll(selector));
+    });
+    return results;
+  }
+
+  querySelector(selector, root = document) {
+    for (const current of this.getRoots(root)) {
+      const found = current.querySelector(selector);
+      if (found) return found;
+    }
+    return null;
+  }
+
+  /**
+   * Shadow hosts and iframe elements between the main document and an element, outermost first
+   */
+  getHostChain(element) {
+    const chain = [];
+    let root = element.getRootNode();
+
+    while (root && root !== document) {
+      const host = root.host || this.getFrameElement(root);
+      if (!host) break;
+      chain.unshift(host);
+      root = host.getRootNode();
+    }
+
+    return chain;
+  }
+
+  /**
+   * Shadow root or iframe document a host element opens into
+   */
+  getInnerRoot(host) {
+    return host.shadowRoot || this.getFrameDocument(host);
+  }
+
+  getFrameDocument(frame) {
+    try {
+      // Cross-origin frames throw or return null
+      const frameDocument = frame.contentDocument;
+      return frameDocument?.documentElement ? frameDocument : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  getFrameElement(frameDocument) {
+    try {
+      return frameDocument.defaultView?.frameElement || null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Page stylesheets don't reach into shadow roots or iframes - link the extension's own
+   */
+  ensureStylesheet(element, path) {
+    const root = element.getRootNode();
+    if (root === document) return;
+
+    const container = root.nodeType === Node.DOCUMENT_NODE ? root.head || root.documentElement : root;
+    if (!container || container.querySelector(`link[data-ph-stylesheet="${path}"]`)) return;
+
+    const link = (root.ownerDocument || root).createElement('link');
+    link.rel = 'stylesheet';
+    link.href = chrome.runtime.getURL(path);
+    link.setAttribute('data-ph-stylesheet', path);
+    container.appendChild(link);
+  }
+}
+
+// Export for use in content script
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = DOMTraversal;
+}
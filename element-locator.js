@@ -0,0 +1,184 @@
+/**
+ * Element Locator
+ * Records how to find a product card again (identity attributes, canonical link,
+ * CSS path, image) and resolves stored locators back to live elements
+ */
+
+class ElementLocator {
+  constructor(identity = new ProductIdentity(), traversal = new DOMTraversal()) {
+    this.identity = identity;
+    this.traversal = traversal;
+
+    // Attributes that usually identify the item a card shows
+    this.identityAttributes = [
+      'data-asin', 'data-sku', 'data-product-id', 'data-productid', 'data-item-id',
+      'data-listing-id', 'data-article-id', 'data-pid', 'data-gtin', 'data-ean', 'data-id'
+    ];
+  }
+
+  /**
+   * Build a serializable locator for a card element
+   */
+  createLocator(element, { cardSelector = '', link = '', image = '' } = {}) {
+    return {
+      attributes: this.getIdentityAttributes(element),
+      link: this.identity.canonicalizeUrl(link),
+      image: this.normalizeImage(image),
+      cssPath: this.getCssPath(element),
+      // Shadow hosts / iframes to pass through before applying cssPath
+      hostPaths: this.traversal.getHostChain(element).map(host => this.getCssPath(host)),
+      cardSelector
+    };
+  }
+
+  /**
+   * Find the live element for a locator, or null when no candidate matches unambiguously
+   */
+  resolve(locator, { title = '', root = document } = {}) {
+    if (!locator) return null;
+
+    const verify = (element) => this.matchesFingerprint(element, locator, title);
+
+    // 1. Identity attributes (data-asin, data-sku, ...)
+    const attributeSelector = Object.entries(locator.attributes || {})
+      .map(([name, value]) => `[${name}="${CSS.escape(value)}"]`)
+      .join('');
+    if (attributeSelector) {
+      const found = this.pickCandidate(this.traversal.querySelectorAll(attributeSelector, root), verify);
+      if (found) return found;
+    }
+
+    // 2. Canonical product link
+    if (locator.link) {
+      const cards = this.traversal.querySelectorAll('a[href]', root)
+        .filter(anchor => this.identity.canonicalizeUrl(anchor.href) === locator.link)
+        .map(anchor => (locator.cardSelector && anchor.closest(locator.cardSelector)) || anchor);
+      const found = this.pickCandidate(cards, verify);
+      if (found) return found;
+    }
+
+    // 3. Structural path, only trusted when the card still looks the same
+    if (locator.cssPath) {
+      try {
+        const innerRoot = (locator.hostPaths || []).reduce((current, hostPath) => {
+          const host = current?.querySelector(hostPath);
+          return host ? this.traversal.getInnerRoot(host) : null;
+        }, root);
+        const element = innerRoot?.querySelector(locator.cssPath);
+        if (element && verify(element)) return element;
+      } catch (error) {
+        console.log('Invalid stored CSS path:', locator.cssPath);
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * One candidate is taken as is; several are narrowed down by title and image
+   */
+  pickCandidate(candidates, verify) {
+    const unique = [...new Set(candidates)];
+    if (unique.length === 1) return unique[0];
+
+    const verified = unique.filter(verify);
+    return verified.length === 1 ? verified[0] : null;
+  }
+
+  matchesFingerprint(element, locator, title) {
+    if (title) {
+      const text = this.normalizeText(element.textContent);
+      if (!text.includes(this.normalizeText(title))) return false;
+    }
+
+    // Same name in another colour: the image tells them apart
+    if (locator.image) {
+      const images = Array.from(element.querySelectorAll('img'));
+      if (images.length > 0 && !images.some(img =>
+        this.getImageSources(img).some(src => this.normalizeImage(src) === locator.image)
+      )) {
+        return false;
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Every URL an image may be showing: src attributes plus all srcset candidates
+   * (the stored image is the preferred srcset candidate, which often is none of the src attributes)
+   */
+  getImageSources(img) {
+    const srcsets = [
+      img.getAttribute('srcset'),
+      img.dataset?.srcset,
+      ...Array.from(img.closest('picture')?.querySelectorAll('source[srcset]') || [], source => source.getAttribute('srcset'))
+    ].filter(Boolean);
+
+    const candidates = srcsets.flatMap(srcset => srcset.split(/,\s+(?=\S)/).map(entry => entry.trim().split(/\s+/)[0]));
+    return [img.currentSrc, img.src, img.dataset?.src, ...candidates].filter(Boolean);
+  }
+
+  getIdentityAttributes(element) {
+    const attributes = {};
+    this.identityAttributes.forEach(name => {
+      const value = element.getAttribute(name);
+      if (value && this.isStableToken(value)) {
+        attributes[name] = value;
+      }
+    });
+    return attributes;
+  }
+
+  /**
+   * tag:nth-of-type path within the element's own root (document, shadow root or iframe),
+   * up to the nearest stable id (hashed classes are ignored)
+   */
+  getCssPath(element) {
+    const parts = [];
+    let node = element;
+
+    while (node && node.nodeType === Node.ELEMENT_NODE && node.tagName !== 'BODY') {
+      if (node.id && this.isStableToken(node.id) && !/\d/.test(node.id)) {
+        parts.unshift(`#${CSS.escape(node.id)}`);
+        return parts.join(' > ');
+      }
+
+      const tag = node.tagName.toLowerCase();
+      const siblings = Array.from(node.parentElement?.children || []).filter(child => child.tagName === node.tagName);
+      parts.unshift(siblings.length > 1 ? `${tag}:nth-of-type(${siblings.indexOf(node) + 1})` : tag);
+      node = node.parentElement;
+    }
+
+    return (node ? ['body', ...parts] : parts).join(' > ');
+  }
+
+  /**
+   * Generated tokens (React useId, CSS-in-JS hashes) change between renders
+   */
+  isStableToken(token) {
+    return !!token &&
+           !token.includes(':') &&
+           !/^(css|sc|jsx|svelte|emotion|ember|react)-/i.test(token) &&
+           token.length <= 64;
+  }
+
+  normalizeImage(src) {
+    if (!src || src.startsWith('data:')) return '';
+    try {
+      const url = new URL(src, window.location.href);
+      return `${url.hostname}${url.pathname}`;
+    } catch (error) {
+      return '';
+    }
+  }
+
+  normalizeText(text) {
+    return (text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+  }
+}
+
+// Export for use in content script
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ElementLocator;
+}
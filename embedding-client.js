@@ -0,0 +1,209 @@
+/**
+ * Embedding Worker Client
+ * Content-script side of the embedding worker: batch embedding, the vector index and similarity
+ * search run in a dedicated worker so large listings don't stall the page. Content scripts can't
+ * start workers from extension URLs, so the worker's scripts (web accessible) are fetched and
+ * started from a blob. Where the page's CSP forbids that, the same EmbeddingEngine runs here
+ * instead, yielding between batches.
+ */
+
+class EmbeddingWorkerClient {
+  constructor(options = {}) {
+    this.locales = options.localeSupport || new LocaleSupport();
+    this.facets = options.facetExtractor || null;
+    this.scripts = [
+      'locale-support.js',
+      'facet-extractor.js',
+      'subword-embeddings.js',
+      'lightweight-embeddings.js',
+      'embedding-providers.js',
+      'ann-index.js',
+      'bm25-index.js',
+      'embedding-engine.js',
+      'embedding-worker.js'
+    ];
+    this.startTimeout = options.startTimeout || 5000;
+    this.onRestart = options.onRestart || null; // called when a failed worker is replaced (its index is gone)
+    this.initPayload = null; // last init, replayed by the in-process fallback
+    this.worker = null;
+    this.engine = null; // in-process fallback
+    this.ready = null;
+    this.requests = new Map(); // requestId -> { onProgress, settle }
+    this.nextRequestId = 1;
+  }
+
+  /**
+   * Start the worker once; falls back to the in-process engine if it can't run on this page
+   */
+  start() {
+    if (!this.ready) {
+      this.ready = this.startWorker().catch(error => {
+        console.warn('⚠️ Embedding worker unavailable, embedding on the page thread:', error.message);
+        this.worker = null;
+        this.engine = this.createEngine();
+      });
+    }
+    return this.ready;
+  }
+
+  async startWorker() {
+    const sources = await Promise.all(this.scripts.map(async file => {
+      const response = await fetch(chrome.runtime.getURL(file));
+      if (!response.ok) throw new Error(`${file} not found (${response.status})`);
+      return response.text();
+    }));
+
+    const url = URL.createObjectURL(new Blob(sources.map(source => `${source}\n`), { type: 'text/javascript' }));
+    try {
+      const worker = new Worker(url);
+
+      // The worker posts { type: 'ready' } once its scripts ran; a CSP block shows up as an error event
+      await new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error('Embedding worker did not start')), this.startTimeout);
+        worker.onmessage = (event) => {
+          if (event.data?.type !== 'ready') return;
+          clearTimeout(timer);
+          resolve();
+        };
+        worker.onerror = (event) => {
+          clearTimeout(timer);
+          event.preventDefault();
+          reject(new Error(event.message || 'Embedding worker failed to start'));
+        };
+      }).catch(error => {
+        worker.terminate();
+        throw error;
+      });
+
+      worker.onmessage = (event) => this.handleMessage(event.data);
+      worker.onerror = (event) => {
+        event.preventDefault();
+        this.failOver(new Error(event.message || 'Embedding worker error'));
+      };
+      this.worker = worker;
+      console.log('🧵 Embedding worker started');
+    } finally {
+      URL.revokeObjectURL(url);
+    }
+  }
+
+  /**
+   * The worker died after starting: fail its pending requests and continue on the page thread
+   * with the same provider; the owner re-sends the index through onRestart
+   */
+  failOver(error) {
+    console.error('❌ Embedding worker failed, embedding on the page thread from now on:', error.message);
+    this.worker.terminate();
+    this.worker = null;
+    this.requests.forEach(request => request.settle(error));
+
+    this.engine = this.createEngine();
+    const initPayload = this.initPayload;
+    this.ready = (initPayload ? this.engine.handle('init', initPayload) : Promise.resolve())
+      .then(() => {}, initError => console.error('❌ Embedding provider failed to load on the page thread:', initError));
+    this.onRestart?.();
+  }
+
+  createEngine() {
+    return new EmbeddingEngine({ facetExtractor: this.facets, localeSupport: this.locales });
+  }
+
+  handleMessage({ requestId, progress, result, error, name }) {
+    const request = this.requests.get(requestId);
+    if (!request) return; // cancelled
+
+    if (progress) {
+      request.onProgress?.(progress);
+    } else if (error !== undefined) {
+      const failure = new Error(error);
+      failure.name = name || 'Error';
+      request.settle(failure);
+    } else {
+      request.settle(null, result);
+    }
+  }
+
+  /**
+   * Send one engine message; aborting the signal cancels it and rejects with the abort reason
+   */
+  async request(type, payload = {}, { onProgress, signal } = {}) {
+    await this.start();
+    signal?.throwIfAborted();
+
+    if (!this.worker) {
+      return this.engine.handle(type, payload, { onProgress, isCancelled: () => signal?.aborted });
+    }
+
+    const requestId = this.nextRequestId++;
+    return new Promise((resolve, reject) => {
+      const cancel = () => {
+        this.worker.postMessage({ requestId, type: 'cancel' });
+        this.requests.delete(requestId);
+        reject(signal.reason);
+      };
+      signal?.addEventListener('abort', cancel, { once: true });
+
+      this.requests.set(requestId, {
+        onProgress,
+        settle: (error, result) => {
+          signal?.removeEventListener('abort', cancel);
+          this.requests.delete(requestId);
+          if (error) reject(error);
+          else resolve(result);
+        }
+      });
+      this.worker.postMessage({ requestId, type, payload });
+    });
+  }
+
+  /**
+   * Load an embedding provider (setting name) -> { id, dimension } of the one that loaded
+   */
+  async init(type) {
+    this.initPayload = { provider: type, baseUrl: chrome.runtime.getURL('') };
+    return this.request('init', this.initPayload);
+  }
+
+  /**
+   * Float32Array per text; progress events { completed, total } count texts
+   */
+  async embed(texts, { locale, onProgress, signal } = {}) {
+    return this.request('embed', { texts, locale: locale || this.locales.getPageLocale() }, { onProgress, signal });
+  }
+
+  /**
+   * Add stored chunks; a snapshot from exportIndex() saves rebuilding the graph for them
+   */
+  async index(chunks, snapshot = null) {
+    return this.request('index', { chunks, snapshot, locale: this.locales.getPageLocale() });
+  }
+
+  /**
+   * Indexed chunks most relevant to the text ({ locale, productIds, exclusions, maxChunks,
+   * threshold, exclusionPenalty, mode, lexicalWeight }), each with its similarity and score
+   */
+  async query(text, options = {}) {
+    const pageLocale = this.locales.getPageLocale();
+    return this.request('query', { ...options, text, locale: options.locale || pageLocale, pageLocale });
+  }
+
+  async remove(productIds) {
+    return this.request('remove', { productIds });
+  }
+
+  async clear() {
+    return this.request('clear');
+  }
+
+  /**
+   * The ANN graph of the current provider ({ provider, ... }), or null while it's empty
+   */
+  async exportIndex() {
+    return this.request('export');
+  }
+}
+
+// Export for use in content script
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = EmbeddingWorkerClient;
+}
@@ -0,0 +1,330 @@
+/**
+ * Embedding Engine
+ * Embedding provider plus in-memory indexes of the stored chunks: vectors (exact search over
+ * small candidate sets, the HNSW graph of ann-index.js over large ones) and BM25 over their
+ * text (bm25-index.js), fused for hybrid retrieval. Runs inside the
+ * embedding worker (embedding-worker.js), or in the content script when the page won't let
+ * the worker start; both drive it through handle() with the same messages:
+ *
+ *   init   { provider, baseUrl }                           -> { id, dimension }
+ *   embed  { texts, locale }                               -> Float32Array[] (progress: { completed, total })
+ *   index  { chunks, snapshot, locale }                    -> { indexed, skipped, products, restored } (replaces those
+ *                                                             products' chunks; snapshot: a graph from export)
+ *   query  { text, locale, pageLocale, productIds,
+ *            exclusions, maxChunks, threshold,
+ *            exclusionPenalty, mode, lexicalWeight }       -> chunks with similarity, score and exactMatch, best first
+ *   remove { productIds }                                  -> { products }
+ *   clear  {}                                              -> { products: 0 }
+ *   export {}                                              -> graph snapshot of the current provider, or null
+ */
+
+class EmbeddingEngine {
+  constructor(options = {}) {
+    this.locales = options.localeSupport || new LocaleSupport();
+    this.facets = options.facetExtractor || new FacetExtractor(FacetExtractor.getDefaultVocabulary(), this.locales);
+    this.batchSize = options.batchSize || 32; // texts embedded between progress reports (and cancellation checks)
+    this.bruteForceLimit = options.bruteForceLimit || 2000; // candidate chunks up to which exact search is cheap
+    this.rrfK = options.rrfK || 60; // reciprocal rank fusion constant (higher flattens the rank bonus)
+    this.baseUrl = null;
+    this.provider = null;
+    this.providerLoading = null;
+    this.index = new Map(); // productId -> [{ key, chunk, vector, norm }]
+    this.entries = new Map(); // key -> entry
+    this.graph = new HnswIndex();
+    this.lexical = new Bm25Index({ localeSupport: this.locales });
+  }
+
+  /**
+   * Run one protocol message; onProgress and isCancelled come from the caller's transport
+   */
+  async handle(type, payload = {}, { onProgress, isCancelled } = {}) {
+    switch (type) {
+      case 'init':
+        return this.init(payload.provider, payload.baseUrl);
+      case 'embed':
+        return this.embed(payload.texts, { locale: payload.locale, onProgress, isCancelled });
+      case 'index':
+        return this.indexChunks(payload.chunks, { snapshot: payload.snapshot, locale: payload.locale });
+      case 'query':
+        return this.query(payload);
+      case 'remove':
+        return this.remove(payload.productIds);
+      case 'clear':
+        this.clear();
+        return { products: 0 };
+      case 'export':
+        return this.exportGraph();
+      default:
+        throw new Error(`Unknown embedding engine message "${type}"`);
+    }
+  }
+
+  /**
+   * Load a provider (with the usual fallbacks); the index only holds vectors of the current one
+   */
+  async init(type, baseUrl = this.baseUrl) {
+    this.baseUrl = baseUrl;
+    this.providerLoading = EmbeddingProviders.load(type, {
+      facetExtractor: this.facets,
+      localeSupport: this.locales,
+      baseUrl
+    });
+
+    const previous = this.provider;
+    this.provider = await this.providerLoading;
+    if (previous && previous.id !== this.provider.id) this.clear();
+
+    return { id: this.provider.id, dimension: this.provider.dimension };
+  }
+
+  async getProvider() {
+    if (!this.providerLoading) throw new Error('Embedding engine used before init');
+    return this.providerLoading;
+  }
+
+  /**
+   * Embed in batches, yielding between them so progress and cancel messages get through
+   */
+  async embed(texts, { locale, onProgress, isCancelled } = {}) {
+    const provider = await this.getProvider();
+    const vectors = [];
+
+    for (let start = 0; start < texts.length; start += this.batchSize) {
+      if (isCancelled?.()) throw new DOMException('Embedding cancelled', 'AbortError');
+
+      const batch = texts.slice(start, start + this.batchSize);
+      vectors.push(...await provider.embed(batch, { locale }));
+      onProgress?.({ completed: vectors.length, total: texts.length });
+
+      await new Promise(resolve => setTimeout(resolve, 0));
+    }
+
+    return vectors;
+  }
+
+  /**
+   * Add stored chunks ({ productId, content, embedding, embeddingProvider, ... }); chunks of
+   * other providers are skipped, earlier chunks of the same products are replaced. A persisted
+   * graph is picked up while the index is still empty, so only chunks it lacks get inserted.
+   * The locale is the page's, for the BM25 terms.
+   */
+  async indexChunks(chunks = [], { snapshot = null, locale } = {}) {
+    const provider = await this.getProvider();
+    const byProduct = new Map();
+
+    chunks
+      .filter(chunk => chunk.embeddingProvider === provider.id)
+      .forEach(({ embedding, ...chunk }) => {
+        const vector = Float32Array.from(embedding);
+        const entries = byProduct.get(chunk.productId) || [];
+        // Keys are stable across captures, so an unchanged chunk keeps its place in the graph
+        entries.push({ key: `${chunk.productId}#${entries.length}`, chunk, vector, norm: this.getNorm(vector) });
+        byProduct.set(chunk.productId, entries);
+      });
+
+    let restored = false;
+    if (snapshot?.provider === provider.id && this.index.size === 0) {
+      const vectors = new Map([...byProduct.values()].flat().map(entry => [entry.key, entry.vector]));
+      const graph = HnswIndex.restore(snapshot, key => vectors.get(key));
+      if (graph) {
+        this.graph = graph;
+        restored = true;
+      }
+    }
+
+    const stale = [];
+    byProduct.forEach((entries, productId) => {
+      const keys = new Set(entries.map(entry => entry.key));
+      (this.index.get(productId) || []).forEach(entry => {
+        if (!keys.has(entry.key)) stale.push(entry.key);
+      });
+      this.index.set(productId, entries);
+    });
+    this.removeEntries(stale);
+
+    byProduct.forEach(entries => entries.forEach(entry => {
+      this.entries.set(entry.key, entry);
+      this.graph.add(entry.key, entry.vector);
+      this.lexical.add(entry.key, entry.chunk.content, locale);
+    }));
+
+    const indexed = [...byProduct.values()].reduce((sum, entries) => sum + entries.length, 0);
+    return { indexed, skipped: chunks.length - indexed, products: this.index.size, restored };
+  }
+
+  remove(productIds = []) {
+    const keys = productIds.flatMap(productId => (this.index.get(productId) || []).map(entry => entry.key));
+    productIds.forEach(productId => this.index.delete(productId));
+    this.removeEntries(keys);
+    return { products: this.index.size };
+  }
+
+  removeEntries(keys) {
+    keys.forEach(key => this.entries.delete(key));
+    this.graph.remove(keys);
+    this.lexical.remove(keys);
+  }
+
+  clear() {
+    this.index.clear();
+    this.entries.clear();
+    this.graph = new HnswIndex();
+    this.lexical = new Bm25Index({ localeSupport: this.locales });
+  }
+
+  exportGraph() {
+    if (!this.provider || this.graph.size === 0) return null;
+    return { provider: this.provider.id, ...this.graph.export() };
+  }
+
+  /**
+   * Chunks most relevant to the query text, ordered by score, which depends on the mode:
+   *   'vector'           cosine similarity of the embeddings
+   *   'bm25'             lexical score of the query terms
+   *   'hybrid-rrf'       reciprocal rank fusion of both rankings (1 = first in both)
+   *   'hybrid-weighted'  lexicalWeight × BM25 + (1 − lexicalWeight) × cosine
+   * Rank fusion says little about how well a chunk matches, so there similarity (what thresholds
+   * and confidences use) is the better of the two scores; otherwise it equals the score.
+   * Except in 'vector' mode, which ranks by embeddings alone, chunks containing an identifier
+   * from the query ("WH-1000XM4") come first with similarity 1; chunks that mention an excluded
+   * term are penalized.
+   */
+  async query({
+    text, locale, pageLocale, productIds, exclusions = [], maxChunks = 10, threshold = 0,
+    exclusionPenalty = 1, mode = 'vector', lexicalWeight = 0.5
+  }) {
+    const allowed = productIds ? new Set(productIds) : null;
+    const isAllowed = (key) => !allowed || allowed.has(this.entries.get(key).chunk.productId);
+    const depth = maxChunks * 2; // how far down each ranking is fused
+
+    const vectorRanking = mode === 'bm25' ? [] : await this.rankByVector(text, locale, allowed, depth);
+    const lexicalRanking = mode === 'vector' ? [] : this.lexical
+      .search(text, { locale: pageLocale, filter: allowed && isAllowed })
+      .map(({ key, score }) => ({ entry: this.entries.get(key), similarity: score, score }));
+
+    let scored;
+    switch (mode) {
+      case 'bm25':
+        scored = lexicalRanking;
+        break;
+      case 'hybrid-rrf':
+        scored = this.fuseRankings([
+          vectorRanking.filter(item => item.similarity > threshold).slice(0, depth),
+          lexicalRanking.slice(0, depth)
+        ]);
+        break;
+      case 'hybrid-weighted':
+        scored = this.blendScores(vectorRanking, lexicalRanking, lexicalWeight);
+        break;
+      default:
+        scored = vectorRanking;
+    }
+
+    // An identifier names one product, so its chunks are certain matches whatever the scores say
+    const byKey = new Map(scored.map(item => [item.entry.key, item]));
+    if (mode !== 'vector') {
+      this.lexical.getExactMatches(text).forEach(key => {
+        if (isAllowed(key)) byKey.set(key, { entry: this.entries.get(key), similarity: 1, score: 1, exactMatch: true });
+      });
+    }
+
+    const results = [];
+    byKey.forEach(({ entry, similarity, score, exactMatch = false }) => {
+      if (exclusions.some(exclusion => this.chunkHasExclusion(entry.chunk, exclusion, pageLocale))) {
+        similarity *= exclusionPenalty;
+        score *= exclusionPenalty;
+      }
+      if (similarity > threshold) results.push({ ...entry.chunk, similarity, score, exactMatch });
+    });
+
+    results.sort((a, b) => (b.exactMatch - a.exactMatch) || (b.score - a.score));
+    return results.slice(0, maxChunks);
+  }
+
+  /**
+   * [{ entry, similarity }] by cosine similarity, best first: exact scores for small candidate
+   * sets, otherwise the graph's nearest neighbours, searched wider when most of the index is
+   * filtered out
+   */
+  async rankByVector(text, locale, allowed, limit) {
+    const provider = await this.getProvider();
+    const [queryVector] = await provider.embed([text], { locale });
+    const queryNorm = this.getNorm(queryVector);
+    if (queryNorm === 0) return [];
+
+    const candidates = allowed
+      ? [...allowed].flatMap(productId => this.index.get(productId) || [])
+      : [...this.entries.values()];
+
+    if (candidates.length <= this.bruteForceLimit) {
+      return candidates
+        .filter(entry => entry.norm > 0)
+        .map(entry => {
+          const similarity = this.dot(queryVector, entry.vector) / (queryNorm * entry.norm);
+          return { entry, similarity, score: similarity };
+        })
+        .sort((a, b) => b.similarity - a.similarity);
+    }
+
+    const ef = Math.min(this.entries.size, Math.ceil(limit * this.entries.size / candidates.length));
+    return this.graph.search(queryVector, limit, {
+      ef: Math.max(ef, this.graph.efSearch),
+      filter: allowed && (key => allowed.has(this.entries.get(key).chunk.productId))
+    }).map(({ key, similarity }) => ({ entry: this.entries.get(key), similarity, score: similarity }));
+  }
+
+  /**
+   * Reciprocal rank fusion, scaled so a chunk ranked first in every non-empty ranking scores 1;
+   * similarity is the chunk's best score in any ranking
+   */
+  fuseRankings(rankings) {
+    const fused = new Map();
+    rankings.forEach(ranking => ranking.forEach(({ entry, similarity }, rank) => {
+      const item = fused.get(entry.key) || { entry, similarity: 0, score: 0 };
+      item.similarity = Math.max(item.similarity, similarity);
+      item.score += 1 / (this.rrfK + rank + 1);
+      fused.set(entry.key, item);
+    }));
+
+    const best = rankings.filter(ranking => ranking.length > 0).length / (this.rrfK + 1);
+    return [...fused.values()].map(item => ({ ...item, score: item.score / best }));
+  }
+
+  blendScores(vectorRanking, lexicalRanking, lexicalWeight) {
+    const blended = new Map();
+    vectorRanking.forEach(({ entry, similarity }) => {
+      blended.set(entry.key, { entry, similarity: (1 - lexicalWeight) * Math.max(0, similarity) });
+    });
+    lexicalRanking.forEach(({ entry, similarity }) => {
+      const item = blended.get(entry.key) || { entry, similarity: 0 };
+      item.similarity += lexicalWeight * similarity;
+      blended.set(entry.key, item);
+    });
+    return [...blended.values()].map(item => ({ ...item, score: item.similarity }));
+  }
+
+  /**
+   * Does a chunk mention an excluded term ({ facet, value } from the query analysis)?
+   * Chunks are in the page's language, which the worker can't look up itself
+   */
+  chunkHasExclusion(chunk, exclusion, locale) {
+    const content = chunk.content || '';
+    if (!exclusion.facet) return content.toLowerCase().includes(exclusion.value);
+    return this.facets.hasFacet(content, exclusion.facet, exclusion.value, locale);
+  }
+
+  dot(vec1, vec2) {
+    let sum = 0;
+    for (let i = 0; i < Math.min(vec1.length, vec2.length); i++) sum += vec1[i] * vec2[i];
+    return sum;
+  }
+
+  getNorm(vector) {
+    return Math.sqrt(this.dot(vector, vector));
+  }
+}
+
+// Export for use in content script
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = EmbeddingEngine;
+}
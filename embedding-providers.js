@@ -0,0 +1,153 @@
+/**
+ * Embedding Providers
+ * Interchangeable text encoders behind one interface:
+ *
+ *   provider.id          identifier stored with every vector the provider produced
+ *   provider.dimension   vector length
+ *   provider.init()      load the model; rejects when the provider can't run here
+ *   provider.embed(texts, { locale }) -> Promise<Float32Array[]>
+ *
+ * Vectors of different providers live in different spaces, so they're never compared.
+ *
+ * No Universal Sentence Encoder provider yet: tf.min.js and universal-sentence-encoder.min.js
+ * ship, but the model (model.json, weight shards, vocab.json) isn't packaged and fetching it
+ * from TF Hub isn't an option. A stored 'use' setting is migrated to 'lightweight'.
+ */
+
+/**
+ * Product vocabulary vectors (lightweight-embeddings.js): learned subword vectors when the
+ * packaged model loads, else the hand-crafted table
+ */
+class LightweightEmbeddingProvider {
+  constructor(options = {}) {
+    this.model = new LightweightEmbeddings(options);
+    this.id = 'lightweight-v1';
+    this.dimension = this.model.vectorSize;
+  }
+
+  async init() {
+    try {
+      await this.model.loadSubwordModel();
+      this.id = 'lightweight-subword-v1';
+      this.dimension = this.model.vectorSize;
+    } catch (error) {
+      console.warn('⚠️ Subword model unavailable, using crafted word vectors:', error.message);
+    }
+  }
+
+  async embed(texts, { locale } = {}) {
+    return texts.map(text => Float32Array.from(this.model.generateSentenceEmbedding(text, { locale })));
+  }
+}
+
+/**
+ * Baseline without any vocabulary: words, word pairs and character trigrams hashed into a
+ * fixed-size signed vector. Handles any language and typos, but knows no synonyms.
+ */
+class HashedNgramEmbeddingProvider {
+  constructor(options = {}) {
+    this.locales = options.localeSupport || null;
+    this.dimension = options.dimension || 256;
+    this.id = `hashed-ngram-v1-${this.dimension}`;
+    this.ngramSize = 3;
+    this.weights = { word: 1.0, bigram: 0.6, ngram: 0.4 };
+  }
+
+  async init() {}
+
+  async embed(texts, { locale } = {}) {
+    return texts.map(text => this.embedText(text, locale));
+  }
+
+  embedText(text, locale) {
+    const vector = new Float32Array(this.dimension);
+    const add = (feature, weight) => {
+      const hash = this.hash(feature);
+      vector[hash % this.dimension] += hash >>> 31 ? -weight : weight;
+    };
+
+    const words = this.tokenize(text, locale);
+    words.forEach((word, index) => {
+      add(`w:${word}`, this.weights.word);
+      if (index > 0) add(`b:${words[index - 1]} ${word}`, this.weights.bigram);
+
+      const padded = `<${word}>`;
+      for (let i = 0; i + this.ngramSize <= padded.length; i++) {
+        add(`c:${padded.substr(i, this.ngramSize)}`, this.weights.ngram);
+      }
+    });
+
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+    if (norm > 0) {
+      for (let i = 0; i < vector.length; i++) vector[i] /= norm;
+    }
+
+    return vector;
+  }
+
+  tokenize(text, locale) {
+    return text.toLowerCase()
+      .normalize('NFKD')
+      .replace(/\p{M}/gu, '')
+      .split(/[^\p{L}\p{N}]+/u)
+      .filter(word => word.length > 1 && !this.locales?.isStopword(word, locale));
+  }
+
+  /**
+   * 32-bit FNV-1a
+   */
+  hash(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
+}
+
+/**
+ * Provider lookup by setting name, with fallback to providers that always run
+ */
+class EmbeddingProviders {
+  static getTypes() {
+    return {
+      lightweight: LightweightEmbeddingProvider,
+      'hashed-ngram': HashedNgramEmbeddingProvider
+    };
+  }
+
+  static create(type, options = {}) {
+    const Provider = this.getTypes()[type];
+    if (!Provider) throw new Error(`Unknown embedding provider "${type}"`);
+    return new Provider(options);
+  }
+
+  /**
+   * Initialized provider of the requested type, else the first fallback that loads
+   */
+  static async load(type, options = {}) {
+    const candidates = [...new Set([type, 'lightweight', 'hashed-ngram'])];
+
+    for (const candidate of candidates) {
+      try {
+        const provider = this.create(candidate, options);
+        await provider.init();
+        return provider;
+      } catch (error) {
+        console.warn(`⚠️ Embedding provider "${candidate}" unavailable:`, error.message);
+      }
+    }
+
+    throw new Error('No embedding provider could be loaded');
+  }
+}
+
+// Export for use in content script
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    EmbeddingProviders,
+    LightweightEmbeddingProvider,
+    HashedNgramEmbeddingProvider
+  };
+}
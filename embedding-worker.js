@@ -0,0 +1,43 @@
+/**
+ * Embedding Worker
+ * Worker side of EmbeddingWorkerClient (embedding-client.js). The client bundles this file
+ * after the engine and its dependencies into one script, so everything below runs off the
+ * page's main thread.
+ *
+ * Messages in:  { requestId, type, payload }   (engine messages, see embedding-engine.js)
+ *               { requestId, type: 'cancel' }  stops an embed between batches
+ * Messages out: { type: 'ready' }              once, when the scripts have loaded
+ *               { requestId, progress }
+ *               { requestId, result }          typed array buffers are transferred
+ *               { requestId, error, name }
+ */
+
+const engine = new EmbeddingEngine();
+const cancelledRequests = new Set();
+
+self.onmessage = async (event) => {
+  const { requestId, type, payload } = event.data;
+
+  if (type === 'cancel') {
+    cancelledRequests.add(requestId);
+    return;
+  }
+
+  try {
+    const result = await engine.handle(type, payload, {
+      onProgress: (progress) => self.postMessage({ requestId, progress }),
+      isCancelled: () => cancelledRequests.has(requestId)
+    });
+
+    const buffers = Array.isArray(result)
+      ? [...new Set(result.filter(ArrayBuffer.isView).map(vector => vector.buffer))]
+      : [];
+    self.postMessage({ requestId, result }, buffers);
+  } catch (error) {
+    self.postMessage({ requestId, error: error.message, name: error.name });
+  } finally {
+    cancelledRequests.delete(requestId);
+  }
+};
+
+self.postMessage({ type: 'ready' });
@@ -77,6 +77,54 @@ class ExtensionEvaluator {
       ]
     });
 
+    this.testSuites.set('priceParsing', {
+      name: 'Price Parsing',
+      tests: [
+        {
+          name: 'Plain-space thousands (FR/PL)',
+          text: '1 299,00 €',
+          expected: { amount: 1299, currency: 'EUR' }
+        },
+        {
+          name: 'No-break-space thousands',
+          text: '1\u00a0299,00 €',
+          expected: { amount: 1299, currency: 'EUR' }
+        },
+        {
+          name: 'Plain-space thousands (Nordic)',
+          text: '12 999 kr',
+          expected: { amount: 12999, currency: 'SEK' }
+        },
+        {
+          name: 'Model number before a price in free text',
+          text: 'Nike Air Max 90 129,99 €',
+          expected: { amount: 129.99, currency: 'EUR' }
+        },
+        {
+          name: 'Pack size before a price in free text',
+          text: 'Pack of 3 100 €',
+          expected: { amount: 100, currency: 'EUR' }
+        },
+        {
+          name: 'Dollar sign on a Canadian shop',
+          text: '$49.99',
+          region: 'ca',
+          expected: { amount: 49.99, currency: 'CAD' }
+        },
+        {
+          name: 'Krone sign on a Norwegian shop',
+          text: '1 499 kr',
+          region: 'no',
+          expected: { amount: 1499, currency: 'NOK' }
+        },
+        {
+          name: 'Decimal comma without grouping',
+          text: '19,99 €',
+          expected: { amount: 19.99, currency: 'EUR' }
+        }
+      ]
+    });
+
     this.testSuites.set('performance', {
       name: 'Performance Benchmarks',
       tests: [
@@ -172,6 +220,9 @@ class ExtensionEvaluator {
       case 'performance':
         return await this.testPerformance(test);
 
+      case 'priceParsing':
+        return this.testPriceParsing(test);
+
       default:
         throw new Error(`Unknown test suite: ${suiteKey}`);
     }
@@ -234,6 +285,24 @@ class ExtensionEvaluator {
     };
   }
 
+  testPriceParsing(test) {
+    const startTime = performance.now();
+    const [price] = new PriceParser({ region: test.region }).parse(test.text);
+
+    const passed = price?.amount === test.expected.amount && price?.currency === test.expected.currency;
+
+    return {
+      passed,
+      score: passed ? 1.0 : 0.0,
+      details: {
+        text: test.text,
+        expected: test.expected,
+        actual: price ? { amount: price.amount, currency: price.currency } : null
+      },
+      duration: performance.now() - startTime
+    };
+  }
+
   // =============================================================================
   // PERFORMANCE BENCHMARKING
   // =============================================================================
@@ -146,6 +146,10 @@ class ProductHighlighterEvaluator {
 
     this.metrics.totalHighlights++;
 
+    // Credit the query history entries of the prompts that highlighted this product
+    const promptIds = (element.getAttribute('data-match-prompts') || '').split(' ').filter(Boolean);
+    window.productQueryHistory?.recordFeedback({ promptIds, query: feedbackData.userPrompt }, feedback);
+
     await this.saveMetrics();
     await this.analyzeAndOptimize();
   }
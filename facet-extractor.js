@@ -0,0 +1,476 @@
+/**
+ * Facet Extractor
+ * One vocabulary-driven extractor for colours, materials, styles, genders, product types,
+ * categories, sizes, features and brands, used for both product text and queries
+ *
+ * Vocabulary shape: { facet: { canonicalValue: [alias, ...] } }
+ * Aliases are matched as whole words (multi-word aliases allowed); English plural forms are
+ * generated and inflected forms in the active locale are matched through its stemmer, so only
+ * the base form needs listing. Category aliases may name product types, which pulls in all of
+ * that type's aliases. Non-English aliases come from LocaleSupport's per-locale vocabularies.
+ */
+
+class FacetExtractor {
+  constructor(vocabulary = FacetExtractor.getDefaultVocabulary(), locales = new LocaleSupport()) {
+    this.locales = locales;
+    this.facetNames = ['colors', 'materials', 'styles', 'genders', 'productTypes', 'categories', 'sizes', 'features', 'brands'];
+    this.cache = new Map(); // text -> facets
+    this.maxCacheSize = 1000;
+    // One-word compounds ("Wollmantel") are split into a head and a modifier naming one of these
+    this.compoundHeadFacets = ['productTypes', 'materials'];
+    this.compoundModifierFacets = ['materials', 'colors', 'genders'];
+    this.minCompoundPart = 3;
+    this.setVocabulary(vocabulary);
+  }
+
+  /**
+   * English base vocabulary; other languages add their aliases through LocaleSupport
+   */
+  static getDefaultVocabulary() {
+    return {
+      colors: {
+        white: ['white', 'ivory', 'cream', 'off white', 'offwhite'],
+        black: ['black', 'jet black'],
+        grey: ['grey', 'gray', 'charcoal', 'anthracite'],
+        silver: ['silver'],
+        red: ['red', 'burgundy', 'maroon', 'bordeaux'],
+        pink: ['pink', 'rose', 'blush', 'fuchsia'],
+        orange: ['orange', 'coral'],
+        yellow: ['yellow', 'mustard'],
+        gold: ['gold', 'golden'],
+        green: ['green', 'olive', 'khaki', 'lime', 'mint'],
+        turquoise: ['turquoise', 'teal'],
+        blue: ['blue', 'light blue', 'royal blue'],
+        navy: ['navy', 'navy blue', 'dark blue'],
+        purple: ['purple', 'violet', 'lilac', 'mauve'],
+        brown: ['brown', 'tan', 'cognac', 'chocolate'],
+        beige: ['beige', 'sand', 'camel', 'nude', 'taupe', 'ecru']
+      },
+      materials: {
+        leather: ['leather', 'genuine leather'],
+        suede: ['suede', 'nubuck'],
+        cotton: ['cotton'],
+        wool: ['wool', 'merino', 'cashmere'],
+        silk: ['silk'],
+        linen: ['linen'],
+        denim: ['denim'],
+        canvas: ['canvas'],
+        mesh: ['mesh', 'knit', 'flyknit', 'primeknit'],
+        polyester: ['polyester'],
+        nylon: ['nylon'],
+        synthetic: ['synthetic', 'vegan leather', 'faux leather']
+      },
+      styles: {
+        casual: ['casual', 'everyday'],
+        formal: ['formal', 'elegant', 'dressy', 'business'],
+        sporty: ['sporty', 'sport', 'athletic'],
+        vintage: ['vintage', 'retro'],
+        classic: ['classic', 'timeless'],
+        modern: ['modern', 'contemporary'],
+        slim: ['slim', 'slim fit', 'skinny', 'fitted'],
+        loose: ['loose', 'relaxed', 'oversized', 'baggy', 'relaxed fit']
+      },
+      genders: {
+        women: ['women', 'woman', 'womens', 'ladies', 'lady', 'female', 'girls'],
+        men: ['men', 'man', 'mens', 'male', 'gentlemen', 'boys'],
+        kids: ['kids', 'kid', 'children', 'child', 'junior', 'youth', 'toddler'],
+        unisex: ['unisex']
+      },
+      productTypes: {
+        sneaker: ['sneaker', 'trainer', 'kicks'],
+        running_shoe: ['running shoe', 'runner'],
+        shoe: ['shoe'],
+        boot: ['boot'],
+        sandal: ['sandal', 'slide', 'flip flop'],
+        heel: ['heel', 'pump', 'stiletto', 'high heel'],
+        flat: ['flat', 'ballet flat', 'loafer'],
+        dress: ['dress'],
+        shirt: ['shirt', 't-shirt', 'tee', 'blouse'],
+        pants: ['pants', 'pant', 'trousers', 'chinos'],
+        jeans: ['jeans', 'jean'],
+        shorts: ['shorts', 'bermuda'],
+        skirt: ['skirt'],
+        jacket: ['jacket', 'blazer', 'parka'],
+        coat: ['coat', 'trench'],
+        sweater: ['sweater', 'jumper', 'pullover', 'cardigan', 'jersey'],
+        hoodie: ['hoodie', 'sweatshirt'],
+        hat: ['hat', 'cap', 'beanie'],
+        bag: ['bag', 'backpack', 'handbag', 'tote'],
+        phone: ['phone', 'smartphone'],
+        laptop: ['laptop', 'notebook'],
+        tablet: ['tablet'],
+        computer: ['computer', 'pc', 'desktop'],
+        headphones: ['headphones', 'headphone', 'earbuds', 'earphones', 'headset'],
+        speaker: ['speaker'],
+        tv: ['tv', 'television'],
+        monitor: ['monitor'],
+        lamp: ['lamp'],
+        table: ['table', 'desk'],
+        chair: ['chair'],
+        sofa: ['sofa', 'couch'],
+        bed: ['bed']
+      },
+      categories: {
+        footwear: ['footwear', 'sneaker', 'running_shoe', 'shoe', 'boot', 'sandal', 'heel', 'flat'],
+        clothing: ['clothing', 'apparel', 'dress', 'shirt', 'pants', 'jeans', 'shorts', 'skirt', 'jacket', 'coat', 'sweater', 'hoodie', 'hat'],
+        electronics: ['electronics', 'phone', 'laptop', 'tablet', 'computer', 'headphones', 'speaker', 'tv', 'monitor'],
+        home: ['furniture', 'home', 'kitchen', 'lamp', 'table', 'chair', 'sofa', 'bed'],
+        sports: ['sports', 'fitness', 'gym', 'running', 'basketball', 'football', 'soccer', 'tennis', 'yoga', 'training']
+      },
+      sizes: {
+        XXS: ['xxs'],
+        XS: ['xs', 'extra small'],
+        S: ['small'],
+        M: ['medium'],
+        L: ['large'],
+        XL: ['xl', 'extra large'],
+        XXL: ['xxl', '2xl'],
+        XXXL: ['xxxl', '3xl']
+      },
+      features: {
+        waterproof: ['waterproof', 'water resistant', 'gore-tex', 'goretex'],
+        wireless: ['wireless', 'cordless'],
+        bluetooth: ['bluetooth'],
+        rechargeable: ['rechargeable'],
+        portable: ['portable'],
+        lightweight: ['lightweight', 'ultralight'],
+        breathable: ['breathable']
+      },
+      brands: Object.fromEntries([
+        'nike', 'adidas', 'puma', 'converse', 'vans', 'reebok', 'jordan', 'new balance', 'asics',
+        'under armour', 'fila', 'skechers', 'tommy hilfiger', 'calvin klein', 'ralph lauren', 'levis',
+        'apple', 'samsung', 'sony', 'microsoft', 'google', 'amazon', 'hp', 'dell', 'lenovo', 'asus',
+        'acer', 'lg', 'philips', 'bosch', 'siemens', 'whirlpool', 'dyson', 'bose', 'beats', 'jbl'
+      ].map(brand => [brand, [brand]])),
+      // Words that introduce a size ("size M", "Größe 42")
+      sizeMarkers: ['size', 'sz'],
+      // Single-letter sizes only count after a size marker
+      markedSizes: { s: 'S', m: 'M', l: 'L' }
+    };
+  }
+
+  /**
+   * Replace the base vocabulary (e.g. with a site-specific one); locale indexes are rebuilt lazily
+   */
+  setVocabulary(vocabulary) {
+    this.vocabulary = vocabulary;
+    this.indexes = new Map(); // locale -> { terms, stems, maxPhraseLength, sizeMarkers }
+    this.cache.clear();
+  }
+
+  /**
+   * Term index for a locale: base vocabulary plus the locale's aliases,
+   * keyed by normalized phrase and by stemmed phrase
+   */
+  getIndex(locale) {
+    if (this.indexes.has(locale)) return this.indexes.get(locale);
+
+    const localeVocabulary = this.locales.getVocabulary(locale);
+    const index = {
+      locale,
+      terms: new Map(), // normalized phrase -> [{ facet, value }]
+      stems: new Map(), // stemmed phrase -> [{ facet, value }]
+      maxPhraseLength: 1,
+      sizeMarkers: [...(this.vocabulary.sizeMarkers || []), ...(localeVocabulary.sizeMarkers || [])]
+    };
+
+    this.facetNames.forEach(facet => {
+      const values = new Set([...Object.keys(this.vocabulary[facet] || {}), ...Object.keys(localeVocabulary[facet] || {})]);
+      values.forEach(value => {
+        const aliases = [...(this.vocabulary[facet]?.[value] || []), ...(localeVocabulary[facet]?.[value] || [])];
+        this.expandAliases(facet, aliases, localeVocabulary).forEach(alias => {
+          this.addTerm(index, alias, facet, value, facet !== 'sizes');
+        });
+      });
+    });
+
+    this.indexes.set(locale, index);
+    return index;
+  }
+
+  /**
+   * Category aliases that name a product type stand for all of that type's aliases
+   */
+  expandAliases(facet, aliases, localeVocabulary = {}) {
+    if (facet !== 'categories') return aliases;
+
+    return aliases.flatMap(alias => {
+      const typeAliases = [...(this.vocabulary.productTypes?.[alias] || []), ...(localeVocabulary.productTypes?.[alias] || [])];
+      return typeAliases.length > 0 ? typeAliases : [alias];
+    });
+  }
+
+  addTerm(index, alias, facet, value, withPlurals) {
+    const tokens = this.tokenize(alias);
+    if (tokens.length === 0) return;
+
+    const phrase = tokens.join(' ');
+    const forms = withPlurals ? [phrase, ...this.pluralize(phrase)] : [phrase];
+    const add = (map, key) => {
+      const entries = map.get(key) || [];
+      if (!entries.some(entry => entry.facet === facet && entry.value === value)) {
+        entries.push({ facet, value });
+      }
+      map.set(key, entries);
+    };
+
+    forms.forEach(form => add(index.terms, form));
+    add(index.stems, this.stemPhrase(tokens, index.locale));
+    index.maxPhraseLength = Math.max(index.maxPhraseLength, tokens.length);
+  }
+
+  stemPhrase(tokens, locale) {
+    return tokens.map(token => this.locales.stem(token, locale)).join(' ');
+  }
+
+  /**
+   * English plural forms of the last word ("running shoe" -> "running shoes")
+   */
+  pluralize(phrase) {
+    const words = phrase.split(' ');
+    const last = words.pop();
+    const prefix = words.length > 0 ? words.join(' ') + ' ' : '';
+
+    if (/(s|x|z|ch|sh)$/.test(last)) return [`${prefix}${last}es`];
+    if (/[^aeiou]y$/.test(last)) return [`${prefix}${last.slice(0, -1)}ies`];
+    return [`${prefix}${last}s`];
+  }
+
+  /**
+   * Lowercased word tokens; possessives dropped ("women's" -> "women"), hyphens split, decimals kept ("10.5")
+   */
+  tokenize(text) {
+    return (text || '')
+      .toLowerCase()
+      .replace(/[’`]/g, "'")
+      .replace(/'s\b/g, '')
+      .replace(/(\d)[.,](\d)/g, '$1_$2')
+      .split(/[^\p{L}\p{N}_]+/u)
+      .filter(Boolean)
+      .map(token => token.replace(/_/g, '.'));
+  }
+
+  /**
+   * Normalized facets for a piece of text:
+   * { colors, materials, styles, genders, productTypes, categories, sizes, features, brands, matches }
+   * matches lists the matched text terms ({ facet, value, term, start }) so callers can strip them from queries;
+   * start is the index of the term's first token
+   * Product text uses the page locale; pass the prompt's locale for queries
+   */
+  extract(text, { locale = this.locales.getPageLocale() } = {}) {
+    const cacheKey = `${locale}|${text}`;
+    if (this.cache.has(cacheKey)) return this.cache.get(cacheKey);
+
+    const facets = Object.fromEntries(this.facetNames.map(facet => [facet, []]));
+    facets.matches = [];
+
+    const add = (facet, value, term, start) => {
+      if (!facets[facet].includes(value)) facets[facet].push(value);
+      facets.matches.push({ facet, value, term, start });
+    };
+
+    const index = this.getIndex(locale);
+    const tokens = this.tokenize(text);
+    const stemmedTokens = tokens.map(token => this.locales.stem(token, locale));
+    const markedSizes = this.vocabulary.markedSizes || {};
+
+    let i = 0;
+    while (i < tokens.length) {
+      // "size M", "Größe 42"
+      const next = tokens[i + 1];
+      if (index.sizeMarkers.includes(tokens[i]) && next) {
+        const size = markedSizes[next] || this.lookup(next, 'sizes', locale) || (/^\d+(\.\d+)?$/.test(next) ? next : null);
+        if (size) {
+          add('sizes', size, `${tokens[i]} ${next}`, i);
+          i += 2;
+          continue;
+        }
+      }
+
+      // Longest vocabulary phrase starting here, as written or inflected ("weiße" -> "weiß")
+      let matched = false;
+      for (let length = Math.min(index.maxPhraseLength, tokens.length - i); length > 0; length--) {
+        const phrase = tokens.slice(i, i + length).join(' ');
+        const entries = index.terms.get(phrase) || index.stems.get(stemmedTokens.slice(i, i + length).join(' '));
+        if (entries) {
+          entries.forEach(entry => add(entry.facet, entry.value, phrase, i));
+          i += length;
+          matched = true;
+          break;
+        }
+      }
+      if (!matched) {
+        this.matchCompound(tokens[i], index).forEach(entry => add(entry.facet, entry.value, tokens[i], i));
+        i++;
+      }
+    }
+
+    if (this.cache.size >= this.maxCacheSize) this.cache.clear();
+    this.cache.set(cacheKey, facets);
+    return facets;
+  }
+
+  /**
+   * Facets of a one-word compound in languages that write them ("Wollmantel" -> wool coat,
+   * "Damenjacke" -> women's jacket): the longest known head, then its modifier with or
+   * without a linking element. [] when no head is found.
+   */
+  matchCompound(token, index) {
+    const links = this.locales.getCompoundLinks(index.locale);
+    if (!links) return [];
+
+    const lookup = (term, facets) => {
+      const entries = index.terms.get(term) || index.stems.get(this.locales.stem(term, index.locale)) || [];
+      return entries.some(entry => facets.includes(entry.facet)) ? entries : null;
+    };
+
+    for (let split = this.minCompoundPart; split <= token.length - this.minCompoundPart; split++) {
+      const head = lookup(token.slice(split), this.compoundHeadFacets);
+      if (!head) continue;
+
+      const modifier = token.slice(0, split);
+      const modifierForms = [
+        modifier,
+        `${modifier}e`, // "Woll-mantel" from "Wolle"
+        ...links.filter(link => modifier.endsWith(link)).map(link => modifier.slice(0, -link.length))
+      ].filter(form => form.length >= this.minCompoundPart);
+
+      const modifierEntries = modifierForms
+        .map(form => lookup(form, this.compoundModifierFacets))
+        .find(Boolean) || [];
+
+      return [
+        ...modifierEntries.filter(entry => this.compoundModifierFacets.includes(entry.facet)),
+        ...head
+      ];
+    }
+
+    return [];
+  }
+
+  /**
+   * Negated terms of a query ("sneakers not white", "no Nike or Adidas", "ohne Absatz"):
+   * [{ facet, value, term, raw }] - facet is null for plain keywords, raw is the negated phrase as written
+   * A negation covers the next term, plus terms of the same facet joined by "or"/"and"
+   */
+  extractExclusions(text, { locale = this.locales.getPageLocale() } = {}) {
+    const source = text || '';
+    const negations = this.locales.getNegations(locale);
+    const conjunctions = this.locales.getConjunctions(locale);
+    const pattern = new RegExp(
+      `(?<![\\p{L}\\p{N}'])(${negations.map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|')})\\s+([^,.;!?]+)`,
+      'giu'
+    );
+    const exclusions = [];
+
+    let match;
+    while ((match = pattern.exec(source)) !== null) {
+      const scope = match[2];
+      const scopeStart = match.index + match[0].length - scope.length;
+      const tokens = this.tokenize(scope);
+      const { matches } = this.extract(scope, { locale });
+      const negated = [];
+
+      // Skip filler words ("not in white", "without any leather")
+      let i = 0;
+      while (i < tokens.length && this.locales.isStopword(tokens[i], locale) && !conjunctions.includes(tokens[i])) i++;
+
+      let end = 0;
+      while (i < tokens.length) {
+        // A product type also names its category ("heels" -> footwear); only the type is negated
+        const atToken = matches.filter(candidate => candidate.start === i);
+        const termMatches = atToken.some(candidate => candidate.facet === 'productTypes')
+          ? atToken.filter(candidate => candidate.facet !== 'categories')
+          : atToken;
+        const facet = negated[0]?.facet;
+
+        if (termMatches.length > 0 && (negated.length === 0 || termMatches.some(candidate => candidate.facet === facet))) {
+          termMatches
+            .filter(candidate => negated.length === 0 || candidate.facet === facet)
+            .forEach(candidate => negated.push({ facet: candidate.facet, value: candidate.value, term: candidate.term }));
+          i += termMatches[0].term.split(' ').length;
+        } else if (negated.length === 0 && termMatches.length === 0 && !/^\d/.test(tokens[i]) && !negations.includes(tokens[i])) {
+          negated.push({ facet: null, value: tokens[i], term: tokens[i] });
+          i++;
+        } else {
+          break;
+        }
+
+        end = i;
+        if (negated[0].facet === null || !conjunctions.includes(tokens[i])) break;
+        i++;
+      }
+
+      if (negated.length === 0) {
+        pattern.lastIndex = match.index + match[1].length;
+        continue;
+      }
+
+      // Raw phrase runs from the negation to the end of the last negated token
+      const wordPattern = /[\p{L}\p{N}]+(?:[.,]\p{N}+)*(?:['’]s\b)?/gu;
+      let scopeEnd = 0;
+      for (let count = 0; count < end && wordPattern.exec(scope); count++) {
+        scopeEnd = wordPattern.lastIndex;
+      }
+
+      const raw = source.slice(match.index, scopeStart + scopeEnd);
+      negated.forEach(exclusion => exclusions.push({ ...exclusion, raw }));
+      pattern.lastIndex = scopeStart + scopeEnd;
+    }
+
+    return exclusions;
+  }
+
+  /**
+   * Remove matched terms from the original text ("women's off-white coat" - [women, off white] -> "coat")
+   */
+  removeTerms(text, matches) {
+    return matches.reduce((remaining, match) => {
+      const pattern = match.term.split(' ')
+        .map(token => token.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+        .join('[^\\p{L}\\p{N}]+');
+      return remaining.replace(new RegExp(`(?<![\\p{L}\\p{N}])${pattern}(?:['’]s)?(?![\\p{L}\\p{N}])`, 'giu'), ' ');
+    }, text).replace(/\s+/g, ' ').trim();
+  }
+
+  /**
+   * Canonical value of a single word or phrase in one facet, or null
+   */
+  lookup(term, facet, locale = this.locales.getPageLocale()) {
+    return this.lookupEntries(term, locale).find(entry => entry.facet === facet)?.value || null;
+  }
+
+  lookupEntries(term, locale = this.locales.getPageLocale()) {
+    const index = this.getIndex(locale);
+    const tokens = this.tokenize(term);
+    return index.terms.get(tokens.join(' ')) || index.stems.get(this.stemPhrase(tokens, locale)) || [];
+  }
+
+  /**
+   * Does the text carry this facet value (in any alias of the locale)?
+   */
+  hasFacet(text, facet, value, locale) {
+    return this.extract(text, locale ? { locale } : {})[facet].includes(value);
+  }
+
+  /**
+   * Single target gender, or 'unisex' when none or several are named
+   */
+  getGender(facets) {
+    const genders = facets.genders.filter(gender => gender !== 'unisex');
+    return genders.length === 1 ? genders[0] : 'unisex';
+  }
+
+  /**
+   * Product types that belong to a category (e.g. footwear -> sneaker, boot, ...)
+   */
+  getCategoryTypes(category) {
+    const types = this.vocabulary.productTypes || {};
+    return (this.vocabulary.categories?.[category] || []).filter(alias => types[alias]);
+  }
+}
+
+// Export for use in content script
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = FacetExtractor;
+}
@@ -0,0 +1,298 @@
+/**
+ * Product Image Analyzer
+ * Alt text, best srcset candidate and a dominant-colour palette (via canvas)
+ * so colour queries match products whose titles never name the colour
+ */
+
+class ProductImageAnalyzer {
+  constructor() {
+    this.sampleSize = 32; // px - images are downscaled before counting colours
+    this.minShare = 0.12; // colours below this share of the product pixels are ignored
+    this.targetWidth = 400; // preferred srcset width; big enough for colours, cheap to load
+    this.loadTimeout = 4000;
+    this.paletteCache = new Map(); // image URL -> palette
+  }
+
+  /**
+   * Alt text and best image URL of a product image element
+   */
+  getImageInfo(img) {
+    if (!img) return { image: '', imageAlt: '' };
+
+    const srcset = img.getAttribute('srcset') || img.dataset?.srcset ||
+                   img.closest('picture')?.querySelector('source[srcset]')?.getAttribute('srcset') || '';
+    const candidate = this.pickSrcsetCandidate(srcset, img.baseURI);
+
+    return {
+      image: candidate || img.currentSrc || img.src || img.dataset?.src || '',
+      imageAlt: (img.getAttribute('alt') || img.getAttribute('title') || '').trim()
+    };
+  }
+
+  /**
+   * Smallest candidate at least targetWidth wide (or the largest one), from "url 320w, url 2x" lists
+   */
+  pickSrcsetCandidate(srcset, baseUrl = window.location.href) {
+    if (!srcset) return '';
+
+    const candidates = srcset.split(/,\s+(?=\S)/).map(entry => {
+      const [url, descriptor = '1x'] = entry.trim().split(/\s+/);
+      const value = parseFloat(descriptor);
+      // Density descriptors are approximated as multiples of the target width
+      const width = descriptor.endsWith('w') ? value : value * this.targetWidth;
+      return { url, width: Number.isFinite(width) ? width : 0 };
+    }).filter(candidate => candidate.url);
+
+    if (candidates.length === 0) return '';
+
+    candidates.sort((a, b) => a.width - b.width);
+    const best = candidates.find(candidate => candidate.width >= this.targetWidth) || candidates[candidates.length - 1];
+
+    try {
+      return new URL(best.url, baseUrl).href;
+    } catch (error) {
+      return best.url;
+    }
+  }
+
+  /**
+   * Dominant named colours of an image: [{ name, hex, share }]
+   * Returns [] when the image can't be read (cross-origin without CORS, not loaded)
+   */
+  async extractPalette(url, img = null) {
+    if (!url || url.startsWith('data:image/svg')) return [];
+    if (this.paletteCache.has(url)) return this.paletteCache.get(url);
+
+    let palette = [];
+    try {
+      // The page's own image works for same-origin URLs; otherwise retry with CORS
+      let pixels = img?.complete && img.naturalWidth > 0 ? this.readPixels(img) : null;
+      if (!pixels) {
+        const corsImage = await this.loadImage(url);
+        pixels = corsImage ? this.readPixels(corsImage) : null;
+      }
+      palette = pixels ? this.buildPalette(pixels) : [];
+    } catch (error) {
+      console.log('Image colour analysis failed:', error.message);
+    }
+
+    this.paletteCache.set(url, palette);
+    return palette;
+  }
+
+  /**
+   * Analyze the images of captured products, a few at a time
+   * Progress events: { stage: 'images', completed, total }
+   */
+  async annotateProducts(products, { signal, onProgress, concurrency = 4 } = {}) {
+    const queue = products.filter(product => product.image);
+    const total = queue.length;
+    let completed = 0;
+    let analyzed = 0;
+
+    const worker = async () => {
+      while (queue.length > 0) {
+        signal?.throwIfAborted();
+        const product = queue.shift();
+        const palette = await this.extractPalette(product.image, this.findLoadedImage(product));
+
+        product.imagePalette = palette;
+        product.imageColors = palette.map(color => color.name);
+        if (palette.length > 0) analyzed++;
+        onProgress?.({ stage: 'images', completed: ++completed, total });
+      }
+    };
+
+    await Promise.all(Array.from({ length: concurrency }, worker));
+    console.log(`🎨 Extracted colour palettes for ${analyzed}/${products.length} products`);
+    return products;
+  }
+
+  /**
+   * The card's own loaded <img> when the URL is one of its sources (saves a second download);
+   * the browser may show another srcset candidate, but the colours are the same
+   */
+  findLoadedImage(product) {
+    const images = product.element?.querySelectorAll ? Array.from(product.element.querySelectorAll('img')) : [];
+    return images.find(img =>
+      img.complete && img.naturalWidth > 0 && this.getImageSources(img).includes(product.image)
+    ) || null;
+  }
+
+  /**
+   * Absolute URLs of an image's src attributes and of all its srcset candidates
+   */
+  getImageSources(img) {
+    const srcsets = [
+      img.getAttribute('srcset'),
+      img.dataset?.srcset,
+      ...Array.from(img.closest('picture')?.querySelectorAll('source[srcset]') || [], source => source.getAttribute('srcset'))
+    ].filter(Boolean);
+
+    const urls = [
+      img.currentSrc,
+      img.src,
+      img.dataset?.src,
+      ...srcsets.flatMap(srcset => srcset.split(/,\s+(?=\S)/).map(entry => entry.trim().split(/\s+/)[0]))
+    ].filter(Boolean);
+
+    return urls.map(url => {
+      try {
+        return new URL(url, img.baseURI).href;
+      } catch (error) {
+        return url;
+      }
+    });
+  }
+
+  loadImage(url) {
+    return new Promise(resolve => {
+      const image = new Image();
+      const timer = setTimeout(() => resolve(null), this.loadTimeout);
+
+      image.crossOrigin = 'anonymous';
+      image.onload = () => {
+        clearTimeout(timer);
+        resolve(image);
+      };
+      image.onerror = () => {
+        clearTimeout(timer);
+        resolve(null);
+      };
+      image.src = url;
+    });
+  }
+
+  /**
+   * Downscaled RGBA pixels, or null when the canvas is tainted
+   */
+  readPixels(image) {
+    const canvas = document.createElement('canvas');
+    canvas.width = this.sampleSize;
+    canvas.height = this.sampleSize;
+
+    const context = canvas.getContext('2d', { willReadFrequently: true });
+    context.drawImage(image, 0, 0, this.sampleSize, this.sampleSize);
+
+    try {
+      return context.getImageData(0, 0, this.sampleSize, this.sampleSize).data;
+    } catch (error) {
+      // SecurityError: cross-origin image without CORS headers
+      return null;
+    }
+  }
+
+  buildPalette(pixels) {
+    const size = this.sampleSize;
+    const background = this.detectBackground(pixels);
+    const counts = new Map(); // colour name -> { count, r, g, b }
+    let total = 0;
+
+    for (let i = 0; i < pixels.length; i += 4) {
+      const [r, g, b, a] = [pixels[i], pixels[i + 1], pixels[i + 2], pixels[i + 3]];
+      if (a < 128) continue;
+      if (background && this.distance([r, g, b], background) < 40) continue;
+
+      const name = this.nameColor(r, g, b);
+      const entry = counts.get(name) || { count: 0, r: 0, g: 0, b: 0 };
+      entry.count++;
+      entry.r += r;
+      entry.g += g;
+      entry.b += b;
+      counts.set(name, entry);
+      total++;
+    }
+
+    // Mostly background: the product is probably the background colour (e.g. a white shoe on white)
+    if (total < size * size * 0.05 && background) {
+      return [{ name: this.nameColor(...background), hex: this.toHex(...background), share: 1 }];
+    }
+
+    return Array.from(counts.entries())
+      .map(([name, entry]) => ({
+        name,
+        hex: this.toHex(entry.r / entry.count, entry.g / entry.count, entry.b / entry.count),
+        share: Math.round((entry.count / total) * 100) / 100
+      }))
+      .filter(color => color.share >= this.minShare)
+      .sort((a, b) => b.share - a.share)
+      .slice(0, 3);
+  }
+
+  /**
+   * Uniform border = studio background, which shouldn't count as the product colour
+   */
+  detectBackground(pixels) {
+    const size = this.sampleSize;
+    const border = [];
+
+    for (let x = 0; x < size; x++) {
+      for (const y of [0, size - 1]) {
+        border.push(this.pixelAt(pixels, x, y));
+        border.push(this.pixelAt(pixels, y, x));
+      }
+    }
+
+    const reference = border[0];
+    const similar = border.filter(pixel => this.distance(pixel, reference) < 30);
+    if (similar.length < border.length * 0.7) return null;
+
+    const average = [0, 1, 2].map(channel => similar.reduce((sum, pixel) => sum + pixel[channel], 0) / similar.length);
+    return average;
+  }
+
+  pixelAt(pixels, x, y) {
+    const offset = (y * this.sampleSize + x) * 4;
+    return [pixels[offset], pixels[offset + 1], pixels[offset + 2]];
+  }
+
+  distance(a, b) {
+    return Math.sqrt((a[0] - b[0]) ** 2 + (a[1] - b[1]) ** 2 + (a[2] - b[2]) ** 2);
+  }
+
+  /**
+   * Map an RGB value to the colour words used in queries
+   */
+  nameColor(r, g, b) {
+    const [h, s, l] = this.toHsl(r, g, b);
+
+    if (l < 0.13) return 'black';
+    if (l > 0.9 && s < 0.35) return 'white';
+    if (s < 0.13) return l > 0.75 ? 'white' : 'grey';
+    if (h >= 20 && h < 50 && s < 0.7 && l > 0.65) return 'beige';
+    if (h >= 15 && h < 45 && l < 0.4) return 'brown';
+    if (h < 15 || h >= 345) return l > 0.75 ? 'pink' : 'red';
+    if (h < 40) return 'orange';
+    if (h < 65) return 'yellow';
+    if (h < 170) return 'green';
+    if (h < 250) return l < 0.3 ? 'navy' : 'blue';
+    if (h < 290) return 'purple';
+    return 'pink';
+  }
+
+  toHsl(r, g, b) {
+    const [rn, gn, bn] = [r / 255, g / 255, b / 255];
+    const max = Math.max(rn, gn, bn);
+    const min = Math.min(rn, gn, bn);
+    const l = (max + min) / 2;
+    if (max === min) return [0, 0, l];
+
+    const d = max - min;
+    const s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
+    let h;
+    if (max === rn) h = ((gn - bn) / d + (gn < bn ? 6 : 0)) * 60;
+    else if (max === gn) h = ((bn - rn) / d + 2) * 60;
+    else h = ((rn - gn) / d + 4) * 60;
+
+    return [h, s, l];
+  }
+
+  toHex(r, g, b) {
+    return '#' + [r, g, b].map(value => Math.round(value).toString(16).padStart(2, '0')).join('');
+  }
+}
+
+// Export for use in content script
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ProductImageAnalyzer;
+}
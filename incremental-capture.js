@@ -0,0 +1,163 @@
+/**
+ * Incremental Product Capture
+ * Watches the DOM with a MutationObserver and reports product cards that were
+ * inserted or re-rendered in place (infinite scroll, lazy loading, React/Vue updates)
+ */
+
+class IncrementalCaptureObserver {
+  constructor(options = {}) {
+    this.siteAdapters = options.siteAdapters;
+    this.domTraversal = options.domTraversal || new DOMTraversal();
+    this.onCards = options.onCards || (() => {});
+    this.debounceDelay = options.debounceDelay || 300; // ms to let a render burst settle
+    this.ignoreSelector = '#ph-toolbar-container, #ph-capture-progress, .ph-edge-tab, .feedback-dialog';
+    this.badgeSelector = '.ph-badge-stack'; // prompt badges added to highlighted cards
+
+    this.observer = null;
+    this.observedRoots = new WeakSet(); // shadow roots / iframe documents already observed
+    this.pendingCards = new Set();
+    this.flushTimer = null;
+    this.cardSignatures = new WeakMap(); // card element -> content signature at last ingestion
+  }
+
+  start(root = document.body) {
+    if (this.observer || !root) return;
+
+    this.observer = new MutationObserver((mutations) => this.handleMutations(mutations));
+    this.observedRoot = root;
+    this.observeRoots(root);
+
+    console.log('👀 Incremental capture observer started');
+  }
+
+  /**
+   * Mutations inside shadow roots and iframes don't reach the document observer
+   */
+  observeRoots(root) {
+    this.domTraversal.getRoots(root).forEach(current => {
+      // Elements are covered by the subtree observation of their root
+      if (current.nodeType === Node.ELEMENT_NODE && current !== this.observedRoot) return;
+      if (this.observedRoots.has(current)) return;
+      this.observedRoots.add(current);
+
+      this.observer.observe(current, {
+        childList: true,
+        subtree: true,
+        characterData: true
+      });
+    });
+  }
+
+  stop() {
+    if (this.observer) {
+      this.observer.disconnect();
+      this.observer = null;
+      this.observedRoots = new WeakSet();
+    }
+    clearTimeout(this.flushTimer);
+    this.pendingCards.clear();
+  }
+
+  /**
+   * Remember the current content of cards that were already ingested
+   */
+  markSeen(elements) {
+    elements.forEach(element => {
+      if (element) {
+        this.cardSignatures.set(element, this.getCardSignature(element));
+      }
+    });
+  }
+
+  /**
+   * Forget every card so the next render is treated as new
+   */
+  reset() {
+    this.cardSignatures = new WeakMap();
+    this.pendingCards.clear();
+  }
+
+  handleMutations(mutations) {
+    const cardSelector = this.getCardSelector();
+
+    mutations.forEach(mutation => {
+      const target = mutation.target.nodeType === Node.ELEMENT_NODE ? mutation.target : mutation.target.parentElement;
+      if (!target || target.closest(this.ignoreSelector) || target.closest(this.badgeSelector)) return;
+
+      // Our own badges being added to / removed from a card are not a re-render
+      if (this.isBadgeMutation(mutation)) return;
+
+      // Content changed inside an existing card (in-place re-render)
+      const enclosingCard = target.closest(cardSelector);
+      if (enclosingCard) {
+        this.pendingCards.add(enclosingCard);
+      }
+
+      // Newly inserted cards, or containers holding cards
+      mutation.addedNodes.forEach(node => {
+        if (node.nodeType !== Node.ELEMENT_NODE) return;
+
+        this.observeRoots(node);
+        this.domTraversal.querySelectorAll(cardSelector, node).forEach(card => this.pendingCards.add(card));
+      });
+    });
+
+    if (this.pendingCards.size > 0) {
+      clearTimeout(this.flushTimer);
+      this.flushTimer = setTimeout(() => this.flush(), this.debounceDelay);
+    }
+  }
+
+  /**
+   * Report cards that are attached and whose content differs from the last ingestion
+   */
+  flush() {
+    const changedCards = [];
+
+    this.pendingCards.forEach(card => {
+      if (!card.isConnected) return;
+
+      const signature = this.getCardSignature(card);
+      if (this.cardSignatures.get(card) !== signature) {
+        changedCards.push({
+          element: card,
+          isRerender: this.cardSignatures.has(card)
+        });
+      }
+    });
+
+    this.pendingCards.clear();
+
+    // Drop nested matches - keep the outermost card
+    const outermost = changedCards.filter(({ element }) =>
+      !changedCards.some(other => other.element !== element && other.element.contains(element))
+    );
+
+    if (outermost.length > 0) {
+      console.log(`🆕 Incremental capture: ${outermost.length} new or re-rendered cards`);
+      this.onCards(outermost);
+    }
+  }
+
+  isBadgeMutation(mutation) {
+    const nodes = [...mutation.addedNodes, ...mutation.removedNodes];
+    return nodes.length > 0 && nodes.every(node => node.nodeType === Node.ELEMENT_NODE && node.matches(this.badgeSelector));
+  }
+
+  getCardSelector() {
+    const adapter = this.siteAdapters.getAdapter(window.location.hostname);
+    return adapter.cardSelectors.join(', ');
+  }
+
+  getCardSignature(element) {
+    const badges = element.querySelector(`:scope > ${this.badgeSelector}`)?.textContent || '';
+    const text = (element.textContent || '').replace(badges, '').replace(/\s+/g, ' ').trim().substring(0, 300);
+    const image = element.querySelector('img')?.currentSrc || element.querySelector('img')?.src || '';
+    return `${text}|${image}`;
+  }
+}
+
+// Export for use in content script
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = IncrementalCaptureObserver;
+}
@@ -1,12 +1,44 @@
 /**
  * Lightweight Semantic Embeddings for Product Matching
  * Alternative to TensorFlow.js that works with strict CSP
+ * Uses the learned subword model (subword-embeddings.js) once loaded, the crafted table until then
  */
 
 class LightweightEmbeddings {
-  constructor() {
+  constructor(options = {}) {
+    // Optional: map translated/synonym words onto the crafted vectors ("weiß" -> white)
+    this.facets = options.facetExtractor || null;
+    this.locales = options.localeSupport || null;
     this.wordVectors = this.initializeWordVectors();
     this.vectorSize = 50; // Smaller vectors for better performance
+    this.subwordModel = null;
+    this.subwordModelLoading = null;
+    this.subwordModelPath = 'models/subword-embeddings.bin';
+    this.baseUrl = options.baseUrl || null; // extension root, for workers (no chrome.runtime there)
+  }
+
+  /**
+   * Load the packaged subword model on first use; embeddings switch to its vector size
+   */
+  async loadSubwordModel(source) {
+    if (!this.subwordModelLoading) {
+      this.subwordModelLoading = SubwordEmbeddingModel.load(source || this.getResourceUrl(this.subwordModelPath))
+        .then(model => {
+          this.subwordModel = model;
+          this.vectorSize = model.dimension;
+          console.log(`✅ Subword model loaded (${model.rows.size} n-gram vectors)`);
+          return model;
+        })
+        .catch(error => {
+          this.subwordModelLoading = null;
+          throw error;
+        });
+    }
+    return this.subwordModelLoading;
+  }
+
+  getResourceUrl(path) {
+    return this.baseUrl ? `${this.baseUrl}${path}` : chrome.runtime.getURL(path);
   }
 
   /**
@@ -79,6 +111,16 @@ class LightweightEmbeddings {
   getWordEmbedding(word) {
     const cleanWord = word.toLowerCase().trim();
 
+    // Learned vector, blended with the hash vector by the share of n-grams the model doesn't know
+    // (so words it has never seen still match themselves)
+    if (this.subwordModel) {
+      const { vector, coverage } = this.subwordModel.getWordVector(cleanWord);
+      if (coverage === 1) return Array.from(vector);
+
+      const hashVector = this.generateHashEmbedding(cleanWord);
+      return Array.from(vector, (value, i) => value * coverage + hashVector[i] * (1 - coverage));
+    }
+
     // Return pre-computed vector if available
     if (this.wordVectors[cleanWord]) {
       return [...this.wordVectors[cleanWord]]; // Return copy
@@ -110,14 +152,26 @@ class LightweightEmbeddings {
     return vector;
   }
 
+  /**
+   * Canonical vocabulary word with a crafted vector for a (possibly translated) word
+   */
+  normalizeWord(word, locale) {
+    if (this.wordVectors[word] || !this.facets) return word;
+
+    const entry = this.facets.lookupEntries(word, locale).find(candidate => this.wordVectors[candidate.value]);
+    return entry ? entry.value : word;
+  }
+
   /**
    * Generate sentence embedding by averaging word embeddings
    */
-  generateSentenceEmbedding(text) {
+  generateSentenceEmbedding(text, { locale } = {}) {
     const words = text.toLowerCase()
-      .replace(/[^\w\s]/g, ' ')
+      .replace(/[^\p{L}\p{N}\s]/gu, ' ')
       .split(/\s+/)
-      .filter(word => word.length > 1);
+      .filter(word => word.length > 1)
+      .filter(word => !this.locales?.isStopword(word, locale))
+      .map(word => this.normalizeWord(word, locale));
 
     if (words.length === 0) {
       return new Array(this.vectorSize).fill(0);
@@ -131,30 +185,7 @@ class LightweightEmbeddings {
     let totalWeight = 0;
 
     wordEmbeddings.forEach((embedding, index) => {
-      const word = words[index];
-      // Give higher weight to color and product type words
-      let weight = 1.0;
-
-      // Boost important semantic categories
-      if (this.wordVectors[word]) {
-        // Color words get extra weight
-        if (['white', 'black', 'grey', 'gray', 'red', 'blue', 'green', 'brown', 'beige', 'navy'].includes(word)) {
-          weight = 4.0; // Increased from 3.0
-        }
-        // Product type words get extra weight
-        else if (['sneaker', 'sneakers', 'shoe', 'shoes', 'trainer', 'trainers', 'running', 'boot', 'boots'].includes(word)) {
-          weight = 3.5; // Increased from 2.5
-        }
-        // Brand words get medium weight
-        else if (['nike', 'adidas', 'puma', 'converse', 'vans', 'reebok', 'jordan', 'tommy', 'polo', 'new', 'balance', 'asics', 'hilfiger', 'jeans'].includes(word)) {
-          weight = 2.0;
-        }
-        // Additional product keywords
-        else if (['low', 'force', 'air', 'retro', 'classic', 'sport', 'performance'].includes(word)) {
-          weight = 1.5;
-        }
-      }
-
+      const weight = this.getWordWeight(words[index], locale);
       totalWeight += weight;
 
       for (let i = 0; i < this.vectorSize; i++) {
@@ -172,6 +203,42 @@ class LightweightEmbeddings {
     return sentenceVector;
   }
 
+  /**
+   * Give higher weight to color and product type words
+   */
+  getWordWeight(word, locale) {
+    // Boost important semantic categories
+    if (this.wordVectors[word]) {
+      // Color words get extra weight
+      if (['white', 'black', 'grey', 'gray', 'red', 'blue', 'green', 'brown', 'beige', 'navy'].includes(word)) {
+        return 4.0; // Increased from 3.0
+      }
+      // Product type words get extra weight
+      if (['sneaker', 'sneakers', 'shoe', 'shoes', 'trainer', 'trainers', 'running', 'boot', 'boots'].includes(word)) {
+        return 3.5; // Increased from 2.5
+      }
+      // Brand words get medium weight
+      if (['nike', 'adidas', 'puma', 'converse', 'vans', 'reebok', 'jordan', 'tommy', 'polo', 'new', 'balance', 'asics', 'hilfiger', 'jeans'].includes(word)) {
+        return 2.0;
+      }
+      // Additional product keywords
+      if (['low', 'force', 'air', 'retro', 'classic', 'sport', 'performance'].includes(word)) {
+        return 1.5;
+      }
+      return 1.0;
+    }
+
+    // Beyond the crafted table the learned vectors carry meaning; weight them by facet
+    if (this.subwordModel && this.facets) {
+      const facets = this.facets.lookupEntries(word, locale).map(entry => entry.facet);
+      if (facets.includes('colors')) return 4.0;
+      if (facets.includes('productTypes')) return 3.5;
+      if (facets.includes('brands')) return 2.0;
+    }
+
+    return 1.0;
+  }
+
   /**
    * Calculate cosine similarity between two vectors
    */
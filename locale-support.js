@@ -0,0 +1,392 @@
+/**
+ * Locale Support
+ * Detects the shopping language (page lang attribute, then the prompt) and provides
+ * per-locale vocabularies, stopwords, negation words and a light suffix-stripping
+ * stemmer for English, German, French, Spanish, Italian and Dutch
+ */
+
+class LocaleSupport {
+  constructor(localeData = LocaleSupport.getLocaleData()) {
+    this.localeData = localeData;
+    this.defaultLocale = 'en';
+  }
+
+  static getLocaleData() {
+    return {
+      en: {
+        stopwords: [
+          'i', 'am', 'im', 'looking', 'look', 'for', 'want', 'need', 'find', 'show', 'me', 'get', 'buy', 'purchase',
+          'a', 'an', 'the', 'and', 'or', 'with', 'that', 'have', 'has', 'is', 'are', 'in', 'on', 'at', 'to',
+          'from', 'of', 'some', 'any', 'please', 'something', 'pair', 'pairs', 'my', 'which', 'can', 'you',
+          'under', 'below', 'over', 'above', 'than', 'less', 'more', 'up', 'made', 'but'
+        ],
+        suffixes: ['ies', 'es', 's'],
+        negations: ['not', 'no', 'without', 'except', 'excluding', "don't", 'dont'],
+        conjunctions: ['or', 'and', 'nor'],
+        vocabulary: {}
+      },
+      de: {
+        stopwords: [
+          'ich', 'suche', 'such', 'brauche', 'möchte', 'will', 'zeig', 'zeige', 'mir', 'für', 'fuer', 'mit', 'und',
+          'oder', 'der', 'die', 'das', 'den', 'dem', 'des', 'ein', 'eine', 'einen', 'einem', 'einer', 'unter', 'über',
+          'bis', 'in', 'im', 'von', 'zu', 'zum', 'zur', 'auf', 'bitte', 'etwas', 'paar', 'euro', 'preis', 'maximal', 'höchstens', 'aber'
+        ],
+        suffixes: ['ern', 'em', 'en', 'er', 'es', 'e', 's'],
+        negations: ['nicht', 'kein', 'keine', 'keinen', 'keiner', 'ohne', 'außer', 'ausser'],
+        conjunctions: ['oder', 'und', 'noch'],
+        // Nouns compound into one word ("Wollmantel"); these join the parts ("Arbeitsschuh", "Damenjacke")
+        compoundLinks: ['es', 'en', 's', 'n'],
+        vocabulary: {
+          colors: {
+            white: ['weiß', 'weiss'], black: ['schwarz'], grey: ['grau', 'anthrazit'], silver: ['silber'],
+            red: ['rot', 'weinrot'], pink: ['rosa', 'pink'], orange: ['orange'], yellow: ['gelb'], gold: ['gold'],
+            green: ['grün', 'gruen', 'oliv'], turquoise: ['türkis'], blue: ['blau', 'hellblau'], navy: ['dunkelblau', 'marine'],
+            purple: ['lila', 'violett'], brown: ['braun', 'cognac'], beige: ['beige', 'sand', 'camel']
+          },
+          materials: {
+            leather: ['leder', 'glattleder'], suede: ['wildleder', 'veloursleder'], cotton: ['baumwolle'], wool: ['wolle', 'kaschmir'],
+            silk: ['seide'], linen: ['leinen'], canvas: ['canvas', 'leinwand'], synthetic: ['kunstleder', 'synthetik']
+          },
+          styles: { casual: ['lässig', 'freizeit'], formal: ['elegant', 'festlich'], sporty: ['sportlich'], classic: ['klassisch'] },
+          genders: { women: ['damen', 'frauen', 'mädchen'], men: ['herren', 'männer', 'jungen'], kids: ['kinder', 'baby'] },
+          productTypes: {
+            sneaker: ['sneaker', 'turnschuh', 'halbschuh'], running_shoe: ['laufschuh'], shoe: ['schuh', 'schuhe'],
+            boot: ['stiefel', 'stiefelette', 'boots'], sandal: ['sandale', 'badeschuh'], heel: ['pumps', 'absatzschuh'],
+            flat: ['ballerina', 'slipper'], dress: ['kleid'], shirt: ['hemd', 'bluse', 't-shirt', 'oberteil'],
+            pants: ['hose'], skirt: ['rock'], jacket: ['jacke'], coat: ['mantel'], sweater: ['pullover', 'strickjacke'],
+            hoodie: ['kapuzenpullover'], hat: ['mütze', 'hut', 'kappe'], bag: ['tasche', 'rucksack'],
+            phone: ['handy'], laptop: ['notebook'], headphones: ['kopfhörer'], speaker: ['lautsprecher'], tv: ['fernseher'],
+            lamp: ['lampe', 'leuchte'], table: ['tisch', 'schreibtisch'], chair: ['stuhl'], bed: ['bett']
+          },
+          categories: { footwear: ['schuhe'], clothing: ['kleidung', 'bekleidung'], electronics: ['elektronik'], home: ['möbel', 'wohnen'] },
+          features: { waterproof: ['wasserdicht'], wireless: ['kabellos'], rechargeable: ['wiederaufladbar'], lightweight: ['leicht'], breathable: ['atmungsaktiv'] },
+          sizeMarkers: ['größe', 'grösse', 'groesse', 'gr']
+        }
+      },
+      fr: {
+        stopwords: [
+          'je', 'cherche', 'veux', 'voudrais', 'montre', 'moi', 'pour', 'avec', 'et', 'ou', 'le', 'la', 'les', 'un',
+          'une', 'des', 'de', 'du', 'en', 'dans', 'au', 'aux', 'sur', 'moins', 'plus', 'jusqu', 'euros', 'euro', 'prix', 'paire', 'mais'
+        ],
+        suffixes: ['es', 's', 'e'],
+        negations: ['pas', 'sans', 'sauf', 'non'],
+        conjunctions: ['ou', 'et', 'ni'],
+        vocabulary: {
+          colors: {
+            white: ['blanc', 'blanche'], black: ['noir', 'noire'], grey: ['gris', 'grise', 'anthracite'], silver: ['argent', 'argenté'],
+            red: ['rouge', 'bordeaux'], pink: ['rose'], orange: ['orange'], yellow: ['jaune'], gold: ['doré'],
+            green: ['vert', 'verte', 'kaki'], turquoise: ['turquoise'], blue: ['bleu', 'bleue'], navy: ['marine', 'bleu marine'],
+            purple: ['violet', 'violette', 'mauve'], brown: ['marron', 'brun', 'brune'], beige: ['beige', 'camel']
+          },
+          materials: {
+            leather: ['cuir'], suede: ['daim'], cotton: ['coton'], wool: ['laine', 'cachemire'], silk: ['soie'],
+            linen: ['lin'], canvas: ['toile'], synthetic: ['synthétique', 'simili cuir']
+          },
+          styles: { casual: ['décontracté'], formal: ['élégant', 'habillé'], sporty: ['sportif', 'sportive'], classic: ['classique'] },
+          genders: { women: ['femme', 'femmes', 'fille'], men: ['homme', 'hommes', 'garçon'], kids: ['enfant', 'enfants', 'bébé'] },
+          productTypes: {
+            sneaker: ['basket', 'sneaker', 'tennis'], running_shoe: ['chaussure de running', 'chaussure de course'],
+            shoe: ['chaussure'], boot: ['botte', 'bottine'], sandal: ['sandale', 'tong'], heel: ['escarpin'],
+            flat: ['ballerine', 'mocassin'], dress: ['robe'], shirt: ['chemise', 'chemisier', 't-shirt', 'haut'],
+            pants: ['pantalon'], skirt: ['jupe'], jacket: ['veste', 'blouson'], coat: ['manteau'], sweater: ['pull', 'gilet'],
+            hoodie: ['sweat à capuche', 'sweat'], hat: ['chapeau', 'bonnet', 'casquette'], bag: ['sac', 'sac à dos'],
+            phone: ['téléphone', 'portable'], laptop: ['ordinateur portable'], headphones: ['casque', 'écouteurs'],
+            speaker: ['enceinte'], tv: ['télévision', 'télé'], monitor: ['écran'], lamp: ['lampe'], chair: ['chaise'], bed: ['lit']
+          },
+          categories: { clothing: ['vêtements'], electronics: ['électronique'], home: ['meubles', 'maison'] },
+          features: { waterproof: ['imperméable', 'étanche'], wireless: ['sans fil'], lightweight: ['léger', 'légère'], breathable: ['respirant'] },
+          sizeMarkers: ['taille', 'pointure']
+        }
+      },
+      es: {
+        stopwords: [
+          'busco', 'quiero', 'necesito', 'muestra', 'muéstrame', 'para', 'con', 'y', 'o', 'el', 'la', 'los', 'las',
+          'un', 'una', 'unos', 'unas', 'de', 'del', 'en', 'por', 'menos', 'más', 'hasta', 'euros', 'euro', 'precio', 'par', 'pero'
+        ],
+        suffixes: ['es', 'os', 'as', 's', 'o', 'a'],
+        negations: ['no', 'sin', 'excepto', 'salvo'],
+        conjunctions: ['o', 'u', 'y', 'e', 'ni'],
+        vocabulary: {
+          colors: {
+            white: ['blanco', 'blanca'], black: ['negro', 'negra'], grey: ['gris'], silver: ['plateado', 'plata'],
+            red: ['rojo', 'roja', 'granate'], pink: ['rosa'], orange: ['naranja'], yellow: ['amarillo'], gold: ['dorado'],
+            green: ['verde'], turquoise: ['turquesa'], blue: ['azul'], navy: ['azul marino', 'marino'],
+            purple: ['morado', 'violeta', 'lila'], brown: ['marrón', 'marron'], beige: ['beige', 'camel']
+          },
+          materials: {
+            leather: ['cuero', 'piel'], suede: ['ante'], cotton: ['algodón', 'algodon'], wool: ['lana'], silk: ['seda'],
+            linen: ['lino'], canvas: ['lona'], synthetic: ['sintético', 'polipiel']
+          },
+          styles: { casual: ['informal'], formal: ['elegante'], sporty: ['deportivo', 'deportiva'], classic: ['clásico', 'clasico'] },
+          genders: { women: ['mujer', 'mujeres', 'niña'], men: ['hombre', 'hombres', 'niño'], kids: ['niños', 'infantil', 'bebé'] },
+          productTypes: {
+            sneaker: ['zapatilla', 'deportiva'], running_shoe: ['zapatilla de running'], shoe: ['zapato'],
+            boot: ['bota', 'botín'], sandal: ['sandalia', 'chancla'], heel: ['tacón', 'tacones'], flat: ['bailarina', 'mocasín'],
+            dress: ['vestido'], shirt: ['camisa', 'camiseta', 'blusa'], pants: ['pantalón', 'pantalones'], skirt: ['falda'],
+            jacket: ['chaqueta', 'cazadora'], coat: ['abrigo'], sweater: ['jersey', 'suéter'], hoodie: ['sudadera'],
+            hat: ['gorra', 'gorro', 'sombrero'], bag: ['bolso', 'mochila'], phone: ['teléfono', 'móvil'], laptop: ['portátil'],
+            headphones: ['auriculares'], speaker: ['altavoz'], tv: ['televisor', 'televisión'], lamp: ['lámpara'],
+            table: ['mesa'], chair: ['silla'], bed: ['cama']
+          },
+          categories: { clothing: ['ropa'], electronics: ['electrónica'], home: ['muebles', 'hogar'] },
+          features: { waterproof: ['impermeable'], wireless: ['inalámbrico'], rechargeable: ['recargable'], lightweight: ['ligero', 'ligera'], breathable: ['transpirable'] },
+          sizeMarkers: ['talla']
+        }
+      },
+      it: {
+        stopwords: [
+          'cerco', 'voglio', 'vorrei', 'mostra', 'mostrami', 'per', 'con', 'e', 'o', 'il', 'lo', 'la', 'i', 'gli',
+          'le', 'un', 'uno', 'una', 'di', 'del', 'della', 'in', 'sotto', 'meno', 'più', 'fino', 'euro', 'prezzo', 'paio', 'ma'
+        ],
+        suffixes: ['che', 'chi', 'ghe', 'ghi', 'i', 'e', 'o', 'a'],
+        negations: ['non', 'senza', 'tranne', 'niente'],
+        conjunctions: ['o', 'oppure', 'e', 'né', 'ne'],
+        vocabulary: {
+          colors: {
+            white: ['bianco'], black: ['nero'], grey: ['grigio'], silver: ['argento'], red: ['rosso', 'bordeaux'],
+            pink: ['rosa'], orange: ['arancione'], yellow: ['giallo'], gold: ['oro', 'dorato'], green: ['verde'],
+            turquoise: ['turchese'], blue: ['blu', 'azzurro'], navy: ['blu navy', 'blu scuro'], purple: ['viola'],
+            brown: ['marrone'], beige: ['beige', 'cammello']
+          },
+          materials: {
+            leather: ['pelle', 'cuoio'], suede: ['scamosciato', 'camoscio'], cotton: ['cotone'], wool: ['lana', 'cashmere'],
+            silk: ['seta'], linen: ['lino'], canvas: ['tela'], synthetic: ['sintetico', 'ecopelle']
+          },
+          styles: { casual: ['casual'], formal: ['elegante'], sporty: ['sportivo'], classic: ['classico'] },
+          genders: { women: ['donna', 'donne', 'bambina'], men: ['uomo', 'uomini', 'bambino'], kids: ['bambini', 'neonato'] },
+          productTypes: {
+            sneaker: ['sneaker', 'scarpa da ginnastica'], running_shoe: ['scarpa da corsa', 'scarpa running'], shoe: ['scarpa'],
+            boot: ['stivale', 'stivaletto'], sandal: ['sandalo', 'ciabatta'], heel: ['décolleté', 'tacco'], flat: ['ballerina', 'mocassino'],
+            dress: ['vestito', 'abito'], shirt: ['camicia', 'maglietta', 'camicetta'], pants: ['pantalone', 'pantaloni'],
+            skirt: ['gonna'], jacket: ['giacca', 'giubbotto'], coat: ['cappotto'], sweater: ['maglione', 'cardigan'],
+            hoodie: ['felpa'], hat: ['cappello', 'berretto'], bag: ['borsa', 'zaino'], phone: ['telefono', 'cellulare'],
+            headphones: ['cuffie', 'auricolari'], speaker: ['altoparlante', 'cassa'], tv: ['televisore'], lamp: ['lampada'],
+            table: ['tavolo', 'scrivania'], chair: ['sedia'], bed: ['letto']
+          },
+          categories: { clothing: ['abbigliamento'], electronics: ['elettronica'], home: ['mobili', 'casa'] },
+          features: { waterproof: ['impermeabile'], wireless: ['senza fili'], rechargeable: ['ricaricabile'], lightweight: ['leggero'], breathable: ['traspirante'] },
+          sizeMarkers: ['taglia', 'misura', 'numero']
+        }
+      },
+      nl: {
+        stopwords: [
+          'ik', 'zoek', 'wil', 'toon', 'laat', 'zien', 'voor', 'met', 'en', 'of', 'de', 'het', 'een', 'van', 'in',
+          'onder', 'tot', 'maximaal', 'minder', 'dan', 'euro', 'prijs', 'paar', 'maar'
+        ],
+        suffixes: ['en', 'e', 's'],
+        negations: ['niet', 'geen', 'zonder', 'behalve'],
+        conjunctions: ['of', 'en', 'noch'],
+        compoundLinks: ['en', 's'], // one-word compounds as in German ("wintermantel", "damesjas")
+        vocabulary: {
+          colors: {
+            white: ['wit'], black: ['zwart'], grey: ['grijs', 'antraciet'], silver: ['zilver'], red: ['rood', 'bordeaux'],
+            pink: ['roze'], orange: ['oranje'], yellow: ['geel'], gold: ['goud'], green: ['groen'], blue: ['blauw', 'lichtblauw'],
+            navy: ['donkerblauw', 'marine'], purple: ['paars', 'lila'], brown: ['bruin', 'cognac'], beige: ['beige', 'camel']
+          },
+          materials: {
+            leather: ['leer', 'leren'], suede: ['suède'], cotton: ['katoen'], wool: ['wol'], silk: ['zijde'],
+            linen: ['linnen'], canvas: ['canvas'], synthetic: ['kunstleer']
+          },
+          styles: { casual: ['casual'], formal: ['elegant', 'chic'], sporty: ['sportief'], classic: ['klassiek'] },
+          genders: { women: ['dames', 'vrouwen', 'meisjes'], men: ['heren', 'mannen', 'jongens'], kids: ['kinderen', 'kids', 'baby'] },
+          productTypes: {
+            sneaker: ['sneaker', 'gymp'], running_shoe: ['hardloopschoen'], shoe: ['schoen'], boot: ['laars', 'laarzen', 'enkellaars'],
+            sandal: ['sandaal', 'slipper'], heel: ['pump', 'hak'], flat: ['ballerina', 'instapper'], dress: ['jurk'],
+            shirt: ['overhemd', 'blouse', 't-shirt'], pants: ['broek'], skirt: ['rok'], jacket: ['jas', 'jack'],
+            coat: ['mantel'], sweater: ['trui', 'vest'], hoodie: ['hoodie'], hat: ['muts', 'pet', 'hoed'], bag: ['tas', 'rugzak'],
+            phone: ['telefoon'], headphones: ['koptelefoon', 'oordopjes'], speaker: ['speaker'], tv: ['televisie'],
+            lamp: ['lamp'], table: ['tafel', 'bureau'], chair: ['stoel'], bed: ['bed']
+          },
+          categories: { clothing: ['kleding'], home: ['meubels', 'wonen'] },
+          features: { waterproof: ['waterdicht'], wireless: ['draadloos'], rechargeable: ['oplaadbaar'], lightweight: ['licht'], breathable: ['ademend'] },
+          sizeMarkers: ['maat']
+        }
+      }
+    };
+  }
+
+  getSupportedLocales() {
+    return Object.keys(this.localeData);
+  }
+
+  /**
+   * Primary language subtag if supported ("de-AT" -> "de"), otherwise null
+   */
+  normalizeLocale(value) {
+    const locale = (value || '').toLowerCase().split(/[-_]/)[0];
+    return this.localeData[locale] ? locale : null;
+  }
+
+  /**
+   * Page language from <html lang>, Content-Language or og:locale
+   */
+  getPageLocale(doc = globalThis.document) {
+    if (!doc) return this.defaultLocale; // workers have no page
+
+    const candidates = [
+      doc.documentElement?.getAttribute('lang'),
+      doc.querySelector('meta[http-equiv="content-language" i]')?.getAttribute('content'),
+      doc.querySelector('meta[property="og:locale"]')?.getAttribute('content')
+    ];
+
+    for (const candidate of candidates) {
+      const locale = this.normalizeLocale(candidate);
+      if (locale) return locale;
+    }
+    return this.defaultLocale;
+  }
+
+  /**
+   * Country the page sells to, lowercase ("ca", "no"), or null: the shop's country-code domain
+   * first ("amazon.ca"), then the region of <html lang> or og:locale ("en-CA", "nb_NO"), then
+   * languages spoken in one country ("da" → "dk")
+   */
+  getPageRegion(doc = globalThis.document, hostname = globalThis.location?.hostname) {
+    const tld = (hostname || '').toLowerCase().split('.').pop();
+    // Two-letter domains used as generic ones say nothing about the country
+    if (/^[a-z]{2}$/.test(tld) && !['io', 'co', 'ai', 'me', 'tv', 'fm', 'ly', 'gg', 'to'].includes(tld)) {
+      return tld === 'uk' ? 'gb' : tld;
+    }
+    if (!doc) return null;
+
+    const tags = [
+      doc.documentElement?.getAttribute('lang'),
+      doc.querySelector('meta[http-equiv="content-language" i]')?.getAttribute('content'),
+      doc.querySelector('meta[property="og:locale"]')?.getAttribute('content')
+    ].filter(Boolean).map(tag => tag.toLowerCase().split(/[-_]/));
+
+    const withRegion = tags.find(([, region]) => /^[a-z]{2}$/.test(region || ''));
+    if (withRegion) return withRegion[1];
+
+    const singleCountry = { da: 'dk', nb: 'no', nn: 'no', no: 'no', sv: 'se', is: 'is' };
+    const language = tags.map(([tag]) => singleCountry[tag]).find(Boolean);
+    return language || null;
+  }
+
+  /**
+   * Language of a short text (a prompt), or null when it doesn't clearly read as one
+   * Only words belonging to a single locale count ("sneaker" and "in" are everywhere)
+   */
+  detectTextLocale(text) {
+    const tokens = (text || '').toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+    if (tokens.length === 0) return null;
+
+    const scores = new Map();
+    tokens.forEach(token => {
+      const locales = this.getSupportedLocales().filter(locale => {
+        const { stopwords, vocabulary } = this.getLocaleWords(locale);
+        return stopwords.has(token) || vocabulary.has(token) || vocabulary.has(this.stem(token, locale));
+      });
+      if (locales.length === 1) {
+        scores.set(locales[0], (scores.get(locales[0]) || 0) + 1);
+      }
+    });
+
+    const [best, second] = [...scores.entries()].sort((a, b) => b[1] - a[1]);
+    if (!best || (second && second[1] === best[1])) return null;
+    return best[0];
+  }
+
+  /**
+   * Prompt language when it is clear, otherwise the page language
+   */
+  detectLocale(prompt = '', doc = globalThis.document) {
+    return this.detectTextLocale(prompt) || this.getPageLocale(doc);
+  }
+
+  /**
+   * Stopwords of the locale plus English (shops mix in English product words)
+   */
+  getStopwords(locale = this.defaultLocale) {
+    this.stopwordSets = this.stopwordSets || new Map();
+    if (!this.stopwordSets.has(locale)) {
+      const stopwords = new Set(this.localeData.en.stopwords);
+      (this.localeData[locale]?.stopwords || []).forEach(word => stopwords.add(word));
+      this.stopwordSets.set(locale, stopwords);
+    }
+    return this.stopwordSets.get(locale);
+  }
+
+  isStopword(word, locale = this.defaultLocale) {
+    return this.getStopwords(locale).has(word.toLowerCase());
+  }
+
+  /**
+   * Words that negate the following term ("not", "ohne", "sans"), locale plus English
+   */
+  getNegations(locale = this.defaultLocale) {
+    return [...new Set([...this.localeData.en.negations, ...(this.localeData[locale]?.negations || [])])];
+  }
+
+  /**
+   * Words joining terms under one negation ("no leather or suede")
+   */
+  getConjunctions(locale = this.defaultLocale) {
+    return [...new Set([...this.localeData.en.conjunctions, ...(this.localeData[locale]?.conjunctions || [])])];
+  }
+
+  /**
+   * Linking elements between the parts of a one-word compound, or null when the
+   * language keeps compound parts apart
+   */
+  getCompoundLinks(locale = this.defaultLocale) {
+    return this.localeData[locale]?.compoundLinks || null;
+  }
+
+  /**
+   * Facet vocabulary additions for a locale ({ colors: { white: ['weiß', ...] }, ... })
+   */
+  getVocabulary(locale) {
+    return this.localeData[locale]?.vocabulary || {};
+  }
+
+  /**
+   * Light stemmer: strips the longest inflection suffix, keeping at least three letters
+   * ("weiße" -> "weiß", "schwarzen" -> "schwarz", "blancas" -> "blanc", "witte" -> "wit")
+   */
+  stem(word, locale = this.defaultLocale) {
+    const lower = (word || '').toLowerCase();
+    const suffixes = this.localeData[locale]?.suffixes || [];
+
+    for (const suffix of suffixes) {
+      if (!lower.endsWith(suffix) || lower.length - suffix.length < 3) continue;
+
+      let stem = lower.slice(0, -suffix.length);
+      if (locale === 'en' && suffix === 'ies') stem += 'y';
+      if (locale === 'en' && suffix === 'es' && !/(s|x|z|ch|sh)$/.test(stem)) stem = lower.slice(0, -1);
+      if (locale === 'en' && suffix === 's' && stem.endsWith('s')) return lower; // "dress", "glass"
+      if (locale === 'it' && /^[cg]h[ei]$/.test(suffix)) stem += suffix[0]; // "bianche" -> "bianc"
+      if (locale === 'nl') stem = stem.replace(/([bdfgklmnprstz])\1$/, '$1'); // "witte" -> "wit"
+      return stem;
+    }
+
+    return lower;
+  }
+
+  /**
+   * Stopwords and (stemmed) vocabulary words of a locale, for language detection
+   */
+  getLocaleWords(locale) {
+    this.localeWords = this.localeWords || new Map();
+    if (this.localeWords.has(locale)) return this.localeWords.get(locale);
+
+    const stopwords = new Set(this.localeData[locale]?.stopwords || []);
+    const vocabulary = new Set();
+    Object.values(this.getVocabulary(locale)).forEach(values => {
+      const aliases = Array.isArray(values) ? values : Object.values(values).flat();
+      aliases.forEach(alias => alias.toLowerCase().split(/\s+/).forEach(word => {
+        vocabulary.add(word);
+        vocabulary.add(this.stem(word, locale));
+      }));
+    });
+
+    const words = { stopwords, vocabulary };
+    this.localeWords.set(locale, words);
+    return words;
+  }
+}
+
+// Export for use in content script
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = LocaleSupport;
+}
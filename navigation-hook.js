@@ -0,0 +1,23 @@
+/**
+ * History API hook (runs in the page's main world)
+ * Content scripts cannot see the page's pushState/replaceState calls, so this
+ * wrapper re-broadcasts them as a window event the content script listens for
+ */
+
+(() => {
+  if (window.__phNavigationHookInstalled) return;
+  window.__phNavigationHookInstalled = true;
+
+  const notify = () => {
+    window.dispatchEvent(new CustomEvent('ph:locationchange'));
+  };
+
+  ['pushState', 'replaceState'].forEach(method => {
+    const original = history[method];
+    history[method] = function (...args) {
+      const result = original.apply(this, args);
+      notify();
+      return result;
+    };
+  });
+})();
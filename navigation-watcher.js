@@ -0,0 +1,48 @@
+/**
+ * SPA Navigation Watcher
+ * Reports URL changes made via pushState/replaceState, back/forward and hash changes
+ */
+
+class NavigationWatcher {
+  constructor(options = {}) {
+    this.onNavigate = options.onNavigate || (() => {});
+    this.pollInterval = options.pollInterval || 1000; // Fallback for routers we can't hook
+    this.currentUrl = window.location.href;
+    this.pollTimer = null;
+    this.handleChange = () => this.checkForNavigation();
+  }
+
+  start() {
+    // Dispatched by navigation-hook.js from the page's main world
+    window.addEventListener('ph:locationchange', this.handleChange);
+    window.addEventListener('popstate', this.handleChange);
+    window.addEventListener('hashchange', this.handleChange);
+
+    this.pollTimer = setInterval(this.handleChange, this.pollInterval);
+    console.log('🧭 Navigation watcher started');
+  }
+
+  stop() {
+    window.removeEventListener('ph:locationchange', this.handleChange);
+    window.removeEventListener('popstate', this.handleChange);
+    window.removeEventListener('hashchange', this.handleChange);
+    clearInterval(this.pollTimer);
+    this.pollTimer = null;
+  }
+
+  checkForNavigation() {
+    const url = window.location.href;
+    if (url === this.currentUrl) return;
+
+    const previousUrl = this.currentUrl;
+    this.currentUrl = url;
+
+    console.log(`🧭 Navigation detected: ${previousUrl} → ${url}`);
+    this.onNavigate(url, previousUrl);
+  }
+}
+
+// Export for use in content script
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = NavigationWatcher;
+}
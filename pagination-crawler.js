@@ -0,0 +1,224 @@
+/**
+ * Pagination Crawler
+ * Opt-in crawl of a whole result set: clicks "load more", follows "next page"
+ * links or scrolls for infinite lists, and collects products page by page
+ */
+
+class PaginationCrawler {
+  constructor(vectorSearch) {
+    this.vectorSearch = vectorSearch;
+    this.pageWait = 8000; // ms to wait for a page of new cards
+    this.scrollSettleDelay = 600; // ms between scroll steps for lazy loaders
+    this.loadMorePattern = /^\s*((load|show|see|view)\s+more|more results|mehr (laden|anzeigen)|weitere( artikel| produkte)?( laden| anzeigen)?|voir plus|afficher plus|mostrar más|ver más|carica altri|mostra altri|meer (laden|tonen))\s*$/i;
+    this.nextPagePattern = /^\s*(next|next page|weiter|nächste( seite)?|suivant|siguiente|successivo|volgende)\s*[›»>→]?\s*$/i;
+  }
+
+  /**
+   * Crawl pages 2..maxPages and return their products tagged with pageNumber and pagePosition
+   * Page 1 is whatever is already captured; capturedElements holds its card elements
+   */
+  async crawl({ adapter, maxPages = 12, capturedElements = new Set(), signal, onProgress } = {}) {
+    const products = [];
+    const seenElements = new Set(capturedElements);
+    const seenLinks = new Set();
+    const visitedUrls = new Set([window.location.href]);
+    const startScroll = window.scrollY;
+    let pageDocument = document;
+
+    console.log(`🕷️ Crawling up to ${maxPages} pages with "${adapter.id}" adapter...`);
+
+    try {
+      for (let pageNumber = 2; pageNumber <= maxPages; pageNumber++) {
+        signal?.throwIfAborted();
+
+        let pageProducts = [];
+        const loadMore = pageDocument === document ? this.findLoadMoreControl(adapter) : null;
+        const nextUrl = !loadMore ? this.findNextPageUrl(adapter, pageDocument, visitedUrls) : null;
+
+        if (loadMore) {
+          pageProducts = await this.loadInPlace(adapter, seenElements, signal, () => loadMore.click());
+        } else if (nextUrl) {
+          visitedUrls.add(nextUrl);
+          const result = await this.fetchPage(nextUrl, adapter, seenLinks, signal);
+          pageDocument = result.document;
+          pageProducts = result.products;
+        } else if (pageDocument === document) {
+          pageProducts = await this.loadInPlace(adapter, seenElements, signal, () => {
+            window.scrollTo(0, document.documentElement.scrollHeight);
+          });
+        }
+
+        if (pageProducts.length === 0) {
+          console.log(`🕷️ No new products on page ${pageNumber}, stopping crawl`);
+          break;
+        }
+
+        pageProducts.forEach((product, position) => {
+          product.pageNumber = pageNumber;
+          product.pagePosition = position;
+          if (product.link) seenLinks.add(product.link);
+        });
+        products.push(...pageProducts);
+
+        console.log(`🕷️ Page ${pageNumber}: ${pageProducts.length} products (${products.length} crawled)`);
+        onProgress?.({
+          stage: 'crawling',
+          completed: pageNumber,
+          total: maxPages,
+          productsExtracted: products.length
+        });
+      }
+    } finally {
+      window.scrollTo(0, startScroll);
+    }
+
+    return products;
+  }
+
+  /**
+   * Trigger more cards on the current page (scroll or "load more") and capture the new ones
+   */
+  async loadInPlace(adapter, seenElements, signal, trigger) {
+    const cardSelector = adapter.cardSelectors.join(', ');
+    const traversal = this.vectorSearch.domTraversal;
+    const previousCount = traversal.querySelectorAll(cardSelector).length;
+
+    trigger();
+    await this.vectorSearch.wait(this.scrollSettleDelay);
+    signal?.throwIfAborted();
+
+    const loaded = await this.vectorSearch.waitForProducts(this.pageWait, { minCount: previousCount + 1 });
+    signal?.throwIfAborted();
+    if (!loaded) return [];
+
+    const newElements = traversal.querySelectorAll(cardSelector)
+      .filter(element => !seenElements.has(element));
+    newElements.forEach(element => seenElements.add(element));
+
+    const products = newElements
+      .map(element => this.vectorSearch.buildProductRecord(element, adapter))
+      .filter(Boolean);
+
+    return this.vectorSearch.enrichWithStructuredData(products, newElements);
+  }
+
+  /**
+   * Fetch a same-origin result page and extract its products (no live elements)
+   */
+  async fetchPage(url, adapter, seenLinks, signal) {
+    const response = await fetch(url, { credentials: 'include', signal });
+    if (!response.ok) {
+      console.warn(`⚠️ Failed to fetch page ${url}: ${response.status}`);
+      return { document: null, products: [] };
+    }
+
+    const html = await response.text();
+    const pageDocument = new DOMParser().parseFromString(html, 'text/html');
+
+    // Resolve relative links against the fetched page, not the current one
+    const base = pageDocument.createElement('base');
+    base.href = url;
+    pageDocument.head.prepend(base);
+
+    const elements = new Set();
+    adapter.cardSelectors.forEach(selector => {
+      pageDocument.querySelectorAll(selector).forEach(element => elements.add(element));
+    });
+
+    const products = Array.from(elements)
+      .map(element => this.vectorSearch.buildProductRecord(element, adapter, { skipLayoutCheck: true, pageUrl: url }))
+      .filter(product => product && !(product.link && seenLinks.has(product.link)))
+      .map(({ element, ...product }) => product); // Elements of a fetched page can't be highlighted
+
+    return { document: pageDocument, products };
+  }
+
+  findLoadMoreControl(adapter) {
+    const selector = adapter.pagination?.loadMore;
+    const traversal = this.vectorSearch.domTraversal;
+    const candidates = selector
+      ? traversal.querySelectorAll(selector)
+      : traversal.querySelectorAll('button, a[role="button"], [class*="load-more"], [class*="loadMore"]');
+
+    return candidates.find(element =>
+      this.isClickable(element) && (selector || this.loadMorePattern.test(element.textContent || ''))
+    ) || null;
+  }
+
+  /**
+   * URL of the next result page. Candidates are ranked: rel="next", then "next" labels and
+   * classes, then the numbered link right after the current page; other pagination links
+   * (page 1, "prev") never qualify.
+   */
+  findNextPageUrl(adapter, root, visitedUrls) {
+    if (!root) return null;
+
+    const tiers = adapter.pagination?.nextPage
+      ? [Array.from(root.querySelectorAll(adapter.pagination.nextPage))]
+      : [
+          Array.from(root.querySelectorAll('link[rel~="next"], a[rel~="next"]')),
+          [
+            ...root.querySelectorAll('a[aria-label*="next" i], a[class*="next"]'),
+            ...Array.from(root.querySelectorAll('a[href]'))
+              .filter(anchor => this.nextPagePattern.test(anchor.textContent || ''))
+          ],
+          this.findFollowingPageLinks(root)
+        ];
+
+    for (const candidates of tiers) {
+      for (const candidate of candidates) {
+        const url = this.resolvePageUrl(candidate.getAttribute('href'), root);
+        if (url && !visitedUrls.has(url)) return url;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Numbered links one past the current page ("3" when the pager marks "2" as current)
+   */
+  findFollowingPageLinks(root) {
+    const currentSelector = '[aria-current="page"], [class*="current"], [class*="active"], [class*="selected"]';
+    const pagerSelector = 'nav, ul, ol, [class*="pagination"], [class*="pager"]';
+    const links = [];
+
+    root.querySelectorAll(currentSelector).forEach(current => {
+      const pageNumber = parseInt((current.textContent || '').trim(), 10);
+      const pager = current.closest(pagerSelector);
+      if (!pager || !/^\d+$/.test((current.textContent || '').trim())) return;
+
+      pager.querySelectorAll('a[href]').forEach(anchor => {
+        if ((anchor.textContent || '').trim() === String(pageNumber + 1)) links.push(anchor);
+      });
+    });
+
+    return links;
+  }
+
+  /**
+   * Absolute same-origin URL for a pagination href, or null for fragments, scripts and bad URLs
+   */
+  resolvePageUrl(href, root) {
+    if (!href || href.startsWith('#') || href.startsWith('javascript:')) return null;
+
+    try {
+      const url = new URL(href, root.baseURI || window.location.href);
+      return url.origin === window.location.origin ? url.href : null;
+    } catch (error) {
+      console.warn(`⚠️ Ignoring malformed pagination link "${href}":`, error.message);
+      return null;
+    }
+  }
+
+  isClickable(element) {
+    if (element.disabled || element.getAttribute('aria-disabled') === 'true') return false;
+    const rect = element.getBoundingClientRect();
+    return rect.width > 0 && rect.height > 0;
+  }
+}
+
+// Export for use in content script
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PaginationCrawler;
+}
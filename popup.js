@@ -1,57 +1,182 @@
 document.addEventListener('DOMContentLoaded', async () => {
-  const promptTextarea = document.getElementById('prompt');
+  const promptList = document.getElementById('promptList');
+  const addPromptBtn = document.getElementById('addPrompt');
   const thresholdSlider = document.getElementById('threshold');
   const thresholdValue = document.getElementById('thresholdValue');
   const enabledToggle = document.getElementById('enabled');
   const groqApiKeyInput = document.getElementById('groqApiKey');
   const groqEnabledToggle = document.getElementById('groqEnabled');
+  const crawlModeToggle = document.getElementById('crawlMode');
+  const crawlMaxPagesInput = document.getElementById('crawlMaxPages');
+  const embeddingProviderSelect = document.getElementById('embeddingProvider');
+  const retrievalModeSelect = document.getElementById('retrievalMode');
+  const lexicalWeightSlider = document.getElementById('lexicalWeight');
+  const lexicalWeightValue = document.getElementById('lexicalWeightValue');
+  const lexicalWeightGroup = document.getElementById('lexicalWeightGroup');
   const applyButton = document.getElementById('apply');
   const statusDiv = document.getElementById('status');
   const toggleAnalyticsBtn = document.getElementById('toggleAnalytics');
   const analyticsPanel = document.getElementById('analyticsPanel');
+  const toggleRatesBtn = document.getElementById('toggleRates');
+  const ratesPanel = document.getElementById('ratesPanel');
+  const currencyRatesInput = document.getElementById('currencyRates');
+  const currencyConverter = new CurrencyConverter();
+  const promptSet = new PromptSet();
+  const savedSearches = new SavedSearchLibrary();
+  const toggleSavedBtn = document.getElementById('toggleSaved');
+  const savedPanel = document.getElementById('savedPanel');
+  const savedList = document.getElementById('savedList');
+  const toggleHistoryBtn = document.getElementById('toggleHistory');
+  const historyPanel = document.getElementById('historyPanel');
+  const historyList = document.getElementById('historyList');
 
   await loadSettings();
   setupAnalytics();
+  setupCurrencyRates();
+  setupSavedSearches();
+  setupQueryHistory();
 
   thresholdSlider.addEventListener('input', (e) => {
     thresholdValue.textContent = e.target.value + '%';
   });
 
+  lexicalWeightSlider.addEventListener('input', (e) => {
+    lexicalWeightValue.textContent = e.target.value + '%';
+  });
+
+  retrievalModeSelect.addEventListener('change', updateLexicalWeightVisibility);
+
   applyButton.addEventListener('click', applySettings);
 
-  promptTextarea.addEventListener('keydown', (e) => {
-    if (e.key === 'Enter' && e.ctrlKey) {
-      applySettings();
+  addPromptBtn.addEventListener('click', () => {
+    if (!promptSet.add()) {
+      showStatus(`You can compare up to ${promptSet.maxPrompts} prompts`, 'error');
+      return;
     }
+    renderPromptList();
+    promptList.lastElementChild.querySelector('textarea').focus();
   });
 
   async function loadSettings() {
     try {
+      await promptSet.load();
+      renderPromptList();
+
       const result = await chrome.storage.sync.get([
-        'userPrompt', 'threshold', 'isEnabled', 'groqApiKey', 'groqEnabled'
+        'threshold', 'isEnabled', 'groqApiKey', 'groqEnabled',
+        'crawlMode', 'crawlMaxPages', 'embeddingProvider', 'retrievalMode', 'lexicalWeight'
       ]);
 
-      promptTextarea.value = result.userPrompt || '';
       thresholdSlider.value = result.threshold || 60;
       thresholdValue.textContent = thresholdSlider.value + '%';
       enabledToggle.checked = result.isEnabled !== false;
       groqApiKeyInput.value = result.groqApiKey || '';
       groqEnabledToggle.checked = result.groqEnabled === true;
+      crawlModeToggle.checked = result.crawlMode === true;
+      crawlMaxPagesInput.value = result.crawlMaxPages || 12;
+      embeddingProviderSelect.value = result.embeddingProvider || 'lightweight';
+      if (!embeddingProviderSelect.value) {
+        // Provider no longer offered ('use'): store the fallback the page already runs
+        embeddingProviderSelect.value = 'lightweight';
+        chrome.storage.sync.set({ embeddingProvider: 'lightweight' });
+      }
+      retrievalModeSelect.value = result.retrievalMode || 'hybrid-rrf';
+      lexicalWeightSlider.value = Math.round((result.lexicalWeight ?? 0.4) * 100);
+      lexicalWeightValue.textContent = lexicalWeightSlider.value + '%';
+      updateLexicalWeightVisibility();
     } catch (error) {
       showStatus('Failed to load settings', 'error');
     }
   }
 
+  // The keyword weight only applies to the weighted blend
+  function updateLexicalWeightVisibility() {
+    lexicalWeightGroup.style.display = retrievalModeSelect.value === 'hybrid-weighted' ? 'block' : 'none';
+  }
+
+  /**
+   * One editable row per prompt: on/off, colour, name, badge label, threshold and the prompt itself
+   */
+  function renderPromptList() {
+    promptList.replaceChildren(...promptSet.getAll().map(entry => {
+      const row = document.createElement('div');
+      row.className = 'prompt-row';
+      row.classList.toggle('off', !entry.enabled);
+      row.style.setProperty('--prompt-color', entry.color);
+      row.innerHTML = `
+        <div class="prompt-row-header">
+          <input type="checkbox" class="prompt-enabled" title="Highlight matches for this prompt">
+          <input type="color" class="prompt-color" title="Highlight colour">
+          <input type="text" class="api-key-input prompt-name" placeholder="Name" maxlength="30">
+          <input type="text" class="api-key-input prompt-badge" placeholder="Badge" maxlength="24">
+          <input type="number" class="api-key-input prompt-threshold" placeholder="auto" min="0" max="95" title="Minimum match % (auto when empty)">
+          <button class="prompt-remove" title="Remove prompt">×</button>
+        </div>
+        <textarea class="prompt-text" placeholder="e.g., wireless headphones with noise cancellation under $200"></textarea>
+      `;
+
+      const fields = {
+        enabled: row.querySelector('.prompt-enabled'),
+        color: row.querySelector('.prompt-color'),
+        name: row.querySelector('.prompt-name'),
+        badge: row.querySelector('.prompt-badge'),
+        threshold: row.querySelector('.prompt-threshold'),
+        prompt: row.querySelector('.prompt-text')
+      };
+      fields.enabled.checked = entry.enabled;
+      fields.color.value = entry.color;
+      fields.name.value = entry.name;
+      fields.badge.value = entry.badge;
+      fields.badge.placeholder = promptSet.getBadgeLabel(entry);
+      fields.threshold.value = entry.threshold === null ? '' : Math.round(entry.threshold * 100);
+      fields.prompt.value = entry.prompt;
+
+      const update = () => {
+        const updated = promptSet.update(entry.id, {
+          enabled: fields.enabled.checked,
+          color: fields.color.value,
+          name: fields.name.value,
+          badge: fields.badge.value,
+          threshold: fields.threshold.value === '' ? null : parseInt(fields.threshold.value) / 100,
+          prompt: fields.prompt.value.trim()
+        });
+        row.classList.toggle('off', !updated.enabled);
+        row.style.setProperty('--prompt-color', updated.color);
+        fields.badge.placeholder = promptSet.getBadgeLabel(updated);
+      };
+      Object.values(fields).forEach(field => field.addEventListener('input', update));
+
+      fields.prompt.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' && e.ctrlKey) {
+          applySettings();
+        }
+      });
+
+      row.querySelector('.prompt-remove').addEventListener('click', () => {
+        promptSet.remove(entry.id);
+        renderPromptList();
+      });
+
+      return row;
+    }));
+  }
+
   async function applySettings() {
-    const userPrompt = promptTextarea.value.trim();
+    const prompts = promptSet.getAll();
+    const activePrompts = promptSet.getActive();
     const threshold = parseInt(thresholdSlider.value) / 100;
     const isEnabled = enabledToggle.checked;
     const groqApiKey = groqApiKeyInput.value.trim();
     const groqEnabled = groqEnabledToggle.checked;
+    const crawlMode = crawlModeToggle.checked;
+    const crawlMaxPages = Math.min(50, Math.max(2, parseInt(crawlMaxPagesInput.value) || 12));
+    const embeddingProvider = embeddingProviderSelect.value;
+    const retrievalMode = retrievalModeSelect.value;
+    const lexicalWeight = parseInt(lexicalWeightSlider.value) / 100;
 
-    if (!userPrompt && isEnabled) {
+    if (activePrompts.length === 0 && isEnabled) {
       showStatus('Please enter what you\'re looking for', 'error');
-      promptTextarea.focus();
+      promptList.querySelector('textarea')?.focus();
       return;
     }
 
@@ -66,12 +191,17 @@ document.addEventListener('DOMContentLoaded', async () => {
       applyButton.disabled = true;
       applyButton.textContent = 'Applying...';
 
+      await promptSet.save();
       await chrome.storage.sync.set({
-        userPrompt,
         threshold,
         isEnabled,
         groqApiKey,
-        groqEnabled
+        groqEnabled,
+        crawlMode,
+        crawlMaxPages,
+        embeddingProvider,
+        retrievalMode,
+        lexicalWeight
       });
 
       const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
@@ -79,17 +209,23 @@ document.addEventListener('DOMContentLoaded', async () => {
       if (tab.id) {
         await chrome.tabs.sendMessage(tab.id, {
           action: 'updateSettings',
-          userPrompt,
+          prompts,
           threshold,
           isEnabled,
           groqApiKey,
-          groqEnabled
+          groqEnabled,
+          crawlMode,
+          crawlMaxPages,
+          embeddingProvider,
+          retrievalMode,
+          lexicalWeight
         });
       }
 
-      if (isEnabled && userPrompt) {
+      if (isEnabled && activePrompts.length > 0) {
         const aiStatus = groqEnabled && groqApiKey ? ' with AI enhancement' : '';
-        showStatus(`✅ Highlighting applied successfully${aiStatus}!`, 'success');
+        const promptStatus = activePrompts.length > 1 ? ` for ${activePrompts.length} prompts` : '';
+        showStatus(`✅ Highlighting applied successfully${promptStatus}${aiStatus}!`, 'success');
       } else if (!isEnabled) {
         showStatus('⏸️ Highlighting disabled', 'success');
       } else {
@@ -114,6 +250,204 @@ document.addEventListener('DOMContentLoaded', async () => {
     }, 3000);
   }
 
+  function setupSavedSearches() {
+    savedSearches.onChange = renderSavedSearches;
+
+    toggleSavedBtn.addEventListener('click', async () => {
+      const isVisible = savedPanel.style.display !== 'none';
+      savedPanel.style.display = isVisible ? 'none' : 'block';
+
+      if (!isVisible) {
+        await savedSearches.load();
+        renderSavedSearches();
+      }
+    });
+  }
+
+  /**
+   * Name, domain scope and default flag are editable; "Use" loads the search into the page's toolbar
+   */
+  function renderSavedSearches() {
+    const searches = savedSearches.getAll();
+    if (searches.length === 0) {
+      savedList.innerHTML = '<div class="saved-empty">No saved searches yet</div>';
+      return;
+    }
+
+    savedList.replaceChildren(...searches.map(search => {
+      const row = document.createElement('div');
+      row.className = 'saved-row';
+      row.title = search.prompt;
+      row.innerHTML = `
+        <div class="saved-row-header">
+          <input type="text" class="api-key-input saved-name" placeholder="Name" maxlength="40">
+          <div class="rates-actions">
+            <button class="analytics-toggle-btn saved-use">Use</button>
+            <button class="analytics-toggle-btn saved-delete" title="Delete saved search">×</button>
+          </div>
+        </div>
+        <div class="saved-row-scope">
+          <input type="text" class="api-key-input saved-domain" placeholder="All sites (or e.g. zalando.de)">
+          <input type="checkbox" class="saved-default" title="Activate automatically on this domain">
+          <span>Default</span>
+        </div>
+        <div class="saved-row-facets"></div>
+      `;
+
+      const nameInput = row.querySelector('.saved-name');
+      const domainInput = row.querySelector('.saved-domain');
+      const defaultToggle = row.querySelector('.saved-default');
+      nameInput.value = search.name;
+      domainInput.value = search.domain;
+      defaultToggle.checked = search.isDefault;
+      defaultToggle.disabled = !search.domain;
+      row.querySelector('.saved-row-facets').textContent = savedSearches.describeFacets(search, 8) || search.prompt;
+
+      const save = async () => {
+        const updated = await savedSearches.update(search.id, {
+          name: nameInput.value,
+          domain: domainInput.value,
+          isDefault: defaultToggle.checked
+        });
+        renderSavedSearches();
+        if (updated.isDefault) showStatus(`📌 "${updated.name}" is now the default on ${updated.domain}`, 'success');
+      };
+      [nameInput, domainInput, defaultToggle].forEach(input => input.addEventListener('change', save));
+
+      row.querySelector('.saved-delete').addEventListener('click', async () => {
+        await savedSearches.remove(search.id);
+        renderSavedSearches();
+      });
+
+      row.querySelector('.saved-use').addEventListener('click', () => useSavedSearch(search));
+      return row;
+    }));
+  }
+
+  async function useSavedSearch(search) {
+    try {
+      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      if (tab.id) {
+        const response = await chrome.tabs.sendMessage(tab.id, { action: 'applySavedSearch', searchId: search.id });
+        if (response?.prompts) {
+          promptSet.replaceAll(response.prompts);
+          renderPromptList();
+        }
+      }
+      enabledToggle.checked = true;
+      showStatus(`📚 Searching for "${search.name}"`, 'success');
+    } catch (error) {
+      showStatus('Failed to apply saved search. Try refreshing the page.', 'error');
+    }
+  }
+
+  function setupQueryHistory() {
+    toggleHistoryBtn.addEventListener('click', async () => {
+      const isVisible = historyPanel.style.display !== 'none';
+      historyPanel.style.display = isVisible ? 'none' : 'block';
+
+      if (!isVisible) {
+        await loadQueryHistory();
+      }
+    });
+
+    document.getElementById('clearHistory').addEventListener('click', async () => {
+      try {
+        const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+        await chrome.tabs.sendMessage(tab.id, { action: 'clearQueryHistory' });
+        renderQueryHistory([]);
+        showStatus('🕘 Query history cleared for this site', 'success');
+      } catch (error) {
+        showStatus('Failed to clear history. Try refreshing the page.', 'error');
+      }
+    });
+  }
+
+  /**
+   * History lives in the page's IndexedDB, so it is read through the content script
+   */
+  async function loadQueryHistory() {
+    try {
+      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      const response = await chrome.tabs.sendMessage(tab.id, { action: 'getQueryHistory', limit: 30 });
+      renderQueryHistory(response?.history || []);
+    } catch (error) {
+      historyList.innerHTML = '<div class="saved-empty">Open a shop page to see its query history</div>';
+    }
+  }
+
+  /**
+   * Clicking a query puts it into the first prompt and applies it
+   */
+  function renderQueryHistory(history) {
+    if (history.length === 0) {
+      historyList.innerHTML = '<div class="saved-empty">No queries yet</div>';
+      return;
+    }
+
+    historyList.replaceChildren(...history.map(entry => {
+      const row = document.createElement('div');
+      row.className = 'saved-row history-row';
+      row.title = 'Search for this again';
+      row.innerHTML = `
+        <div class="history-query"></div>
+        <div class="saved-row-facets"></div>
+      `;
+
+      const rated = entry.feedback.correct + entry.feedback.incorrect + entry.feedback.irrelevant;
+      row.querySelector('.history-query').textContent = entry.query;
+      row.querySelector('.saved-row-facets').textContent = [
+        `${entry.count}× · last ${new Date(entry.lastUsed).toLocaleDateString()}`,
+        `${entry.matchCount} matches`,
+        `${Math.round(entry.successRate * 100)}% success${rated ? ` (${rated} rated)` : ''}`
+      ].join(' · ');
+
+      row.addEventListener('click', async () => {
+        const [first] = promptSet.getAll();
+        promptSet.update(first.id, { prompt: entry.query, enabled: true });
+        renderPromptList();
+        await applySettings();
+      });
+      return row;
+    }));
+  }
+
+  function setupCurrencyRates() {
+    const importInput = document.getElementById('importRatesFile');
+
+    toggleRatesBtn.addEventListener('click', async () => {
+      const isVisible = ratesPanel.style.display !== 'none';
+      ratesPanel.style.display = isVisible ? 'none' : 'block';
+
+      if (!isVisible) {
+        await currencyConverter.load();
+        currencyRatesInput.value = currencyConverter.exportJson();
+      }
+    });
+
+    document.getElementById('saveRates').addEventListener('click', () => saveRates(currencyRatesInput.value));
+    document.getElementById('importRates').addEventListener('click', () => importInput.click());
+
+    importInput.addEventListener('change', async () => {
+      const file = importInput.files[0];
+      if (!file) return;
+
+      currencyRatesInput.value = await file.text();
+      await saveRates(currencyRatesInput.value);
+      importInput.value = '';
+    });
+  }
+
+  async function saveRates(json) {
+    try {
+      await currencyConverter.importJson(json);
+      currencyRatesInput.value = currencyConverter.exportJson();
+      showStatus('💱 Currency rates saved', 'success');
+    } catch (error) {
+      showStatus(error.message, 'error');
+    }
+  }
+
   function setupAnalytics() {
     toggleAnalyticsBtn.addEventListener('click', () => {
       const isVisible = analyticsPanel.style.display !== 'none';
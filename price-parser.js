@@ -0,0 +1,403 @@
+/**
+ * Price Parser
+ * Locale-aware parsing of shop prices ("1.299,00 €", "CHF 49.–", "€20 – €35", "from $9.99")
+ * and of price constraints in queries ("under 100 euros", "between 50 and 80", "around €60",
+ * "at least 30% off", "cheapest"). Shared by capture and query analysis.
+ *
+ * Parsed price shape: { amount, currency, kind: 'current' | 'original' | 'from' | 'range', max, raw }
+ * (max is only set for ranges; amount is then the lower bound)
+ */
+
+class PriceParser {
+  /**
+   * options.localeSupport tells which country the page sells to; options.region overrides it
+   */
+  constructor(options = {}) {
+    this.localeSupport = options.localeSupport || null;
+    this.region = options.region;
+
+    // Longer tokens first so "US$" wins over "$"
+    this.currencySymbols = [
+      ['US$', 'USD'], ['A$', 'AUD'], ['C$', 'CAD'], ['R$', 'BRL'], ['HK$', 'HKD'],
+      ['€', 'EUR'], ['$', 'USD'], ['£', 'GBP'], ['¥', 'JPY'], ['₹', 'INR'], ['₽', 'RUB'],
+      ['₺', 'TRY'], ['₩', 'KRW'], ['zł', 'PLN'], ['Kč', 'CZK'], ['Fr.', 'CHF'], ['kr', 'SEK']
+    ];
+    // Symbols several countries use, by the page's country (the mapped currency is the fallback)
+    this.regionalSymbols = {
+      '$': { ca: 'CAD', au: 'AUD', nz: 'NZD', hk: 'HKD', sg: 'SGD', mx: 'MXN' },
+      kr: { no: 'NOK', dk: 'DKK', is: 'ISK', fo: 'DKK', gl: 'DKK' }
+    };
+    this.currencyWords = {
+      eur: 'EUR', euro: 'EUR', euros: 'EUR',
+      usd: 'USD', dollar: 'USD', dollars: 'USD', bucks: 'USD',
+      gbp: 'GBP', pound: 'GBP', pounds: 'GBP', quid: 'GBP',
+      chf: 'CHF', franken: 'CHF', francs: 'CHF',
+      jpy: 'JPY', yen: 'JPY',
+      sek: 'SEK', nok: 'NOK', dkk: 'DKK', pln: 'PLN', czk: 'CZK',
+      aud: 'AUD', cad: 'CAD', inr: 'INR'
+    };
+
+    const escape = (token) => token.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const symbols = this.currencySymbols.map(([symbol]) => escape(symbol)).join('|');
+    const words = Object.keys(this.currencyWords).join('|');
+
+    this.currencySource = `(?:${symbols}|\\b(?:${words})\\b)`;
+    // 1.299,00 | 1,299.00 | 1 299,00 | 1'299.00 | 49.– | 49,- | 9.99 (spaced groups: no-break or narrow no-break)
+    this.amountSource = `\\d{1,3}(?:[.,'\\u00a0\\u202f]\\d{3})+(?:[.,]\\d{1,2})?(?:[.,][-–]{1,2})?|\\d+(?:[.,]\\d{1,2})?(?:[.,][-–]{1,2})?`;
+
+    const amount = this.amountSource;
+    const currency = this.currencySource;
+    const separator = `(?:\\s*[-–—]\\s*|\\s+(?:to|bis|à|a|tot)\\s+)`;
+
+    this.rangePattern = new RegExp(
+      `(${currency})?\\s?(${amount})\\s?(${currency})?${separator}(${currency})?\\s?(${amount})\\s?(${currency})?`, 'gi'
+    );
+    this.pricePattern = new RegExp(
+      `(${currency})\\s?(${amount})|(${amount})\\s?(${currency})`, 'gi'
+    );
+    // Plain spaces group thousands only in a text that is nothing but the price ("1 299,00 €");
+    // in free text they usually separate numbers ("Air Max 90 129,99 €", "Pack of 3 100 €")
+    this.spacedPricePattern = new RegExp(
+      `^\\s*(?:${currency})?\\s?\\d{1,3}(?: \\d{3})+(?:[.,]\\d{1,2})?(?:[.,][-–]{1,2})?\\s?(?:${currency})?\\s*$`, 'i'
+    );
+
+    // Words right before a price that tell us which price it is
+    this.originalMarkers = /(?:\bwas|\bstatt|\buvp|\brrp|\bmsrp|\boriginally|\boriginal(?: price)?|\binstead of|\bpreviously|\bregular(?: price)?|\blist price|\bprix barré|\bantes|\bprima|\bvan|\bvorher)\s*:?\s*$/i;
+    this.fromMarkers = /(?:\bfrom|\bab|\bstarting at|\bstarting from|\bdès|\bà partir de|\bdesde|\ba partir de|\bda|\bvanaf)\s*:?\s*$/i;
+
+    this.strikeSelector = 's, del, strike, [class*="strike"], [class*="original"], [class*="was-price"], [class*="old-price"], [class*="oldPrice"], [class*="crossed"], [class*="rrp"], [class*="uvp"]';
+
+    // Query constraints: "under 100 euros", "below €50", "max 80", "more than $20"
+    this.maxWords = 'under|below|less than|cheaper than|max|maximum|up to|no more than|at most|unter|bis|moins de|menos de|sotto|onder';
+    this.minWords = 'above|over|more than|min|minimum|at least|from|über|ab|plus de|más de|sopra|boven';
+
+    // "between 50 and 80", "von 20 bis 40", "€50-80"
+    this.rangeWords = 'between|zwischen|entre|tra|fra|tussen|from|von|de|da|van';
+    this.rangeSeparators = 'and|to|und|bis|et|à|a|y|e|en|tot';
+
+    // "around €60" accepts prices within aroundTolerance of the target
+    this.aroundWords = 'around|about|approximately|approx\\.?|roughly|circa|ca\\.|etwa|ungefähr|rund|environ|alrededor de|aproximadamente|intorno a|ongeveer';
+    this.aroundTolerance = 0.15;
+
+    // "at least 30% off", "30% Rabatt"
+    this.discountMinWords = 'at least|min|minimum|mindestens|au moins|al menos|almeno|minstens';
+    this.discountWords = 'off|discount|reduced|rabatt|reduziert|de réduction|de remise|de descuento|di sconto|sconto|korting';
+
+    // Relative price tiers; superlatives first so "cheapest" isn't read as "cheap"
+    this.tierWords = [
+      ['cheapest', 'cheapest|least expensive|lowest price[ds]?|günstigsten?|billigsten?|moins chers?|moins chères?|más barat[oa]s?|più economic[oi]|goedkoopste'],
+      ['budget', 'cheap|budget|affordable|inexpensive|low[- ]cost|günstige?[nrs]?|billige?[nrs]?|preiswerte?[nrs]?|pas chers?|bon marché|barat[oa]s?|económic[oa]s?|economic[oi]|goedkope?'],
+      ['premium', 'premium|luxury|luxurious|high[- ]end|expensive|upscale|teure?[nrs]?|hochwertige?[nrs]?|luxus|haut de gamme|luxe|de lujo|di lusso|duur|dure']
+    ];
+    // Share of the compared prices each tier keeps (cheapest fifth, cheaper 40%, dearest 30%)
+    this.tierShares = { cheapest: 0.2, budget: 0.4, premium: 0.3 };
+  }
+
+  /**
+   * Parse every price in a piece of text
+   */
+  parse(text) {
+    if (!text) return [];
+
+    const source = this.spacedPricePattern.test(text)
+      ? String(text).replace(/(\d) (?=\d{3})/g, '$1\u00a0')
+      : String(text);
+    const prices = [];
+    let masked = source;
+
+    // Ranges first, then mask them so their ends aren't read as single prices
+    this.rangePattern.lastIndex = 0;
+    let match;
+    while ((match = this.rangePattern.exec(source)) !== null) {
+      const currencyToken = match[1] || match[3] || match[4] || match[6];
+      if (!currencyToken) continue;
+
+      const low = this.parseAmount(match[2]);
+      const high = this.parseAmount(match[5]);
+      if (low === null || high === null || high <= low) continue;
+
+      prices.push({
+        amount: low,
+        max: high,
+        currency: this.normalizeCurrency(currencyToken),
+        kind: 'range',
+        raw: match[0].trim(),
+        index: match.index
+      });
+      masked = masked.substring(0, match.index) + ' '.repeat(match[0].length) + masked.substring(match.index + match[0].length);
+    }
+
+    this.pricePattern.lastIndex = 0;
+    while ((match = this.pricePattern.exec(masked)) !== null) {
+      const amount = this.parseAmount(match[2] || match[3]);
+      if (amount === null) continue;
+
+      prices.push({
+        amount,
+        currency: this.normalizeCurrency(match[1] || match[4]),
+        kind: this.detectKind(source.substring(Math.max(0, match.index - 24), match.index)),
+        raw: match[0].trim(),
+        index: match.index
+      });
+    }
+
+    prices.sort((a, b) => a.index - b.index);
+    this.resolveUnmarkedPrices(prices);
+    return prices.map(({ index, ...price }) => price);
+  }
+
+  /**
+   * Parse the prices of a product card, using strike-through markup to spot original prices
+   */
+  parseElement(element, priceSelector = '[class*="price"], [data-price]') {
+    const priceElements = priceSelector ? Array.from(element.querySelectorAll(priceSelector)) : [];
+
+    // Only the innermost price nodes, so a wrapper isn't parsed twice
+    const leaves = priceElements.filter(node =>
+      !priceElements.some(other => other !== node && node.contains(other))
+    );
+
+    const prices = [];
+    leaves.forEach(node => {
+      const struck = this.isStruckThrough(node, element);
+      let parsed = this.parse(node.textContent || '');
+
+      // Machine-readable attributes often carry a bare amount ("129.99")
+      const attributeAmount = this.parseAmount(node.getAttribute('content') || node.dataset?.price);
+      if (parsed.length === 0 && attributeAmount !== null) {
+        parsed = [{ amount: attributeAmount, currency: null, kind: 'current', raw: String(attributeAmount) }];
+      }
+
+      parsed.forEach(price => {
+        prices.push(struck ? { ...price, kind: 'original' } : price);
+      });
+    });
+
+    if (prices.length > 0) {
+      this.resolveUnmarkedPrices(prices);
+      return prices;
+    }
+
+    return this.parse(element.textContent || '');
+  }
+
+  /**
+   * The price a shopper pays: current first, then "from" and range prices, never the original
+   */
+  pickSalePrice(prices) {
+    for (const kind of ['current', 'from', 'range']) {
+      const candidates = prices.filter(price => price.kind === kind);
+      if (candidates.length > 0) {
+        return candidates.reduce((lowest, price) => price.amount < lowest.amount ? price : lowest);
+      }
+    }
+    return null;
+  }
+
+  pickOriginalPrice(prices) {
+    const originals = prices.filter(price => price.kind === 'original');
+    return originals.length > 0
+      ? originals.reduce((highest, price) => price.amount > highest.amount ? price : highest)
+      : null;
+  }
+
+  /**
+   * Extract price constraints from a query; each carries raw (the matched text):
+   *   { type: 'max' | 'min', value, currency }       "under 100 euros", "over $20"
+   *   { type: 'range', min, max, currency }          "between 50 and 80", "€50-80"
+   *   { type: 'around', value, min, max, currency }  "around €60"
+   *   { type: 'discount', value }                    "at least 30% off" (percent below the original price)
+   *   { type: 'tier', value: 'cheapest' | 'budget' | 'premium' } - bounds come from resolvePriceTiers
+   * currency is null when unspecified
+   */
+  parseConstraints(prompt) {
+    const constraints = [];
+    if (!prompt) return constraints;
+
+    const amount = this.amountSource;
+    const currency = this.currencySource;
+    const start = '(?<![\\w\\u00c0-\\u024f])';
+    const end = '(?![\\w\\u00c0-\\u024f])';
+    let masked = String(prompt);
+
+    // Match, then blank out the text so later (looser) patterns don't read it again
+    const take = (pattern, build) => {
+      let match;
+      while ((match = pattern.exec(masked)) !== null) {
+        const constraint = build(match);
+        if (!constraint) continue;
+
+        constraints.push({ ...constraint, raw: match[0].trim(), index: match.index });
+        masked = masked.substring(0, match.index) + ' '.repeat(match[0].length) + masked.substring(match.index + match[0].length);
+      }
+    };
+    const currencyOf = (...tokens) => {
+      const token = tokens.find(Boolean);
+      return token ? this.normalizeCurrency(token) : null;
+    };
+
+    take(new RegExp(
+      `${start}(?:(${this.discountMinWords})\\s+)?(\\d{1,2})\\s?%\\s*(?:${this.discountWords})(?:\\s+or more)?${end}`, 'gi'
+    ), match => ({ type: 'discount', value: parseInt(match[2], 10) }));
+
+    // A range needs a range word or a currency, so "size 38-40" stays a size
+    take(new RegExp(
+      `${start}(?:(${this.rangeWords})\\s+)?(${currency})?\\s?(${amount})\\s?(${currency})?` +
+      `(?:\\s*[-–—]\\s*|\\s+(?:${this.rangeSeparators})\\s+)(${currency})?\\s?(${amount})\\s?(${currency})?`, 'gi'
+    ), match => {
+      const low = this.parseAmount(match[3]);
+      const high = this.parseAmount(match[6]);
+      const rangeCurrency = currencyOf(match[2], match[4], match[5], match[7]);
+      if (low === null || high === null || high <= low) return null;
+      if (!match[1] && !rangeCurrency) return null;
+      return { type: 'range', min: low, max: high, currency: rangeCurrency };
+    });
+
+    take(new RegExp(`${start}(?:${this.aroundWords})\\s*(${currency})?\\s?(${amount})\\s?(${currency})?`, 'gi'), match => {
+      const value = this.parseAmount(match[2]);
+      if (value === null) return null;
+      return {
+        type: 'around',
+        value,
+        min: value * (1 - this.aroundTolerance),
+        max: value * (1 + this.aroundTolerance),
+        currency: currencyOf(match[1], match[3])
+      };
+    });
+
+    const maxPattern = new RegExp(`^(?:${this.maxWords}|or less|or under|max|maximum)$`, 'i');
+    take(new RegExp(
+      `${start}(${this.maxWords}|${this.minWords})\\s*(${currency})?\\s?(${amount})\\s?(${currency})?` +
+      `|(${currency})?\\s?(${amount})\\s?(${currency})?\\s*(or less|or under|max|maximum|or more|and up|\\+)`,
+      'gi'
+    ), match => {
+      const keyword = (match[1] || match[8] || '').toLowerCase();
+      const value = this.parseAmount(match[3] || match[6]);
+      if (value === null) return null;
+      return {
+        type: maxPattern.test(keyword) ? 'max' : 'min',
+        value,
+        currency: currencyOf(match[2], match[4], match[5], match[7])
+      };
+    });
+
+    this.tierWords.forEach(([tier, words]) => {
+      take(new RegExp(`${start}(?:${words})${end}`, 'gi'), () => ({ type: 'tier', value: tier }));
+    });
+
+    constraints.sort((a, b) => a.index - b.index);
+    return constraints.map(({ index, ...constraint }) => constraint);
+  }
+
+  /**
+   * Give "cheapest" / "budget" / "premium" constraints bounds from the prices they are compared against
+   */
+  resolvePriceTiers(constraints, amounts) {
+    const sorted = amounts.filter(amount => Number.isFinite(amount)).sort((a, b) => a - b);
+    if (sorted.length === 0) return constraints;
+
+    const quantile = (share) => sorted[Math.min(sorted.length - 1, Math.floor(share * (sorted.length - 1)))];
+
+    return constraints.map(constraint => {
+      if (constraint.type !== 'tier') return constraint;
+      return constraint.value === 'premium'
+        ? { ...constraint, min: quantile(1 - this.tierShares.premium) }
+        : { ...constraint, max: quantile(this.tierShares[constraint.value]) };
+    });
+  }
+
+  /**
+   * Read a locale-formatted amount: "1.299,00", "1,299.00", "1 299", "49.–"
+   */
+  parseAmount(value) {
+    if (value === null || value === undefined) return null;
+    if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+
+    let text = String(value).trim()
+      .replace(/[.,][-–]{1,2}$/, '')       // "49.–" / "49,-" mean whole units
+      .replace(/['\u00a0\u202f ]/g, ''); // thousands spacing
+    if (!/\d/.test(text)) return null;
+
+    const lastDot = text.lastIndexOf('.');
+    const lastComma = text.lastIndexOf(',');
+
+    if (lastDot !== -1 && lastComma !== -1) {
+      // Both present: the later one is the decimal separator
+      const decimal = lastDot > lastComma ? '.' : ',';
+      const thousands = decimal === '.' ? ',' : '.';
+      text = text.split(thousands).join('').replace(decimal, '.');
+    } else if (lastDot !== -1 || lastComma !== -1) {
+      const separator = lastDot !== -1 ? '.' : ',';
+      const parts = text.split(separator);
+      const isThousands = parts.length > 2 || parts[parts.length - 1].length === 3;
+      text = isThousands ? parts.join('') : parts.join('.');
+    }
+
+    const amount = parseFloat(text);
+    return Number.isFinite(amount) ? amount : null;
+  }
+
+  normalizeCurrency(token) {
+    if (!token) return null;
+    const trimmed = token.trim();
+
+    const symbol = this.currencySymbols.find(([candidate]) => candidate.toLowerCase() === trimmed.toLowerCase());
+    if (symbol) {
+      const regional = this.regionalSymbols[symbol[0]];
+      return (regional && regional[this.getRegion()]) || symbol[1];
+    }
+
+    return this.currencyWords[trimmed.toLowerCase()] || trimmed.toUpperCase();
+  }
+
+  /**
+   * The page's country, looked up once ("$" and "kr" depend on it)
+   */
+  getRegion() {
+    if (this.region === undefined) {
+      this.region = this.localeSupport?.getPageRegion() || null;
+    }
+    return this.region;
+  }
+
+    detectKind(precedingText) {
+    if (this.originalMarkers.test(precedingText)) return 'original';
+    if (this.fromMarkers.test(precedingText)) return 'from';
+    return 'current';
+  }
+
+  /**
+   * Cards often show "€59.99 €39.99" with no words: the lower one is the sale price
+   */
+  resolveUnmarkedPrices(prices) {
+    const current = prices.filter(price => price.kind === 'current');
+    if (current.length < 2) return;
+
+    const lowest = current.reduce((min, price) => price.amount < min.amount ? price : min);
+    current.forEach(price => {
+      if (price !== lowest && price.currency === lowest.currency && price.amount > lowest.amount) {
+        price.kind = 'original';
+      }
+    });
+  }
+
+  isStruckThrough(node, card) {
+    const struckAncestor = node.closest(this.strikeSelector);
+    if (struckAncestor && struckAncestor !== card && card.contains(struckAncestor)) {
+      return true;
+    }
+
+    try {
+      const view = node.ownerDocument?.defaultView;
+      const decoration = view?.getComputedStyle(node).textDecorationLine || '';
+      return decoration.includes('line-through');
+    } catch (error) {
+      return false;
+    }
+  }
+}
+
+// Export for use in content script
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PriceParser;
+}
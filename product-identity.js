@@ -0,0 +1,168 @@
+/**
+ * Product Identity
+ * Stable product IDs that survive price changes and new sessions:
+ * GTIN → shop SKU/ASIN → canonical link → content digest
+ */
+
+class ProductIdentity {
+  constructor() {
+    // Query parameters that only track the visit, never select the product
+    this.trackingParams = [
+      /^utm_/, /^pd_rd_/, /^pf_rd_/, /^_ga$/, /^_gl$/, /^mc_[ce]id$/,
+      /^(gclid|gclsrc|dclid|fbclid|msclkid|yclid|igshid|srsltid|wbraid|gbraid)$/,
+      /^(ref|ref_|refid|referrer|source|src|campaign|cmp|cid|trk|trkid|tracking|affiliate|aff_id)$/,
+      /^(spm|scm|_encoding|psc|qid|sr|keywords|crid|sprefix|content-id|smid|th)$/,
+      /^(hash|_trksid|_trkparms|mkevt|mkcid|mkrid|campid|toolid|customid)$/
+    ];
+
+    // Card attributes that commonly carry an item identifier
+    this.skuAttributes = ['data-sku', 'data-product-id', 'data-productid', 'data-item-id', 'data-listing-id', 'data-article-id', 'data-pid'];
+    this.gtinAttributes = ['data-gtin', 'data-ean', 'data-upc', 'data-gtin13'];
+  }
+
+  /**
+   * Derive the product ID, strongest identifier first
+   */
+  getProductId(product, domain = window.location.hostname) {
+    const gtin = this.normalizeGtin(product.gtin);
+    if (gtin) return `gtin:${gtin}`;
+
+    const shop = this.getShopKey(domain);
+    const sku = this.normalizeSku(product.sku);
+    if (sku) return `sku:${shop}:${sku}`;
+
+    const asin = /(^|\.)amazon\./.test(shop) ? this.extractAsinFromUrl(product.link) : '';
+    if (asin) return `sku:${shop}:${asin}`;
+
+    const canonicalLink = this.canonicalizeUrl(product.link, product.url);
+    if (canonicalLink) return `url:${canonicalLink}`;
+
+    // Price is left out on purpose so a price change keeps the identity;
+    // the image path tells same-named colour variants apart
+    const image = (product.image || '').split(/[?#]/)[0];
+    const key = [shop, product.title, product.brand, image].map(part => (part || '').toLowerCase().replace(/\s+/g, ' ').trim()).join('|');
+    return `content:${this.digest(key)}`;
+  }
+
+  /**
+   * Read SKU/ASIN/GTIN from a card's data attributes
+   */
+  extractIdentifiers(element) {
+    const identifiers = {};
+    const selector = ['data-asin', ...this.skuAttributes, ...this.gtinAttributes].map(name => `[${name}]`).join(', ');
+    const candidates = [element, ...element.querySelectorAll(selector)];
+
+    for (const node of candidates) {
+      if (!identifiers.sku) {
+        const asin = node.getAttribute('data-asin');
+        const attribute = this.skuAttributes.find(name => node.getAttribute(name));
+        identifiers.sku = this.normalizeSku(asin || (attribute && node.getAttribute(attribute)));
+      }
+      if (!identifiers.gtin) {
+        const attribute = this.gtinAttributes.find(name => node.getAttribute(name));
+        identifiers.gtin = this.normalizeGtin(attribute && node.getAttribute(attribute));
+      }
+      if (identifiers.sku && identifiers.gtin) break;
+    }
+
+    return Object.fromEntries(Object.entries(identifiers).filter(([, value]) => value));
+  }
+
+  /**
+   * Canonical product link: no tracking params, fragment, "www." or trailing slash.
+   * Placeholder links ("#", "javascript:", the listing itself, the site root) give '' since
+   * every card would share them.
+   */
+  canonicalizeUrl(url, pageUrl = window.location.href) {
+    if (!url) return '';
+
+    let parsed;
+    try {
+      parsed = new URL(url, pageUrl);
+    } catch (error) {
+      return '';
+    }
+    if (!/^https?:$/.test(parsed.protocol)) return '';
+
+    const canonical = this.canonicalizeHttpUrl(parsed);
+    if (canonical.endsWith('/') && !canonical.includes('?')) return ''; // no path or query
+
+    try {
+      return canonical === this.canonicalizeHttpUrl(new URL(pageUrl)) ? '' : canonical;
+    } catch (error) {
+      return canonical;
+    }
+  }
+
+  /**
+   * host + path + non-tracking query of an http(s) URL
+   */
+  canonicalizeHttpUrl(parsed) {
+    const host = parsed.hostname.toLowerCase().replace(/^www\./, '');
+
+    // Amazon product paths carry slugs and ref segments around the ASIN
+    const asin = this.extractAsinFromUrl(parsed.href);
+    if (asin && /(^|\.)amazon\./.test(host)) {
+      return `${host}/dp/${asin}`;
+    }
+
+    const params = [...parsed.searchParams.entries()]
+      .filter(([name]) => !this.trackingParams.some(pattern => pattern.test(name.toLowerCase())))
+      .sort(([a], [b]) => a.localeCompare(b));
+
+    const path = parsed.pathname.replace(/\/+$/, '').replace(/;.*$/, '') || '/';
+    const query = params.length > 0 ? '?' + new URLSearchParams(params).toString() : '';
+    return `${host}${path}${query}`;
+  }
+
+  extractAsinFromUrl(url) {
+    const match = (url || '').match(/\/(?:dp|gp\/product|gp\/aw\/d)\/([A-Z0-9]{10})(?:[/?]|$)/);
+    return match ? match[1] : '';
+  }
+
+  /**
+   * GTIN-8/12/13/14 padded to 14 digits so UPC and EAN forms agree
+   */
+  normalizeGtin(value) {
+    const digits = String(value || '').replace(/\D/g, '');
+    if (![8, 12, 13, 14].includes(digits.length)) return '';
+    return digits.padStart(14, '0');
+  }
+
+  normalizeSku(value) {
+    const sku = String(value || '').trim();
+    // Positional ids ("1", "2") are not identifiers
+    return sku.length >= 3 ? sku.toUpperCase() : '';
+  }
+
+  getShopKey(domain) {
+    return (domain || '').toLowerCase().replace(/^www\./, '');
+  }
+
+  /**
+   * 128-bit non-cryptographic digest (four 32-bit lanes), hex encoded
+   * Synchronous so it also works on pages without crypto.subtle (plain http)
+   */
+  digest(text) {
+    let h1 = 1779033703, h2 = 3144134277, h3 = 1013904242, h4 = 2773480762;
+    for (let i = 0; i < text.length; i++) {
+      const k = text.charCodeAt(i);
+      h1 = h2 ^ Math.imul(h1 ^ k, 597399067);
+      h2 = h3 ^ Math.imul(h2 ^ k, 2869860233);
+      h3 = h4 ^ Math.imul(h3 ^ k, 951274213);
+      h4 = h1 ^ Math.imul(h4 ^ k, 2716044179);
+    }
+    h1 = Math.imul(h3 ^ (h1 >>> 18), 597399067);
+    h2 = Math.imul(h4 ^ (h2 >>> 22), 2869860233);
+    h3 = Math.imul(h1 ^ (h3 >>> 17), 951274213);
+    h4 = Math.imul(h2 ^ (h4 >>> 19), 2716044179);
+    h1 ^= (h2 ^ h3 ^ h4); h2 ^= h1; h3 ^= h1; h4 ^= h1;
+
+    return [h1, h2, h3, h4].map(h => (h >>> 0).toString(16).padStart(8, '0')).join('');
+  }
+}
+
+// Export for use in content script
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ProductIdentity;
+}
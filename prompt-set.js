@@ -0,0 +1,172 @@
+/**
+ * Prompt Set
+ * Named prompts searched side by side ("white sneakers" vs "black boots"), each with
+ * its own highlight colour, badge label and match threshold. Shared by the content
+ * script and the popup and persisted in chrome.storage.sync.
+ */
+
+class PromptSet {
+  constructor(storage = typeof chrome !== 'undefined' ? chrome.storage?.sync : null) {
+    this.storage = storage;
+    this.prompts = [];
+    this.maxPrompts = 8;
+
+    // Handed out to new prompts in turn; the first is the original badge colour
+    this.palette = ['#8b5cf6', '#10b981', '#f59e0b', '#ef4444', '#3b82f6', '#ec4899', '#14b8a6', '#6b7280'];
+  }
+
+  /**
+   * Load the stored prompts; a legacy single userPrompt becomes the first entry
+   */
+  async load() {
+    try {
+      const result = await this.storage.get(['prompts', 'userPrompt']);
+
+      if (Array.isArray(result.prompts) && result.prompts.length > 0) {
+        this.replaceAll(result.prompts);
+        // Persist ids given to entries stored without one, so popup and page agree on them
+        if (result.prompts.some((entry, index) => entry.id !== this.prompts[index]?.id)) await this.save();
+      } else {
+        this.prompts = [];
+        this.add({ prompt: result.userPrompt || '', badge: '✓ MATCH' });
+      }
+    } catch (error) {
+      console.log('Failed to load prompts:', error);
+      if (this.prompts.length === 0) this.add();
+    }
+
+    return this.prompts;
+  }
+
+  /**
+   * Persist the list; userPrompt keeps the first active prompt for older readers (evaluator, background)
+   */
+  async save() {
+    try {
+      const [primary] = this.getActive();
+      await this.storage.set({
+        prompts: this.prompts,
+        userPrompt: primary ? primary.prompt : ''
+      });
+    } catch (error) {
+      console.log('Failed to save prompts:', error);
+    }
+  }
+
+  add(fields = {}) {
+    if (this.prompts.length >= this.maxPrompts) return null;
+
+    const entry = this.normalize({
+      id: this.createId(),
+      color: this.nextColor(),
+      ...fields
+    });
+    this.prompts.push(entry);
+    return entry;
+  }
+
+  update(id, changes) {
+    const index = this.prompts.findIndex(entry => entry.id === id);
+    if (index === -1) return null;
+
+    this.prompts[index] = this.normalize({ ...this.prompts[index], ...changes, id });
+    return this.prompts[index];
+  }
+
+  /**
+   * Remove a prompt; the last one is kept (emptied) so there's always something to edit
+   */
+  remove(id) {
+    if (this.prompts.length === 1) {
+      this.update(id, { prompt: '', enabled: true });
+      return false;
+    }
+
+    const before = this.prompts.length;
+    this.prompts = this.prompts.filter(entry => entry.id !== id);
+    return this.prompts.length < before;
+  }
+
+  toggle(id, enabled) {
+    const entry = this.get(id);
+    return entry ? this.update(id, { enabled: enabled ?? !entry.enabled }) : null;
+  }
+
+  /**
+   * Replace the list; entries without an id (or with a duplicate one) get a new id,
+   * since editing, removal and badges look prompts up by id
+   */
+  replaceAll(entries) {
+    this.prompts = [];
+    entries.slice(0, this.maxPrompts).forEach(entry => {
+      const id = entry.id && !this.get(entry.id) ? entry.id : this.createId();
+      this.prompts.push(this.normalize({
+        color: this.nextColor(),
+        ...entry,
+        id
+      }));
+    });
+    if (this.prompts.length === 0) this.add();
+  }
+
+  createId() {
+    return `prompt_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 6)}`;
+  }
+
+  get(id) {
+    return this.prompts.find(entry => entry.id === id) || null;
+  }
+
+  getAll() {
+    return this.prompts;
+  }
+
+  /**
+   * Enabled prompts that have something to search for
+   */
+  getActive() {
+    return this.prompts.filter(entry => entry.enabled && entry.prompt.trim().length > 0);
+  }
+
+  getDisplayName(entry) {
+    return entry.name || this.truncate(entry.prompt) || `Prompt ${this.prompts.indexOf(entry) + 1}`;
+  }
+
+  getBadgeLabel(entry) {
+    return entry.badge || `✓ ${this.getDisplayName(entry)}`;
+  }
+
+  /**
+   * { id, name, prompt, color, badge, threshold, enabled }; threshold null uses the RAG default
+   */
+  normalize(entry) {
+    const threshold = entry.threshold === '' || entry.threshold === null || entry.threshold === undefined
+      ? null
+      : Math.min(1, Math.max(0, Number(entry.threshold)));
+
+    return {
+      id: entry.id,
+      name: (entry.name || '').trim(),
+      prompt: entry.prompt || '',
+      color: /^#[0-9a-f]{6}$/i.test(entry.color || '') ? entry.color : this.palette[0],
+      badge: (entry.badge || '').trim(),
+      threshold: Number.isFinite(threshold) ? threshold : null,
+      enabled: entry.enabled !== false
+    };
+  }
+
+  nextColor() {
+    const used = new Set(this.prompts.map(entry => entry.color));
+    return this.palette.find(color => !used.has(color)) || this.palette[this.prompts.length % this.palette.length];
+  }
+
+  truncate(text, length = 24) {
+    const trimmed = (text || '').trim();
+    return trimmed.length > length ? `${trimmed.substring(0, length - 1)}…` : trimmed;
+  }
+}
+
+// Export for use in content script
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PromptSet;
+}
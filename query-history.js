@@ -0,0 +1,204 @@
+/**
+ * Query History
+ * Records every executed prompt in the RAG database's queryHistory store (domain, match
+ * count, feedback outcome) and turns it into autocomplete suggestions ranked by
+ * recency, frequency and past success rate.
+ */
+
+class QueryHistory {
+  constructor(ragSystem, options = {}) {
+    this.ragSystem = ragSystem;
+    this.maxRecords = options.maxRecords || 500;
+    this.mergeWindow = 10 * 60 * 1000; // re-runs of the same prompt within 10 minutes are one execution
+    this.recencyHalfLife = 14; // days
+    this.weights = { recency: 0.4, frequency: 0.35, success: 0.25 };
+    this.latestByPrompt = new Map(); // promptId -> id of its latest record on this page
+  }
+
+  async getDatabase() {
+    await this.ragSystem.dbReady;
+    return this.ragSystem;
+  }
+
+  normalize(query) {
+    return (query || '').toLowerCase().replace(/\s+/g, ' ').trim();
+  }
+
+  /**
+   * Record an executed prompt; repeated runs shortly after each other update the same record
+   */
+  async record({ query, promptId = null, domain = window.location.hostname, matchCount = 0 }) {
+    const normalizedQuery = this.normalize(query);
+    if (!normalizedQuery) return null;
+    query = query.replace(/\s+/g, ' ').trim();
+
+    try {
+      const db = await this.getDatabase();
+      const previousId = this.latestByPrompt.get(promptId);
+      const previous = previousId ? await db.getQueryRecord(previousId) : null;
+
+      if (previous && previous.normalizedQuery === normalizedQuery && previous.domain === domain &&
+          Date.now() - previous.timestamp < this.mergeWindow) {
+        await db.putQueryRecord({ ...previous, query, matchCount, timestamp: Date.now() });
+        return previous.id;
+      }
+
+      const id = await db.addQueryRecord({
+        query,
+        normalizedQuery,
+        promptId,
+        domain,
+        matchCount,
+        feedback: { correct: 0, incorrect: 0, irrelevant: 0 },
+        timestamp: Date.now()
+      });
+      this.latestByPrompt.set(promptId, id);
+      console.log(`🕘 Recorded query "${query}" (${matchCount} matches)`);
+
+      await this.prune();
+      return id;
+    } catch (error) {
+      console.log('Failed to record query history:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Attribute highlight feedback to the latest execution of the prompts that highlighted the product
+   * (falls back to the latest execution of the query text)
+   */
+  async recordFeedback({ promptIds = [], query = '' }, outcome) {
+    try {
+      const db = await this.getDatabase();
+      let ids = promptIds.map(promptId => this.latestByPrompt.get(promptId)).filter(Boolean);
+
+      if (ids.length === 0 && query) {
+        const normalizedQuery = this.normalize(query);
+        const latest = (await db.getQueryRecords()).reverse().find(record => record.normalizedQuery === normalizedQuery);
+        if (latest) ids = [latest.id];
+      }
+
+      for (const id of ids) {
+        const record = await db.getQueryRecord(id);
+        if (!record || !(outcome in record.feedback)) continue;
+
+        record.feedback[outcome]++;
+        await db.putQueryRecord(record);
+      }
+    } catch (error) {
+      console.log('Failed to record query feedback:', error);
+    }
+  }
+
+  /**
+   * Drop the oldest records beyond maxRecords
+   */
+  async prune() {
+    const db = await this.getDatabase();
+    const records = await db.getQueryRecords();
+    if (records.length <= this.maxRecords) return;
+
+    await db.deleteQueryRecords(records.slice(0, records.length - this.maxRecords).map(record => record.id));
+  }
+
+  /**
+   * One entry per distinct query: { query, count, lastUsed, matchCount, feedback, successRate, domains }
+   */
+  async getHistory({ domain = null, limit = 50 } = {}) {
+    try {
+      const db = await this.getDatabase();
+      const records = await db.getQueryRecords();
+      const entries = new Map();
+
+      records.forEach(record => {
+        if (domain && record.domain !== domain) return;
+
+        const entry = entries.get(record.normalizedQuery) || {
+          query: record.query,
+          count: 0,
+          hits: 0,
+          lastUsed: 0,
+          matchCount: 0,
+          feedback: { correct: 0, incorrect: 0, irrelevant: 0 },
+          domains: []
+        };
+
+        entry.count++;
+        if (record.matchCount > 0) entry.hits++;
+        Object.keys(entry.feedback).forEach(outcome => { entry.feedback[outcome] += record.feedback?.[outcome] || 0; });
+        if (!entry.domains.includes(record.domain)) entry.domains.push(record.domain);
+
+        // Records come oldest first, so the latest wording and match count win
+        entry.query = record.query;
+        entry.lastUsed = record.timestamp;
+        entry.matchCount = record.matchCount;
+        entries.set(record.normalizedQuery, entry);
+      });
+
+      return [...entries.values()]
+        .map(entry => ({ ...entry, successRate: this.getSuccessRate(entry) }))
+        .sort((a, b) => b.lastUsed - a.lastUsed)
+        .slice(0, limit);
+    } catch (error) {
+      console.log('Failed to read query history:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Found-anything rate blended with smoothed feedback (0.5 without any feedback)
+   */
+  getSuccessRate(entry) {
+    const rated = entry.feedback.correct + entry.feedback.incorrect + entry.feedback.irrelevant;
+    const feedbackRate = (entry.feedback.correct + 1) / (rated + 2);
+    const hitRate = entry.count > 0 ? entry.hits / entry.count : 0;
+    return 0.5 * feedbackRate + 0.5 * hitRate;
+  }
+
+  /**
+   * Past queries completing the typed text, best first; an empty input lists the top queries
+   */
+  async getSuggestions(input, { domain = window.location.hostname, limit = 6 } = {}) {
+    const typed = this.normalize(input);
+    const history = await this.getHistory({ limit: Infinity });
+    const maxCount = Math.max(1, ...history.map(entry => entry.count));
+    const now = Date.now();
+
+    return history
+      .map(entry => {
+        const normalizedQuery = this.normalize(entry.query);
+        if (normalizedQuery === typed) return null;
+
+        // Prefix of the whole query, else of one of its words
+        const prefixMatch = !typed || normalizedQuery.startsWith(typed);
+        const wordMatch = !prefixMatch && normalizedQuery.split(' ').some(word => word.startsWith(typed));
+        if (!prefixMatch && !wordMatch) return null;
+
+        const ageDays = (now - entry.lastUsed) / (24 * 60 * 60 * 1000);
+        const recency = Math.pow(0.5, ageDays / this.recencyHalfLife);
+        const frequency = Math.log(1 + entry.count) / Math.log(1 + maxCount);
+        let score = this.weights.recency * recency +
+                    this.weights.frequency * frequency +
+                    this.weights.success * entry.successRate;
+
+        if (wordMatch) score *= 0.8;
+        if (entry.domains.includes(domain)) score *= 1.1;
+
+        return { ...entry, score };
+      })
+      .filter(Boolean)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+
+  async clear() {
+    const db = await this.getDatabase();
+    await db.clearQueryHistory();
+    this.latestByPrompt.clear();
+  }
+}
+
+// Export for use in content script
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = QueryHistory;
+}
@@ -0,0 +1,248 @@
+/**
+ * Structured Query Syntax
+ * Power-user prompts such as `brand:nike OR brand:adidas color:white price:<100 -leather "air force"`
+ * parsed into the criteria analyzeQuery works with: field terms, OR groups, exact phrases and exclusions.
+ * Bare words are classified with the shared facet vocabulary, so `white sneakers brand:nike` works too.
+ */
+
+class QuerySyntaxParser {
+  constructor(facetExtractor, priceParser, localeSupport) {
+    this.facets = facetExtractor;
+    this.priceParser = priceParser;
+    this.locales = localeSupport;
+
+    // field name -> facet ('price' and 'discount' become price constraints, 'type' a keyword)
+    this.fields = {
+      brand: 'brands',
+      color: 'colors',
+      colour: 'colors',
+      material: 'materials',
+      size: 'sizes',
+      style: 'styles',
+      gender: 'genders',
+      for: 'genders',
+      feature: 'features',
+      category: 'categories',
+      cat: 'categories',
+      type: 'productTypes',
+      price: 'price',
+      discount: 'discount',
+      off: 'discount'
+    };
+
+    // Criterion type per facet, matching analyzeQuery (colors, brands and categories have their own lists)
+    this.criterionTypes = {
+      colors: 'color',
+      brands: 'brand',
+      categories: 'category',
+      productTypes: 'keyword',
+      materials: 'material',
+      sizes: 'attribute',
+      styles: 'attribute',
+      features: 'attribute',
+      genders: 'attribute'
+    };
+
+    // Lookup order for bare words that belong to several facets
+    this.facetPriority = ['brands', 'colors', 'materials', 'productTypes', 'categories', 'genders', 'styles', 'features', 'sizes'];
+
+    this.tokenPattern = /(-?)(?:([\p{L}]+):)?(?:"([^"]*)"|([^\s"]+))/gu;
+  }
+
+  /**
+   * Does the prompt use the syntax (known field:value, OR or -term)? Natural language doesn't,
+   * even with a colon ("note:gift") or quotes in it; phrases are honoured once the syntax is on.
+   */
+  isStructured(prompt) {
+    if (!prompt) return false;
+
+    const fieldTerm = /(?:^|\s)-?(\p{L}+):\S/gu;
+    const hasField = [...prompt.matchAll(fieldTerm)].some(([, field]) => Object.hasOwn(this.fields, field.toLowerCase()));
+
+    return hasField ||
+           /\sOR\s/.test(prompt) ||
+           /(?:^|\s)-[\p{L}\p{N}"]/u.test(prompt);
+  }
+
+  /**
+   * Parse a structured prompt:
+   * { keywords, phrases, brands, categories, colors, attributes, priceConstraints, exclusions, anyOf, searchText }
+   * anyOf lists OR groups of criteria ({ type, facet, value } or { type: 'price', constraint }),
+   * of which at least one per group has to match
+   */
+  parse(prompt, { locale = this.locales.detectLocale(prompt) } = {}) {
+    const query = {
+      keywords: [],
+      phrases: [],
+      brands: [],
+      categories: [],
+      colors: [],
+      attributes: [],
+      priceConstraints: [],
+      exclusions: [],
+      anyOf: []
+    };
+
+    const groups = this.groupTerms(this.tokenize(prompt));
+    groups.forEach(group => {
+      const criteria = group.map(term => this.toCriterion(term, locale)).filter(Boolean);
+
+      criteria.filter(criterion => criterion.negated).forEach(criterion => {
+        // Phrases and categories are excluded like keywords, as in natural-language exclusions
+        if (criterion.type !== 'price') {
+          const type = ['phrase', 'category'].includes(criterion.type) ? 'keyword' : criterion.type;
+          query.exclusions.push({ type, facet: criterion.facet, value: criterion.value, raw: criterion.raw });
+        }
+      });
+
+      const required = criteria.filter(criterion => !criterion.negated).map(({ negated, raw, ...criterion }) => criterion);
+      if (required.length > 1) {
+        query.anyOf.push(required);
+      } else if (required.length === 1) {
+        this.addCriterion(query, required[0]);
+      }
+    });
+
+    // Plain text for semantic retrieval ("nike adidas white air force")
+    query.searchText = groups.flat()
+      .filter(term => !term.negated && !['price', 'discount'].includes(this.fields[term.field]))
+      .map(term => term.value)
+      .join(' ');
+
+    return query;
+  }
+
+  /**
+   * [{ field, value, negated, phrase, raw }] plus { or: true } markers between OR-joined terms
+   */
+  tokenize(prompt) {
+    const terms = [];
+    this.tokenPattern.lastIndex = 0;
+
+    let match;
+    while ((match = this.tokenPattern.exec(prompt)) !== null) {
+      const [raw, minus, field, phrase, word] = match;
+      if (!field && !phrase && (word === 'OR' || word === '|')) {
+        terms.push({ or: true });
+        continue;
+      }
+      if (!field && !phrase && word === 'AND') continue;
+
+      const value = (phrase !== undefined ? phrase : word).replace(/^[()]+|[()]+$/g, '').trim().toLowerCase();
+      if (!value) continue;
+
+      terms.push({
+        field: field ? field.toLowerCase() : null,
+        value,
+        negated: minus === '-',
+        phrase: phrase !== undefined,
+        raw
+      });
+    }
+
+    return terms;
+  }
+
+  /**
+   * Join OR-linked terms into groups; every other term is a group of one
+   */
+  groupTerms(terms) {
+    const groups = [];
+    let joinNext = false;
+
+    terms.forEach(term => {
+      if (term.or) {
+        joinNext = groups.length > 0;
+        return;
+      }
+      if (joinNext) {
+        groups[groups.length - 1].push(term);
+      } else {
+        groups.push([term]);
+      }
+      joinNext = false;
+    });
+
+    return groups;
+  }
+
+  toCriterion(term, locale) {
+    const { value, negated, raw } = term;
+    const facet = term.field ? this.fields[term.field] : null;
+
+    if (facet === 'price' || facet === 'discount') {
+      const constraint = this.parsePriceTerm(value, facet);
+      return constraint ? { type: 'price', constraint: { ...constraint, raw }, negated, raw } : null;
+    }
+
+    // Exact phrase, unless it names a field value (brand:"new balance")
+    if (term.phrase && !facet) {
+      return { type: 'phrase', facet: null, value, negated, raw };
+    }
+
+    if (facet) {
+      const canonical = facet === 'productTypes' ? value : (this.facets.lookup(value, facet, locale) || value);
+      return { type: this.criterionTypes[facet], facet, value: canonical, negated, raw };
+    }
+
+    // Unknown field ("site:x") or bare word: classify with the vocabulary
+    if (this.locales.isStopword(value, locale)) return null;
+
+    const entries = this.facets.lookupEntries(value, locale);
+    const entry = this.facetPriority.map(name => entries.find(candidate => candidate.facet === name)).find(Boolean);
+    if (!entry || entry.facet === 'productTypes') {
+      return { type: 'keyword', facet: entry ? 'productTypes' : null, value, negated, raw };
+    }
+    return { type: this.criterionTypes[entry.facet], facet: entry.facet, value: entry.value, negated, raw };
+  }
+
+  /**
+   * price:<100, price:>=50, price:50-100, price:~60, price:cheapest, discount:30
+   */
+  parsePriceTerm(value, facet) {
+    if (facet === 'discount') {
+      const percent = parseInt(value.replace(/[^\d]/g, ''), 10);
+      return Number.isFinite(percent) ? { type: 'discount', value: percent } : null;
+    }
+
+    const comparison = value.match(/^(<=?|>=?|~)(.+)$/);
+    const range = value.match(/^(.+?)(?:-|\.\.)(.+)$/);
+    const phrase = comparison
+      ? `${{ '<': 'under', '<=': 'max', '>': 'over', '>=': 'min', '~': 'around' }[comparison[1]]} ${comparison[2]}`
+      : range ? `between ${range[1]} and ${range[2]}` : value;
+
+    const [constraint] = this.priceParser.parseConstraints(phrase);
+    if (constraint) {
+      const { raw, ...model } = constraint;
+      return model;
+    }
+
+    // A bare amount is an upper bound
+    const amount = this.priceParser.parseAmount(value);
+    return amount !== null ? { type: 'max', value: amount, currency: null } : null;
+  }
+
+  addCriterion(query, criterion) {
+    switch (criterion.type) {
+      case 'color': query.colors.push(criterion.value); break;
+      case 'brand': query.brands.push(criterion.value); break;
+      case 'category': query.categories.push(criterion.value); break;
+      case 'keyword': query.keywords.push(criterion.value); break;
+      case 'phrase': query.phrases.push(criterion.value); break;
+      case 'price': query.priceConstraints.push(criterion.constraint); break;
+      default: query.attributes.push({ type: this.attributeType(criterion.facet), facet: criterion.facet, value: criterion.value });
+    }
+  }
+
+  /**
+   * Attribute type names used by analyzeQuery's attribute criteria
+   */
+  attributeType(facet) {
+    return { sizes: 'size', materials: 'material', styles: 'style', features: 'features', genders: 'gender' }[facet] || facet;
+  }
+}
+
+// Export for use in content script
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = QuerySyntaxParser;
+}
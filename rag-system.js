@@ -4,22 +4,45 @@
  */
 
 class ProductRAGSystem {
-  constructor() {
+  constructor(options = {}) {
     this.dbName = 'ProductRAGDB_v4';
-    this.dbVersion = 1;
+    this.dbVersion = 2;
     this.db = null;
     this.chunkSize = 200; // Characters per chunk
     this.maxRetrievedChunks = 100;
     this.similarityThreshold = 0.1;
-    this.model = null; // Universal Sentence Encoder
+    this.exclusionPenalty = 0.3; // similarity factor for chunks that mention an excluded term
+    this.retrievalModes = ['hybrid-rrf', 'hybrid-weighted', 'vector', 'bm25']; // see EmbeddingEngine.query
+    this.retrievalMode = options.retrievalMode || 'hybrid-rrf';
+    this.lexicalWeight = 0.4; // BM25 share of the 'hybrid-weighted' score
+    this.embeddingType = options.embeddingProvider || 'lightweight'; // setting name, see embedding-providers.js
+    this.embeddingProvider = null; // { id, dimension } of the provider loaded in the embedding worker
+    this.identity = new ProductIdentity();
+    this.locales = options.localeSupport || new LocaleSupport();
+    this.facets = options.facetExtractor || new FacetExtractor(FacetExtractor.getDefaultVocabulary(), this.locales);
+
+    // Embedding and similarity search run off the page thread (embedding-client.js)
+    this.embeddings = options.embeddingClient || new EmbeddingWorkerClient({
+      facetExtractor: this.facets,
+      localeSupport: this.locales,
+      onRestart: () => { this.indexReady = null; }
+    });
+    this.indexReady = null; // stored chunks are loaded into the worker's index on the first search
+    this.vectorIndexSaveDelay = 2000; // ms; a burst of infinite-scroll batches shares one save
+    this.vectorIndexSaveTimer = null;
 
     this.init();
   }
 
   async init() {
-    await this.openDatabase();
-    await this.initEmbeddingModel();
-    console.log('🧠 RAG System initialized with lightweight embeddings');
+    this.dbReady = this.openDatabase(); // awaited by other users of the database (query history)
+    this.embeddingReady = null; // the provider (and its model files) loads on the first embedding
+    // Hidden pages may be discarded or unloaded next; an unloading page can't finish the save
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'hidden') this.flushVectorIndexSave();
+    });
+    await this.dbReady;
+    console.log('🧠 RAG System initialized');
   }
 
   async openDatabase() {
@@ -65,29 +88,44 @@ class ProductRAGSystem {
           store.createIndex('query', 'query');
           store.createIndex('timestamp', 'timestamp');
         }
+
+        // ANN graphs of the stored chunks, one per embedding provider (see ann-index.js)
+        if (!db.objectStoreNames.contains('vectorIndex')) {
+          db.createObjectStore('vectorIndex', { keyPath: 'provider' });
+        }
       };
     });
   }
 
   /**
    * Process and store products in RAG knowledge base
+   *
+   * Progress events: { stage: 'embedding' | 'storing', completed, total, chunksEmbedded }
+   * (embedding progress comes from the worker). Aborting the signal stops embedding and rolls
+   * back storage (rejects with AbortError)
    */
-  async processProductsForRAG(products) {
+  async processProductsForRAG(products, { onProgress, signal } = {}) {
     console.log(`🔄 Processing ${products.length} products for RAG knowledge base...`);
 
     const chunks = [];
     const metadata = [];
+    const productIds = [];
 
     for (const product of products) {
-      // Create consistent product ID based on content
-      const productId = product.id || this.generateConsistentProductId(product);
+      signal?.throwIfAborted();
+
+      // Stable product ID so the same item is recognised across sessions
+      const productId = product.id || this.getProductId(product);
+      productIds.push(productId);
+
+      // The same item can appear twice on a page (e.g. promoted and regular slot)
+      if (metadata.some(entry => entry.productId === productId)) continue;
 
       // Create rich product context
       const productContext = this.createProductContext(product);
 
-      // Chunk the product information
-      const productChunks = await this.chunkProductInfo(productContext, productId);
-      chunks.push(...productChunks);
+      // Chunk the product information (embedded below, all at once)
+      chunks.push(...this.chunkProductInfo(productContext, productId));
 
       // Store metadata
       metadata.push({
@@ -95,59 +133,87 @@ class ProductRAGSystem {
         title: product.title,
         brand: product.brand,
         price: product.price,
+        priceAmount: product.priceAmount ?? null,
+        currency: product.currency || '',
+        priceKind: product.priceKind || null,
+        originalPriceAmount: product.originalPriceAmount ?? null,
+        availability: product.availability || '',
+        gtin: product.gtin || '',
+        sku: product.sku || '',
+        structuredSource: product.structuredSource || null,
         link: product.link,
         image: product.image,
+        imageAlt: product.imageAlt || '',
+        imageColors: product.imageColors || [],
+        imagePalette: product.imagePalette || [],
         domain: window.location.hostname,
+        pageUrl: product.url || window.location.href,
+        pageNumber: product.pageNumber || 1,
+        pagePosition: product.pagePosition ?? null,
         timestamp: Date.now(),
         rawText: product.text,
+        locator: product.locator || null,
         elementInfo: {
           tag: product.elementTag,
           classes: product.elementClasses,
           index: product.elementIndex
         }
       });
+
+      // Yield periodically so the page stays responsive and aborts are noticed
+      if (metadata.length % 10 === 0) {
+        await new Promise(resolve => setTimeout(resolve, 0));
+      }
     }
 
-    // Store in database
-    await this.storeChunks(chunks);
-    await this.storeMetadata(metadata);
+    await this.embedChunks(chunks, { onProgress, signal });
+
+    // Earlier captures are indexed first, so re-captured products replace their old chunks
+    await this.ensureIndex();
+
+    // Store chunks and metadata atomically
+    await this.storeProductRecords(chunks, metadata, { onProgress, signal });
+    if (chunks.length > 0) {
+      await this.embeddings.index(chunks);
+      this.scheduleVectorIndexSave();
+    }
 
     console.log(`✅ Processed ${chunks.length} chunks from ${products.length} products`);
-    return { chunks: chunks.length, products: products.length };
+    return { chunks: chunks.length, products: products.length, productIds };
   }
 
   /**
-   * Generate consistent product ID based on content
+   * Stable product ID (GTIN, SKU/ASIN, canonical link, then content digest)
    */
-  generateConsistentProductId(product) {
-    // Create a consistent hash from title, brand, and price
-    const key = `${product.title || ''}|${product.brand || ''}|${product.price || ''}|${product.link || ''}`;
-    let hash = 0;
-    for (let i = 0; i < key.length; i++) {
-      const char = key.charCodeAt(i);
-      hash = ((hash << 5) - hash) + char;
-      hash = hash & hash; // Convert to 32bit integer
-    }
-    return Math.abs(hash).toString();
+  getProductId(product) {
+    return this.identity.getProductId(product, product.domain || window.location.hostname);
   }
 
   /**
    * Create rich contextual information for a product
    */
   createProductContext(product) {
+    // Alt text often names the colour or material the title leaves out
+    const facets = this.facets.extract(`${product.text} ${product.imageAlt || ''}`);
+
     const context = {
       // Basic info
       title: product.title || '',
       brand: product.brand || '',
       price: product.price || '',
+      originalPrice: product.originalPriceAmount ? `${product.originalPriceAmount} ${product.currency || ''}`.trim() : '',
       description: product.description || '',
-
-      // Semantic attributes
-      productType: this.extractProductType(product.text),
-      colors: this.extractColors(product.text),
-      materials: this.extractMaterials(product.text),
-      style: this.extractStyle(product.text),
-      gender: this.extractGender(product.text),
+      availability: product.availability || '',
+      gtin: product.gtin || '',
+      imageAlt: product.imageAlt || '',
+
+      // Semantic attributes (normalized facet values, plus colours read from the image)
+      productType: facets.productTypes[0] || 'unknown',
+      colors: [...new Set([...facets.colors, ...(product.imageColors || [])])],
+      materials: facets.materials,
+      style: facets.styles,
+      gender: this.facets.getGender(facets),
+      sizes: facets.sizes,
 
       // Full text for search
       fullText: product.text,
@@ -160,65 +226,10 @@ class ProductRAGSystem {
     return context;
   }
 
-  /**
-   * Extract product type from text
-   */
-  extractProductType(text) {
-    const types = ['sneaker', 'shoe', 'boot', 'sandal', 'heel', 'flat', 'trainer', 'runner', 'dress', 'shirt', 'pant', 'jacket', 'coat'];
-    const lowerText = text.toLowerCase();
-
-    for (const type of types) {
-      if (lowerText.includes(type)) {
-        return type;
-      }
-    }
-    return 'unknown';
-  }
-
-  /**
-   * Extract colors from text
-   */
-  extractColors(text) {
-    const colors = ['white', 'black', 'red', 'blue', 'green', 'yellow', 'pink', 'purple', 'orange', 'brown', 'grey', 'gray', 'beige', 'navy'];
-    const lowerText = text.toLowerCase();
-
-    return colors.filter(color => lowerText.includes(color));
-  }
-
-  /**
-   * Extract materials from text
-   */
-  extractMaterials(text) {
-    const materials = ['leather', 'cotton', 'denim', 'wool', 'silk', 'canvas', 'suede', 'mesh'];
-    const lowerText = text.toLowerCase();
-
-    return materials.filter(material => lowerText.includes(material));
-  }
-
-  /**
-   * Extract style descriptors
-   */
-  extractStyle(text) {
-    const styles = ['casual', 'formal', 'sport', 'athletic', 'vintage', 'classic', 'modern'];
-    const lowerText = text.toLowerCase();
-
-    return styles.filter(style => lowerText.includes(style));
-  }
-
-  /**
-   * Extract gender targeting
-   */
-  extractGender(text) {
-    const lowerText = text.toLowerCase();
-    if (lowerText.includes('women') || lowerText.includes('female')) return 'women';
-    if (lowerText.includes('men') || lowerText.includes('male')) return 'men';
-    return 'unisex';
-  }
-
   /**
    * Chunk product information for better retrieval
    */
-  async chunkProductInfo(context, productId) {
+  chunkProductInfo(context, productId) {
     const chunks = [];
 
     // Create different types of chunks for better retrieval
@@ -244,7 +255,12 @@ class ProductRAGSystem {
     if (context.style.length > 0) attributes.push(`Style: ${context.style.join(', ')}`);
     if (context.productType !== 'unknown') attributes.push(`Type: ${context.productType}`);
     if (context.gender !== 'unisex') attributes.push(`Gender: ${context.gender}`);
+    if (context.sizes.length > 0) attributes.push(`Sizes: ${context.sizes.join(', ')}`);
     if (context.price) attributes.push(`Price: ${context.price}`);
+    if (context.originalPrice) attributes.push(`Original price: ${context.originalPrice}`);
+    if (context.availability) attributes.push(`Availability: ${context.availability}`);
+    if (context.gtin) attributes.push(`GTIN: ${context.gtin}`);
+    if (context.imageAlt && context.imageAlt !== context.title) attributes.push(`Image: ${context.imageAlt}`);
 
     if (attributes.length > 0) {
       chunks.push({
@@ -255,6 +271,7 @@ class ProductRAGSystem {
           colors: context.colors,
           materials: context.materials,
           style: context.style,
+          sizes: context.sizes,
           productType: context.productType,
           gender: context.gender
         }
@@ -286,16 +303,43 @@ class ProductRAGSystem {
       });
     }
 
-    // Add embeddings to each chunk (async now)
-    for (const chunk of chunks) {
-      chunk.embedding = await this.generateEmbedding(chunk.content);
+    chunks.forEach(chunk => {
       chunk.timestamp = Date.now();
       chunk.domain = window.location.hostname;
-    }
+    });
 
     return chunks;
   }
 
+  /**
+   * Embed chunks in the worker; the provider id keeps vectors from other providers apart
+   * Progress is reported per product (chunks are grouped by product, in order)
+   */
+  async embedChunks(chunks, { onProgress, signal } = {}) {
+    if (chunks.length === 0) return;
+
+    const provider = await this.getEmbeddingProvider();
+    const productEnds = chunks
+      .map((chunk, index) => (chunks[index + 1]?.productId !== chunk.productId ? index + 1 : 0))
+      .filter(Boolean);
+
+    const embeddings = await this.embeddings.embed(chunks.map(chunk => chunk.content), {
+      locale: this.locales.getPageLocale(),
+      signal,
+      onProgress: ({ completed }) => onProgress?.({
+        stage: 'embedding',
+        completed: productEnds.filter(end => end <= completed).length,
+        total: productEnds.length,
+        chunksEmbedded: completed
+      })
+    });
+
+    chunks.forEach((chunk, index) => {
+      chunk.embedding = Array.from(embeddings[index]);
+      chunk.embeddingProvider = provider.id;
+    });
+  }
+
   /**
    * Split text into overlapping chunks
    */
@@ -314,183 +358,118 @@ class ProductRAGSystem {
   }
 
   /**
-   * Initialize lightweight embedding model
+   * Load the configured embedding provider (falls back to one that runs here)
    */
-  async initEmbeddingModel() {
-    try {
-      console.log('🔄 Loading lightweight embedding model...');
+  async initEmbeddingModel(type = this.embeddingType) {
+    console.log(`🔄 Loading ${type} embedding provider...`);
+    const previous = this.embeddingProvider;
+    this.embeddingProvider = await this.embeddings.init(type);
+
+    // The worker drops its index when the vectors change; reload it on the next search
+    if (previous && previous.id !== this.embeddingProvider.id) this.indexReady = null;
+    console.log(`✅ Embedding provider ${this.embeddingProvider.id} ready (${this.embeddingProvider.dimension} dimensions)`);
+  }
 
-      // Check if LightweightEmbeddings is available
-      if (typeof window.LightweightEmbeddings === 'undefined') {
-        throw new Error('LightweightEmbeddings not loaded');
-      }
+  /**
+   * Switch providers; chunks embedded by the previous one are ignored until products are re-embedded
+   * Resolves true when the vectors changed (not when the new type fell back to the current provider)
+   */
+  async setEmbeddingProvider(type) {
+    if (!type || type === this.embeddingType) return false;
 
-      console.log('✅ LightweightEmbeddings library detected');
-      this.model = new window.LightweightEmbeddings();
-      console.log('✅ Lightweight embedding model initialized successfully');
-    } catch (error) {
-      console.error('❌ Failed to load lightweight embedding model:', error);
-      console.warn('⚠️ Falling back to simple embeddings');
-      // Fallback to simple embeddings if lightweight model fails
-      this.model = null;
+    // Nothing embedded yet: the new type is simply loaded on first use
+    if (!this.embeddingReady) {
+      this.embeddingType = type;
+      return false;
     }
+
+    const previous = await this.getEmbeddingProvider();
+    this.embeddingType = type;
+    this.embeddingReady = this.initEmbeddingModel(type);
+    await this.embeddingReady;
+    return this.embeddingProvider.id !== previous.id;
   }
 
+  async getEmbeddingProvider() {
+    if (!this.embeddingReady) this.embeddingReady = this.initEmbeddingModel();
+    await this.embeddingReady;
+    return this.embeddingProvider;
+  }
 
   /**
-   * Generate semantic embeddings using lightweight embedding model
+   * Embed texts with the current provider (also used by the vector search fallback)
    */
-  async generateEmbedding(text) {
-    if (!this.model) {
-      console.warn('⚠️ Lightweight embedding model not available, using fallback embedding');
-      return this.generateFallbackEmbedding(text);
-    }
-
-    try {
-      const embedding = this.model.generateSentenceEmbedding(text);
-      return Array.from(embedding);
-    } catch (error) {
-      console.error('❌ Lightweight embedding failed:', error);
-      return this.generateFallbackEmbedding(text);
-    }
+  async embed(texts, options = {}) {
+    await this.getEmbeddingProvider();
+    return this.embeddings.embed(texts, options);
   }
 
   /**
-   * Fallback embedding for when USE is not available
+   * Retrieval mode (one of retrievalModes) and the BM25 weight of the weighted blend
    */
-  generateFallbackEmbedding(text) {
-    const cleanText = text.toLowerCase();
-
-    // Enhanced embedding with semantic categories
-    const categories = {
-      // Product types (higher weight)
-      footwear: ['sneaker', 'sneakers', 'shoe', 'shoes', 'boot', 'boots', 'sandal', 'sandals', 'trainer', 'trainers', 'runner', 'running'],
-      clothing: ['shirt', 'dress', 'pant', 'pants', 'jean', 'jeans', 'jacket', 'coat', 'sweater', 'hoodie'],
-
-      // Colors (let embedding model handle semantic differences)
-      colors: ['white', 'black', 'grey', 'gray', 'red', 'blue', 'green', 'brown', 'beige', 'navy', 'yellow', 'pink', 'purple', 'orange'],
-
-      // Brands (medium weight)
-      brands: ['nike', 'adidas', 'puma', 'converse', 'vans', 'reebok', 'jordan', 'tommy', 'calvin', 'ralph', 'polo'],
-
-      // Materials (medium weight)
-      materials: ['leather', 'cotton', 'denim', 'wool', 'silk', 'canvas', 'suede', 'mesh', 'polyester'],
-
-      // Style (lower weight)
-      styles: ['casual', 'formal', 'sport', 'athletic', 'vintage', 'classic', 'modern', 'trendy'],
-
-      // Gender (lower weight)
-      gender: ['men', 'women', 'mens', 'womens', 'male', 'female', 'unisex']
-    };
-
-    const weights = {
-      footwear: 4.0,
-      clothing: 4.0,
-      colors: 3.5,
-      brands: 2.5,
-      materials: 2.0,
-      styles: 1.5,
-      gender: 1.0
-    };
-
-    const embedding = new Float32Array(300);
-    let index = 0;
-
-    // Score categories
-    Object.entries(categories).forEach(([category, keywords]) => {
-      const weight = weights[category] || 1.0;
-      let categoryScore = 0;
-
-      keywords.forEach(keyword => {
-        if (cleanText.includes(keyword)) {
-          categoryScore += weight;
-        }
-      });
-
-      // Spread category score across multiple positions
-      for (let i = 0; i < 10 && index < embedding.length; i++) {
-        embedding[index++] = categoryScore * (1 - i * 0.1); // Decreasing weight
-      }
-    });
-
-    // Add word-level features
-    const words = cleanText.split(/\W+/).filter(w => w.length > 2);
-    words.forEach(word => {
-      if (index < embedding.length - 50) {
-        const hash = this.hashWord(word) % 50;
-        embedding[index + hash] += 0.5;
-      }
-    });
-
-    // Normalize
-    const norm = Math.sqrt(embedding.reduce((sum, val) => sum + val * val, 0));
-    if (norm > 0) {
-      for (let i = 0; i < embedding.length; i++) {
-        embedding[i] = embedding[i] / norm;
-      }
-    }
-
-    return embedding;
+  setRetrievalMode(mode, lexicalWeight) {
+    if (this.retrievalModes.includes(mode)) this.retrievalMode = mode;
+    if (Number.isFinite(lexicalWeight)) this.lexicalWeight = Math.min(1, Math.max(0, lexicalWeight));
   }
 
   /**
-   * Hash function for words
+   * Load the stored chunks (and their persisted ANN graph) into the worker's index once; later
+   * captures index their own chunks
    */
-  hashWord(word) {
-    let hash = 0;
-    for (let i = 0; i < word.length; i++) {
-      hash = ((hash << 5) - hash) + word.charCodeAt(i);
-      hash = hash & hash;
+  async ensureIndex() {
+    const provider = await this.getEmbeddingProvider();
+
+    if (!this.indexReady) {
+      this.indexReady = Promise.all([this.getAllChunks(), this.getVectorIndex(provider.id)])
+        .then(([chunks, snapshot]) => this.embeddings.index(chunks, snapshot))
+        .then(({ indexed, skipped, restored }) => {
+          console.log(`📇 Indexed ${indexed} stored chunks${restored ? ' (saved ANN graph restored)' : ''}`);
+          if (skipped > 0) console.log(`⚠️ Skipped ${skipped} chunks embedded by another provider`);
+        })
+        .catch(error => {
+          this.indexReady = null;
+          throw error;
+        });
     }
-    return Math.abs(hash);
+    return this.indexReady;
   }
 
   /**
    * Perform semantic search in the knowledge base
    */
-  async retrieveRelevantChunks(query, maxChunks = 10) {
-    console.log(`🔍 RAG Retrieval: "${query}"`);
-
-    // Generate query embedding
-    const queryEmbedding = await this.generateEmbedding(query);
-
-    // Get all chunks from database
-    const chunks = await this.getAllChunks();
-
-    // Calculate similarities
-    const similarities = chunks.map(chunk => {
-      const similarity = this.cosineSimilarity(queryEmbedding, chunk.embedding);
-      return {
-        ...chunk,
-        similarity
-      };
+  async retrieveRelevantChunks(query, maxChunks = 10, options = {}) {
+    console.log(`🔍 RAG Retrieval (${this.retrievalMode}): "${query}"`);
+    const exclusions = options.exclusions || [];
+
+    // Negated phrases ("not white") must not pull the query towards what they exclude
+    const positiveQuery = exclusions.reduce((text, exclusion) => {
+      if (!exclusion.raw) return text;
+      return text.replace(new RegExp(exclusion.raw.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'gi'), ' ');
+    }, query).toLowerCase();
+
+    // The worker embeds the query (which may be written in another language than the page) and
+    // ranks the indexed chunks by vector and/or BM25 score, optionally restricted to specific
+    // products; chunks that mention excluded terms are penalized
+    await this.ensureIndex();
+    const relevantChunks = await this.embeddings.query(positiveQuery, {
+      locale: this.locales.detectLocale(query),
+      productIds: options.productIds,
+      exclusions,
+      maxChunks,
+      threshold: this.similarityThreshold,
+      exclusionPenalty: this.exclusionPenalty,
+      mode: this.retrievalMode,
+      lexicalWeight: this.lexicalWeight
     });
 
-    // Sort and filter
-    similarities.sort((a, b) => b.similarity - a.similarity);
-    const relevantChunks = similarities.filter(chunk => chunk.similarity > this.similarityThreshold).slice(0, maxChunks);
-
     console.log(`📊 Retrieved ${relevantChunks.length} relevant chunks with scores:`, relevantChunks.map(c => c.similarity.toFixed(3)));
 
     // Debug: Show sample chunks that were retrieved
     if (relevantChunks.length > 0) {
       console.log('🔍 Sample retrieved chunks:');
       relevantChunks.slice(0, 5).forEach((chunk, i) => {
-        console.log(`  ${i + 1}. Score: ${chunk.similarity.toFixed(3)} | Content: "${chunk.content.substring(0, 80)}..."`);
+        console.log(`  ${i + 1}. Score: ${chunk.similarity.toFixed(3)}${chunk.exactMatch ? ' (exact)' : ''} | Content: "${chunk.content.substring(0, 80)}..."`);
       });
-
-      // Special debug: Show all white sneaker related chunks for analysis
-      const whiteSneakerChunks = relevantChunks.filter(chunk =>
-        chunk.content.toLowerCase().includes('white') &&
-        (chunk.content.toLowerCase().includes('sneaker') || chunk.content.toLowerCase().includes('shoe'))
-      );
-
-      if (whiteSneakerChunks.length > 0) {
-        console.log(`🟡 Found ${whiteSneakerChunks.length} white sneaker chunks:`);
-        whiteSneakerChunks.slice(0, 10).forEach((chunk, i) => {
-          console.log(`  ${i + 1}. Score: ${chunk.similarity.toFixed(3)} | "${chunk.content.substring(0, 60)}..."`);
-        });
-      }
     }
 
     return relevantChunks;
@@ -499,12 +478,14 @@ class ProductRAGSystem {
   /**
    * Generate response using semantic RAG with vector similarity
    */
-  async generateWithRAG(query) {
+  async generateWithRAG(query, options = {}) {
     console.log(`🧠 RAG Generation for: "${query}"`);
+    // Per-prompt threshold; never below what retrieval already let through
+    const minConfidence = Math.max(options.minConfidence ?? 0, this.similarityThreshold);
 
     try {
       // Step 1: Retrieve semantically similar chunks
-      const relevantChunks = await this.retrieveRelevantChunks(query, this.maxRetrievedChunks);
+      const relevantChunks = await this.retrieveRelevantChunks(query, this.maxRetrievedChunks, options);
 
       if (relevantChunks.length === 0) {
         console.log('❌ No relevant chunks found');
@@ -517,21 +498,26 @@ class ProductRAGSystem {
 
       console.log(`📊 Found ${relevantChunks.length} relevant chunks`);
 
-      // Step 2: Group by product and calculate product-level scores
+      // Step 2: Group by stable product ID (product-identity.js), one match per product, and
+      // calculate product-level scores; colour and size variants often share a title but stay apart
       const productScores = {};
 
       relevantChunks.forEach(chunk => {
         if (!productScores[chunk.productId]) {
           productScores[chunk.productId] = {
             maxSimilarity: 0,
+            maxScore: 0,
             avgSimilarity: 0,
             chunkCount: 0,
-            totalSimilarity: 0
+            totalSimilarity: 0,
+            exactMatch: false
           };
         }
 
         const score = productScores[chunk.productId];
+        score.exactMatch = score.exactMatch || chunk.exactMatch === true;
         score.maxSimilarity = Math.max(score.maxSimilarity, chunk.similarity);
+        score.maxScore = Math.max(score.maxScore, chunk.score ?? chunk.similarity);
         score.totalSimilarity += chunk.similarity;
         score.chunkCount++;
         score.avgSimilarity = score.totalSimilarity / score.chunkCount;
@@ -543,59 +529,51 @@ class ProductRAGSystem {
       for (const [productId, scores] of Object.entries(productScores)) {
         const productMeta = await this.getProductMetadata(productId);
 
-        if (productMeta && scores.maxSimilarity > this.similarityThreshold) {
+        if (productMeta && scores.maxSimilarity > minConfidence) {
           matches.push({
             productId: productMeta.productId,
             title: productMeta.title,
             brand: productMeta.brand || '',
             price: productMeta.price,
+            priceAmount: productMeta.priceAmount,
+            currency: productMeta.currency,
+            priceKind: productMeta.priceKind,
+            originalPriceAmount: productMeta.originalPriceAmount ?? null,
+            availability: productMeta.availability,
+            pageNumber: productMeta.pageNumber,
+            pagePosition: productMeta.pagePosition,
             link: productMeta.link,
             image: productMeta.image,
+            imageColors: productMeta.imageColors || [],
+            locator: productMeta.locator,
             elementInfo: productMeta.elementInfo,
             confidence: scores.maxSimilarity,
             avgConfidence: scores.avgSimilarity,
-            reason: `Semantic similarity: ${scores.maxSimilarity.toFixed(3)} (${scores.chunkCount} chunks)`,
-            retrievalScore: scores.maxSimilarity
+            reason: scores.exactMatch
+              ? `Exact identifier match (${scores.chunkCount} chunks)`
+              : `Relevance (${this.retrievalMode}): ${scores.maxSimilarity.toFixed(3)} (${scores.chunkCount} chunks)`,
+            exactMatch: scores.exactMatch,
+            retrievalScore: scores.maxScore
           });
         }
       }
 
-      // Enhanced deduplication based on title similarity (not just productId)
-      const deduplicatedMatches = new Map();
-      matches.forEach((match, index) => {
-        // Create a normalized key from title for better deduplication
-        const normalizedTitle = (match.title || '').toLowerCase()
-          .replace(/\s+/g, ' ')
-          .replace(/[^\w\s-]/g, '')
-          .trim();
-
-        // Use first 30 characters as dedup key
-        const dedupKey = normalizedTitle.substring(0, 30);
-
-        if (!deduplicatedMatches.has(dedupKey) ||
-            match.confidence > deduplicatedMatches.get(dedupKey).confidence) {
-          deduplicatedMatches.set(dedupKey, match);
-        }
-      });
-
-      const finalMatches = Array.from(deduplicatedMatches.values());
-
-      // Sort by confidence
-      finalMatches.sort((a, b) => b.confidence - a.confidence);
+      // Exact identifier matches first, then in retrieval order (fused rank in hybrid-rrf mode)
+      matches.sort((a, b) => (b.exactMatch - a.exactMatch) || (b.retrievalScore - a.retrievalScore));
 
-      console.log(`✅ Found ${finalMatches.length} semantic matches (${matches.length} before deduplication)`);
+      console.log(`✅ Found ${matches.length} semantic matches`);
 
-      // Debug: Show top matches (after deduplication)
-      if (finalMatches.length > 0) {
-        console.log('📋 Top semantic matches (deduplicated):');
-        finalMatches.slice(0, 5).forEach(match => {
+      // Debug: Show top matches
+      if (matches.length > 0) {
+        console.log('📋 Top semantic matches:');
+        matches.slice(0, 5).forEach(match => {
           console.log(`  - ${match.title} (${match.confidence.toFixed(3)}) [ID: ${match.productId}]`);
         });
       }
 
       return {
-        matches: finalMatches,
-        reasoning: `Found ${finalMatches.length} products via semantic vector search`,
+        matches,
+        reasoning: `Found ${matches.length} products via ${this.retrievalMode} retrieval`,
         retrievedChunks: relevantChunks.length
       };
 
@@ -794,24 +772,55 @@ Return ONLY valid product matches in this JSON format:
   }
 
   /**
-   * Cosine similarity calculation
+   * Store chunks and metadata in one transaction
+   * Aborting the signal rolls back everything written so far
    */
-  cosineSimilarity(vec1, vec2) {
-    let dotProduct = 0;
-    let norm1 = 0;
-    let norm2 = 0;
-
-    for (let i = 0; i < Math.min(vec1.length, vec2.length); i++) {
-      dotProduct += vec1[i] * vec2[i];
-      norm1 += vec1[i] * vec1[i];
-      norm2 += vec2[i] * vec2[i];
-    }
+  async storeProductRecords(chunks, metadata, { onProgress, signal } = {}) {
+    signal?.throwIfAborted();
 
-    norm1 = Math.sqrt(norm1);
-    norm2 = Math.sqrt(norm2);
+    const transaction = this.db.transaction(['productChunks', 'productMeta'], 'readwrite');
+    const chunkStore = transaction.objectStore('productChunks');
+    const metaStore = transaction.objectStore('productMeta');
+    const abortTransaction = () => transaction.abort();
+    signal?.addEventListener('abort', abortTransaction, { once: true });
+
+    const total = chunks.length + metadata.length;
+    let stored = 0;
+    const reportStored = () => {
+      stored++;
+      onProgress?.({ stage: 'storing', completed: stored, total });
+    };
 
-    if (norm1 === 0 || norm2 === 0) return 0;
-    return dotProduct / (norm1 * norm2);
+    // IDs are stable across sessions: replace earlier records of the same products
+    // (keys are read before the adds below run, so only old rows are deleted)
+    const productIds = [...new Set(metadata.map(meta => meta.productId))];
+    [chunkStore, metaStore].forEach(store => {
+      const index = store.index('productId');
+      productIds.forEach(productId => {
+        index.getAllKeys(IDBKeyRange.only(productId)).onsuccess = (event) => {
+          event.target.result.forEach(key => store.delete(key));
+        };
+      });
+    });
+
+    chunks.forEach(chunk => {
+      chunkStore.add(chunk).onsuccess = reportStored;
+    });
+    metadata.forEach(meta => {
+      metaStore.add(meta).onsuccess = reportStored;
+    });
+
+    try {
+      await new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onabort = () => reject(signal?.aborted ? signal.reason : transaction.error);
+        transaction.onerror = () => reject(transaction.error);
+      });
+    } finally {
+      signal?.removeEventListener('abort', abortTransaction);
+    }
+
+    console.log(`💾 Stored ${chunks.length} chunks and ${metadata.length} product metadata entries`);
   }
 
   /**
@@ -887,13 +896,169 @@ Return ONLY valid product matches in this JSON format:
     });
   }
 
+  /**
+   * Delete chunks and metadata for the given products
+   */
+  async deleteProducts(productIds) {
+    if (!productIds || productIds.length === 0) return;
+
+    const transaction = this.db.transaction(['productChunks', 'productMeta'], 'readwrite');
+
+    ['productChunks', 'productMeta'].forEach(storeName => {
+      const index = transaction.objectStore(storeName).index('productId');
+      productIds.forEach(productId => {
+        index.openCursor(IDBKeyRange.only(productId)).onsuccess = (event) => {
+          const cursor = event.target.result;
+          if (cursor) {
+            cursor.delete();
+            cursor.continue();
+          }
+        };
+      });
+    });
+
+    await new Promise((resolve, reject) => {
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+    });
+
+    if (this.embeddingReady) {
+      await this.embeddings.remove(productIds);
+      this.scheduleVectorIndexSave();
+    }
+    console.log(`🗑️ Removed ${productIds.length} products from RAG database`);
+  }
+
+  /**
+   * Save the ANN graph once indexing has been quiet for vectorIndexSaveDelay; exporting the
+   * whole graph after every small batch would cost O(n) each time
+   */
+  scheduleVectorIndexSave() {
+    clearTimeout(this.vectorIndexSaveTimer);
+    this.vectorIndexSaveTimer = setTimeout(() => this.flushVectorIndexSave(), this.vectorIndexSaveDelay);
+  }
+
+  /**
+   * Save a scheduled snapshot now (when the tab is hidden, so leaving the page keeps the graph)
+   */
+  flushVectorIndexSave() {
+    if (!this.vectorIndexSaveTimer) return;
+
+    clearTimeout(this.vectorIndexSaveTimer);
+    this.vectorIndexSaveTimer = null;
+    this.saveVectorIndex();
+  }
+
+  /**
+   * Persist the worker's ANN graph so the next page load doesn't rebuild it
+   */
+  async saveVectorIndex() {
+    try {
+      const snapshot = await this.embeddings.exportIndex();
+      if (!snapshot) return;
+
+      const transaction = this.db.transaction(['vectorIndex'], 'readwrite');
+      transaction.objectStore('vectorIndex').put({ ...snapshot, timestamp: Date.now() });
+      await new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+      });
+    } catch (error) {
+      console.warn('⚠️ Could not save the ANN index:', error);
+    }
+  }
+
+  async getVectorIndex(providerId) {
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(['vectorIndex'], 'readonly');
+      const request = transaction.objectStore('vectorIndex').get(providerId);
+
+      request.onsuccess = () => resolve(request.result || null);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Add a query history record ({ query, normalizedQuery, promptId, domain, matchCount, feedback, timestamp })
+   */
+  async addQueryRecord(record) {
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(['queryHistory'], 'readwrite');
+      const request = transaction.objectStore('queryHistory').add(record);
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async putQueryRecord(record) {
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(['queryHistory'], 'readwrite');
+      const request = transaction.objectStore('queryHistory').put(record);
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async getQueryRecord(id) {
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(['queryHistory'], 'readonly');
+      const request = transaction.objectStore('queryHistory').get(id);
+
+      request.onsuccess = () => resolve(request.result || null);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Get ALL query history records, oldest first
+   */
+  async getQueryRecords() {
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(['queryHistory'], 'readonly');
+      const request = transaction.objectStore('queryHistory').index('timestamp').getAll();
+
+      request.onsuccess = () => resolve(request.result || []);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async deleteQueryRecords(ids) {
+    if (!ids || ids.length === 0) return;
+
+    const transaction = this.db.transaction(['queryHistory'], 'readwrite');
+    const store = transaction.objectStore('queryHistory');
+    ids.forEach(id => store.delete(id));
+
+    await new Promise((resolve, reject) => {
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  async clearQueryHistory() {
+    const transaction = this.db.transaction(['queryHistory'], 'readwrite');
+    transaction.objectStore('queryHistory').clear();
+
+    await new Promise((resolve, reject) => {
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+    });
+    console.log('🗑️ Query history cleared');
+  }
+
   /**
    * Clear all RAG data
    */
   async clearRAGDatabase() {
-    const transaction = this.db.transaction(['productChunks', 'productMeta'], 'readwrite');
+    clearTimeout(this.vectorIndexSaveTimer);
+    this.vectorIndexSaveTimer = null;
+    const transaction = this.db.transaction(['productChunks', 'productMeta', 'vectorIndex'], 'readwrite');
     await transaction.objectStore('productChunks').clear();
     await transaction.objectStore('productMeta').clear();
+    await transaction.objectStore('vectorIndex').clear();
+    if (this.embeddingReady) await this.embeddings.clear();
     console.log('🗑️ RAG database cleared');
   }
 }
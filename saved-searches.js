@@ -0,0 +1,179 @@
+/**
+ * Saved Search Library
+ * Named searches kept in extension storage for quick re-use from the toolbar and popup.
+ * A search can be scoped to a domain and marked as that domain's default, which is
+ * activated automatically when the site is visited.
+ *
+ * Entry shape: { id, name, prompt, threshold, facets, domain, isDefault, createdAt, lastUsedAt }
+ * facets holds the facet values found in the prompt when it was saved ({ colors: ['white'], ... })
+ */
+
+class SavedSearchLibrary {
+  constructor() {
+    this.storageKey = 'savedSearches';
+    this.searches = [];
+    this.maxSearches = 100;
+    this.isWatching = false;
+    this.onChange = null; // called after edits made elsewhere (popup, other tabs)
+  }
+
+  /**
+   * Load the library from storage and keep it in sync with later edits
+   */
+  async load() {
+    try {
+      const result = await chrome.storage.local.get([this.storageKey]);
+      this.searches = (result[this.storageKey] || []).map(search => this.normalize(search));
+
+      if (this.isWatching) return this.searches;
+      this.isWatching = true;
+
+      chrome.storage.onChanged.addListener((changes, areaName) => {
+        if (areaName !== 'local' || !changes[this.storageKey]) return;
+        this.searches = (changes[this.storageKey].newValue || []).map(search => this.normalize(search));
+        console.log(`📚 Saved searches updated (${this.searches.length})`);
+        if (this.onChange) this.onChange(this.searches);
+      });
+    } catch (error) {
+      console.log('Failed to load saved searches:', error);
+    }
+
+    return this.searches;
+  }
+
+  async save() {
+    await chrome.storage.local.set({ [this.storageKey]: this.searches });
+    return this.searches;
+  }
+
+  /**
+   * Save a search; saving the same prompt for the same scope again updates the existing entry
+   */
+  async add(fields) {
+    const domain = this.normalizeDomain(fields.domain);
+    const existing = this.searches.find(search =>
+      search.prompt.trim().toLowerCase() === fields.prompt.trim().toLowerCase() && search.domain === domain);
+
+    if (existing) {
+      return this.update(existing.id, { ...fields, domain });
+    }
+
+    if (this.searches.length >= this.maxSearches) {
+      throw new Error(`The library holds up to ${this.maxSearches} saved searches`);
+    }
+
+    const search = this.normalize({
+      ...fields,
+      id: `search_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 6)}`,
+      createdAt: Date.now()
+    });
+    this.searches.unshift(search);
+    this.clearOtherDefaults(search);
+    await this.save();
+    return search;
+  }
+
+  async update(id, changes) {
+    const index = this.searches.findIndex(search => search.id === id);
+    if (index === -1) return null;
+
+    this.searches[index] = this.normalize({ ...this.searches[index], ...changes, id });
+    this.clearOtherDefaults(this.searches[index]);
+    await this.save();
+    return this.searches[index];
+  }
+
+  async remove(id) {
+    this.searches = this.searches.filter(search => search.id !== id);
+    await this.save();
+  }
+
+  async markUsed(id) {
+    return this.update(id, { lastUsedAt: Date.now() });
+  }
+
+  get(id) {
+    return this.searches.find(search => search.id === id) || null;
+  }
+
+  getAll() {
+    return this.searches;
+  }
+
+  /**
+   * Searches usable on a site: the ones scoped to it first, then unscoped ones, most recently used first
+   */
+  getForDomain(hostname) {
+    const recency = search => search.lastUsedAt || search.createdAt || 0;
+
+    return this.searches
+      .filter(search => !search.domain || this.matchesDomain(search, hostname))
+      .sort((a, b) => (!!b.domain - !!a.domain) || recency(b) - recency(a));
+  }
+
+  getDefaultFor(hostname) {
+    return this.searches.find(search => search.isDefault && this.matchesDomain(search, hostname)) || null;
+  }
+
+  /**
+   * "zalando.de" covers www.zalando.de and m.zalando.de
+   */
+  matchesDomain(search, hostname) {
+    if (!search.domain || !hostname) return false;
+    const host = hostname.toLowerCase();
+    return host === search.domain || host.endsWith(`.${search.domain}`);
+  }
+
+  normalizeDomain(domain) {
+    return (domain || '')
+      .trim()
+      .toLowerCase()
+      .replace(/^[a-z]+:\/\//, '')
+      .replace(/[/:?#].*$/, '')
+      .replace(/^www\./, '');
+  }
+
+  /**
+   * One default per domain; a search without a domain can't be a default
+   */
+  clearOtherDefaults(search) {
+    if (!search.isDefault) return;
+
+    this.searches.forEach((other, index) => {
+      if (other.id !== search.id && other.isDefault && other.domain === search.domain) {
+        this.searches[index] = { ...other, isDefault: false };
+      }
+    });
+  }
+
+  normalize(search) {
+    const domain = this.normalizeDomain(search.domain);
+    const threshold = search.threshold === null || search.threshold === undefined || search.threshold === ''
+      ? null
+      : Math.min(1, Math.max(0, Number(search.threshold)));
+
+    return {
+      id: search.id,
+      name: (search.name || '').trim() || (search.prompt || '').trim().substring(0, 40),
+      prompt: search.prompt || '',
+      threshold: Number.isFinite(threshold) ? threshold : null,
+      facets: search.facets && typeof search.facets === 'object' ? search.facets : {},
+      domain,
+      isDefault: !!domain && search.isDefault === true,
+      createdAt: search.createdAt || Date.now(),
+      lastUsedAt: search.lastUsedAt || null
+    };
+  }
+
+  /**
+   * Short facet summary for lists: "white · nike · leather"
+   */
+  describeFacets(search, limit = 4) {
+    return Object.values(search.facets).flat().slice(0, limit).join(' · ');
+  }
+}
+
+// Export for use in content script
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SavedSearchLibrary;
+}
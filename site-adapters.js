@@ -0,0 +1,200 @@
+/**
+ * Site Adapter Registry
+ * Maps shop domains to product card selectors and field extractors
+ */
+
+class SiteAdapterRegistry {
+  constructor() {
+    this.adapters = [];
+    this.genericAdapter = this.createGenericAdapter();
+
+    this.registerBuiltInAdapters();
+  }
+
+  /**
+   * Register a site adapter
+   *
+   * Adapter shape:
+   * {
+   *   id: 'zalando',
+   *   domains: ['zalando.de', /(^|\.)zalando\./],   // suffix strings or RegExps
+   *   cardSelectors: ['article'],                     // product card containers
+   *   fields: { title, brand, price, description, image, link }, // CSS selectors
+   *   pagination: { loadMore, nextPage },             // optional crawl controls (CSS selectors)
+   *   isProductCard: (element) => boolean,            // optional card filter
+   *   postProcess: (product, element) => product      // optional record fix-up
+   * }
+   */
+  register(adapter) {
+    if (!adapter || !adapter.id || !Array.isArray(adapter.cardSelectors)) {
+      console.warn('⚠️ Ignoring invalid site adapter:', adapter);
+      return;
+    }
+
+    // Replace an existing adapter with the same id
+    this.adapters = this.adapters.filter(existing => existing.id !== adapter.id);
+    this.adapters.push({
+      domains: [],
+      fields: {},
+      ...adapter
+    });
+  }
+
+  /**
+   * Find the adapter for a hostname, falling back to the generic heuristics
+   */
+  getAdapter(hostname = window.location.hostname) {
+    const host = (hostname || '').toLowerCase();
+
+    const adapter = this.adapters.find(candidate =>
+      candidate.domains.some(pattern => this.matchesDomain(host, pattern))
+    );
+
+    return adapter || this.genericAdapter;
+  }
+
+  /**
+   * Check a hostname against a domain pattern
+   */
+  matchesDomain(hostname, pattern) {
+    if (pattern instanceof RegExp) {
+      return pattern.test(hostname);
+    }
+
+    const domain = String(pattern).toLowerCase();
+    return hostname === domain || hostname.endsWith('.' + domain);
+  }
+
+  /**
+   * Load user-defined adapters (selector-only) from extension storage
+   */
+  async loadCustomAdapters() {
+    try {
+      const result = await chrome.storage.local.get(['customSiteAdapters']);
+      const customAdapters = result.customSiteAdapters || [];
+
+      customAdapters.forEach(adapter => this.register(adapter));
+
+      if (customAdapters.length > 0) {
+        console.log(`🧩 Loaded ${customAdapters.length} custom site adapters`);
+      }
+    } catch (error) {
+      console.log('Failed to load custom site adapters:', error);
+    }
+  }
+
+  registerBuiltInAdapters() {
+    this.register({
+      id: 'zalando',
+      domains: [/(^|\.)zalando\.[a-z.]+$/],
+      cardSelectors: ['article', 'a[href*="/"][class]'],
+      fields: {
+        title: 'h2, h3, h4, [class*="articleName"], [class*="title"], [class*="name"]',
+        brand: '[class*="brand"], h3',
+        price: '[class*="price"], [data-price]',
+        description: '[class*="description"], p',
+        image: 'img',
+        link: 'a[href]'
+      }
+    });
+
+    this.register({
+      id: 'amazon',
+      domains: [/(^|\.)amazon\.[a-z.]+$/],
+      cardSelectors: ['[data-component-type="s-search-result"]', '[data-asin]:not([data-asin=""])', '.s-result-item'],
+      fields: {
+        title: 'h2, [data-cy="title-recipe"]',
+        brand: '.s-line-clamp-1 span, [data-cy="brand"]',
+        price: '.a-price .a-offscreen, .a-price',
+        description: '.a-row.a-size-base',
+        image: 'img.s-image, img',
+        link: 'h2 a[href], a.a-link-normal[href]'
+      },
+      pagination: {
+        nextPage: 'a.s-pagination-next[href]'
+      },
+      postProcess: (product, element) => {
+        if (element.dataset.asin) {
+          product.sku = element.dataset.asin;
+        }
+        return product;
+      }
+    });
+
+    this.register({
+      id: 'ebay',
+      domains: [/(^|\.)ebay\.[a-z.]+$/],
+      cardSelectors: ['.s-item', 'li[data-viewport]'],
+      fields: {
+        title: '.s-item__title',
+        brand: '.s-item__subtitle',
+        price: '.s-item__price',
+        description: '.s-item__subtitle',
+        image: '.s-item__image img, img',
+        link: 'a.s-item__link[href], a[href]'
+      },
+      pagination: {
+        nextPage: 'a.pagination__next[href]'
+      },
+      isProductCard: (element) => !/shop on ebay/i.test(element.textContent || '')
+    });
+
+    this.register({
+      id: 'etsy',
+      domains: ['etsy.com'],
+      cardSelectors: ['[data-test-id="listing-card"]', '.listing-link', '.v2-listing-card'],
+      fields: {
+        title: 'h3, [class*="listing-card-title"]',
+        brand: '[class*="shop-name"], p.wt-text-caption',
+        price: '.currency-value, [class*="price"]',
+        description: '[class*="description"]',
+        image: 'img',
+        link: 'a.listing-link[href], a[href]'
+      },
+      pagination: {
+        nextPage: 'nav a[href][aria-label*="next" i]'
+      }
+    });
+  }
+
+  /**
+   * Heuristic adapter used for any site without a registered adapter
+   */
+  createGenericAdapter() {
+    return {
+      id: 'generic',
+      domains: [],
+      cardSelectors: [
+        'article',
+        '[data-testid*="product"]',
+        '[data-component-type*="product"]',
+        '[class*="product-card"]',
+        '[class*="productCard"]',
+        '[class*="product-tile"]',
+        'li[class*="product"]',
+        'a[href*="/"][class]'
+      ],
+      fields: {
+        title: 'h2, h3, h4, [class*="title"], [class*="name"]',
+        brand: '[class*="brand"], [class*="manufacturer"]',
+        price: '[class*="price"], [data-price]',
+        description: '[class*="description"], p',
+        image: 'img',
+        link: 'a[href]'
+      },
+      isProductCard: (element) => {
+        // A product card normally has an image and a price-like or link signal
+        const text = element.textContent || '';
+        const hasImage = !!element.querySelector('img, picture');
+        const hasPrice = /[\$€£¥]\s*\d|\d\s*[\$€£¥]|price/i.test(text + ' ' + (element.className || ''));
+        const isLink = element.tagName === 'A' || !!element.querySelector('a[href]');
+        return hasImage && (hasPrice || isLink);
+      }
+    };
+  }
+}
+
+// Export for use in content script
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SiteAdapterRegistry;
+}
@@ -0,0 +1,426 @@
+/**
+ * Structured Product Data Extraction
+ * Reads schema.org Product/Offer data from JSON-LD, microdata and Open Graph tags
+ */
+
+class StructuredDataExtractor {
+  constructor() {
+    this.productTypes = ['Product', 'ProductGroup', 'IndividualProduct', 'ProductModel'];
+    // Shorter titles ("Air", "Tee") name too many cards to link a record by
+    this.minLinkTitleLength = 8;
+    this.cardTitleSelector = 'h1, h2, h3, h4, h5, h6, [itemprop="name"], [class*="title"], [class*="name"], a[title]';
+  }
+
+  /**
+   * Extract all structured product records from the page
+   * Each record has the {title, brand, price, image, link} shape used by the RAG system
+   */
+  extractAll(root = document) {
+    const records = [
+      ...this.extractFromJsonLd(root),
+      ...this.extractFromMicrodata(root),
+      ...this.extractFromOpenGraph(root)
+    ];
+
+    console.log(`🏷️ Found ${records.length} structured product records`);
+    return records;
+  }
+
+  // =============================================================================
+  // JSON-LD
+  // =============================================================================
+
+  extractFromJsonLd(root) {
+    const records = [];
+    const scripts = root.querySelectorAll('script[type="application/ld+json"]');
+
+    scripts.forEach(script => {
+      let data;
+      try {
+        data = JSON.parse(script.textContent);
+      } catch (error) {
+        console.warn('⚠️ Skipping invalid JSON-LD block:', error.message);
+        return;
+      }
+
+      this.collectJsonLdProducts(data).forEach(node => {
+        const record = this.mapJsonLdProduct(node);
+        if (record) records.push(record);
+      });
+    });
+
+    return records;
+  }
+
+  /**
+   * Walk a JSON-LD document and collect Product nodes (including @graph and ItemList entries)
+   */
+  collectJsonLdProducts(data, found = []) {
+    if (!data || typeof data !== 'object') return found;
+
+    if (Array.isArray(data)) {
+      data.forEach(item => this.collectJsonLdProducts(item, found));
+      return found;
+    }
+
+    if (this.isProductType(data['@type'])) {
+      found.push(data);
+      return found;
+    }
+
+    if (data['@graph']) {
+      this.collectJsonLdProducts(data['@graph'], found);
+    }
+
+    if (data.itemListElement) {
+      const items = Array.isArray(data.itemListElement) ? data.itemListElement : [data.itemListElement];
+      items.forEach(item => this.collectJsonLdProducts(item.item || item, found));
+    }
+
+    if (data.mainEntity) {
+      this.collectJsonLdProducts(data.mainEntity, found);
+    }
+
+    return found;
+  }
+
+  isProductType(type) {
+    const types = Array.isArray(type) ? type : [type];
+    return types.some(t => typeof t === 'string' && this.productTypes.includes(t.replace(/^.*[/#]/, '')));
+  }
+
+  mapJsonLdProduct(node) {
+    const offer = this.pickOffer(node.offers);
+    const title = this.asText(node.name);
+    if (!title) return null;
+
+    return this.createRecord({
+      source: 'json-ld',
+      title,
+      brand: this.asText(node.brand?.name ?? node.brand),
+      description: this.asText(node.description),
+      image: this.asUrl(node.image),
+      link: this.asUrl(node.url || offer?.url),
+      priceAmount: this.asNumber(offer?.price ?? offer?.lowPrice ?? offer?.priceSpecification?.price),
+      currency: this.asText(offer?.priceCurrency ?? offer?.priceSpecification?.priceCurrency),
+      availability: this.normalizeAvailability(offer?.availability),
+      gtin: this.asText(node.gtin13 || node.gtin14 || node.gtin12 || node.gtin8 || node.gtin),
+      sku: this.asText(node.sku || node.productID || node.mpn)
+    });
+  }
+
+  /**
+   * Choose the most relevant offer from an Offer, AggregateOffer or list of offers
+   */
+  pickOffer(offers) {
+    if (!offers) return null;
+
+    const list = Array.isArray(offers) ? offers : [offers];
+    const candidates = list.flatMap(offer => offer?.offers ? [offer, ...[].concat(offer.offers)] : [offer]);
+
+    return candidates.find(offer => offer && (offer.price !== undefined || offer.lowPrice !== undefined)) ||
+           candidates[0] || null;
+  }
+
+  // =============================================================================
+  // MICRODATA
+  // =============================================================================
+
+  extractFromMicrodata(root) {
+    const records = [];
+    const scopes = root.querySelectorAll('[itemscope][itemtype*="schema.org/Product"]');
+
+    scopes.forEach(scope => {
+      const title = this.readItemprop(scope, 'name');
+      if (!title) return;
+
+      const offerScope = scope.querySelector('[itemprop="offers"][itemscope]') || scope;
+      const brandScope = scope.querySelector('[itemprop="brand"]');
+
+      records.push(this.createRecord({
+        source: 'microdata',
+        element: scope,
+        title,
+        brand: brandScope ? (this.readItemprop(brandScope, 'name') || this.readItemValue(brandScope)) : '',
+        description: this.readItemprop(scope, 'description'),
+        image: this.readItemprop(scope, 'image'),
+        link: this.readItemprop(scope, 'url') || scope.querySelector('a[href]')?.href || '',
+        priceAmount: this.asNumber(this.readItemprop(offerScope, 'price') || this.readItemprop(offerScope, 'lowPrice')),
+        currency: this.readItemprop(offerScope, 'priceCurrency'),
+        availability: this.normalizeAvailability(this.readItemprop(offerScope, 'availability')),
+        gtin: this.readItemprop(scope, 'gtin13') || this.readItemprop(scope, 'gtin') || this.readItemprop(scope, 'gtin8'),
+        sku: this.readItemprop(scope, 'sku') || this.readItemprop(scope, 'productID') || this.readItemprop(scope, 'mpn')
+      }));
+    });
+
+    return records;
+  }
+
+  /**
+   * Read an itemprop value that belongs to this scope (not to a nested Product)
+   */
+  readItemprop(scope, name) {
+    const candidates = scope.querySelectorAll(`[itemprop~="${name}"]`);
+    for (const candidate of candidates) {
+      const owner = candidate.parentElement?.closest('[itemscope]');
+      if (owner === scope) {
+        return this.readItemValue(candidate);
+      }
+    }
+    return '';
+  }
+
+  readItemValue(element) {
+    const value = element.getAttribute('content') ||
+                  element.getAttribute('href') ||
+                  element.getAttribute('src') ||
+                  element.getAttribute('value') ||
+                  element.textContent;
+    return (value || '').trim();
+  }
+
+  // =============================================================================
+  // OPEN GRAPH
+  // =============================================================================
+
+  extractFromOpenGraph(root) {
+    const meta = (property) =>
+      root.querySelector(`meta[property="${property}"], meta[name="${property}"]`)?.getAttribute('content')?.trim() || '';
+
+    // Only single-product pages describe one product; on listings og:title and prices belong to
+    // the page (a category), and matching them to a card by title would pick a random one
+    if (!/product/i.test(meta('og:type'))) return [];
+
+    const priceAmount = meta('product:price:amount') || meta('og:price:amount');
+
+    const title = meta('og:title');
+    if (!title) return [];
+
+    return [this.createRecord({
+      source: 'open-graph',
+      title,
+      brand: meta('product:brand') || meta('og:brand'),
+      description: meta('og:description'),
+      image: meta('og:image'),
+      link: meta('og:url') || window.location.href,
+      priceAmount: this.asNumber(priceAmount),
+      currency: meta('product:price:currency') || meta('og:price:currency'),
+      availability: this.normalizeAvailability(meta('product:availability') || meta('og:availability')),
+      gtin: meta('product:ean') || meta('product:gtin'),
+      sku: meta('product:retailer_item_id')
+    })];
+  }
+
+  // =============================================================================
+  // LINKING RECORDS TO ON-PAGE CARDS
+  // =============================================================================
+
+  /**
+   * Attach each record to the product card element it describes
+   * Microdata records already carry their scope element; others are matched by link, then by a
+   * title equal to the one card's title (after normalization)
+   */
+  linkRecordsToElements(records, cardSelectors, root = document) {
+    const cardSelector = cardSelectors.join(', ');
+    const anchorsByUrl = new Map();
+
+    root.querySelectorAll('a[href]').forEach(anchor => {
+      const key = this.normalizeUrl(anchor.href);
+      if (key && !anchorsByUrl.has(key)) {
+        anchorsByUrl.set(key, anchor);
+      }
+    });
+
+    records.forEach(record => {
+      if (record.element) {
+        record.element = record.element.closest(cardSelector) || record.element;
+        return;
+      }
+
+      const anchor = record.link ? anchorsByUrl.get(this.normalizeUrl(record.link)) : null;
+      if (anchor) {
+        record.element = anchor.closest(cardSelector) || anchor;
+        return;
+      }
+
+      const titleKey = this.normalizeTitle(record.title);
+      if (titleKey.length < this.minLinkTitleLength) return;
+
+      const cards = Array.from(root.querySelectorAll(cardSelector)).filter(card => this.getCardTitles(card).includes(titleKey));
+      if (cards.length === 1) {
+        record.element = cards[0];
+      }
+    });
+
+    return records;
+  }
+
+  /**
+   * Merge structured records into DOM-scraped products
+   * Structured values win over text guesses; unmatched linked records become new products.
+   * Only one-to-one matches merge: a record spanning several products (a page-wide scope) is
+   * dropped, and a product claimed by several records takes the one scoped to its own element.
+   */
+  mergeIntoProducts(products, records) {
+    const merged = [...products];
+    const claims = new Map(); // product -> records that match only it
+
+    records.forEach(record => {
+      if (!record.element) return;
+
+      const candidates = this.findMatchingProducts(products, record.element);
+      if (candidates.length === 1) {
+        claims.set(candidates[0], [...(claims.get(candidates[0]) || []), record]);
+      } else if (candidates.length === 0) {
+        const { element, ...fields } = record;
+        merged.push({
+          ...fields,
+          text: [record.title, record.brand, record.description, record.price].filter(Boolean).join(' '),
+          htmlContent: element.outerHTML.substring(0, 1000),
+          timestamp: Date.now(),
+          domain: window.location.hostname,
+          url: window.location.href,
+          elementTag: element.tagName,
+          elementClasses: element.className,
+          elementIndex: Array.from(element.parentNode?.children || []).indexOf(element),
+          element
+        });
+      }
+    });
+
+    claims.forEach((claimants, product) => {
+      const own = claimants.filter(record => record.element === product.element);
+      const record = claimants.length === 1 ? claimants[0] : (own.length === 1 ? own[0] : null);
+      if (record) {
+        Object.assign(product, this.pickStructuredFields(record, product));
+      }
+    });
+
+    return merged;
+  }
+
+  /**
+   * Products on the record's element: the one on that very element, else those nested in or around it
+   */
+  findMatchingProducts(products, element) {
+    const same = products.filter(product => product.element === element);
+    if (same.length > 0) return same;
+    return products.filter(product =>
+      product.element && (product.element.contains(element) || element.contains(product.element))
+    );
+  }
+
+  pickStructuredFields(record, product) {
+    const fields = {
+      structuredSource: record.structuredSource,
+      title: record.title || product.title,
+      brand: record.brand || product.brand,
+      image: record.image || product.image,
+      link: record.link || product.link
+    };
+
+    ['price', 'priceAmount', 'currency', 'availability', 'gtin', 'sku'].forEach(key => {
+      if (record[key] !== '' && record[key] !== null && record[key] !== undefined) {
+        fields[key] = record[key];
+      }
+    });
+
+    // Keep the embedding text in sync with the corrected fields
+    fields.text = [fields.title, fields.brand, product.description, fields.price || product.price].filter(Boolean).join(' ');
+
+    return fields;
+  }
+
+  // =============================================================================
+  // HELPERS
+  // =============================================================================
+
+  createRecord({ source, element = null, title, brand, description, image, link, priceAmount, currency, availability, gtin, sku }) {
+    const amount = Number.isFinite(priceAmount) ? priceAmount : null;
+    const cleanCurrency = (currency || '').toUpperCase();
+
+    return {
+      structuredSource: source,
+      element,
+      title: title || '',
+      brand: brand || '',
+      description: description || '',
+      image: image || '',
+      link: link ? this.absoluteUrl(link) : '',
+      price: amount !== null ? `${amount.toFixed(2)} ${cleanCurrency}`.trim() : '',
+      priceAmount: amount,
+      currency: cleanCurrency,
+      availability: availability || '',
+      gtin: gtin || '',
+      sku: sku || ''
+    };
+  }
+
+  normalizeAvailability(value) {
+    if (!value) return '';
+    return String(value).replace(/^.*[/#]/, '').replace(/([a-z])([A-Z])/g, '$1 $2').toLowerCase();
+  }
+
+  asText(value) {
+    if (value === null || value === undefined) return '';
+    if (Array.isArray(value)) return this.asText(value[0]);
+    if (typeof value === 'object') return this.asText(value.name || value['@value'] || '');
+    return String(value).trim();
+  }
+
+  asUrl(value) {
+    if (Array.isArray(value)) return this.asUrl(value[0]);
+    if (value && typeof value === 'object') return this.asText(value.url || value.contentUrl || value['@id']);
+    return this.asText(value);
+  }
+
+  asNumber(value) {
+    if (value === null || value === undefined || value === '') return null;
+    if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+
+    // Structured data is usually machine formatted, but tolerate "1.299,00"
+    let text = String(value).replace(/[^\d.,-]/g, '');
+    if (/,\d{1,2}$/.test(text)) {
+      text = text.replace(/\./g, '').replace(',', '.');
+    } else {
+      text = text.replace(/,/g, '');
+    }
+
+    const number = parseFloat(text);
+    return Number.isFinite(number) ? number : null;
+  }
+
+  absoluteUrl(url) {
+    try {
+      return new URL(url, window.location.href).href;
+    } catch (error) {
+      return url;
+    }
+  }
+
+  normalizeTitle(title) {
+    return (title || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+  }
+
+  /**
+   * Normalized texts of the card's title-like elements
+   */
+  getCardTitles(card) {
+    return Array.from(card.querySelectorAll(this.cardTitleSelector))
+      .map(node => this.normalizeTitle(node.getAttribute('title') || node.textContent));
+  }
+
+    normalizeUrl(url) {
+    try {
+      const parsed = new URL(url, window.location.href);
+      return `${parsed.hostname}${parsed.pathname.replace(/\/$/, '')}`.toLowerCase();
+    } catch (error) {
+      return '';
+    }
+  }
+}
+
+// Export for use in content script
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = StructuredDataExtractor;
+}
@@ -0,0 +1,136 @@
+/**
+ * Subword Embedding Model
+ * Character n-gram vectors trained offline (tools/train-subword-model.js) and shipped as
+ * models/subword-embeddings.bin. A word's vector is the sum of its n-gram vectors, so
+ * unseen words such as "loafers" or "lederstiefel" share what their known pieces learned.
+ *
+ * Binary format (little endian):
+ *   0  char[4]  'PHSW'
+ *   4  uint16   format version (1)
+ *   6  uint16   dimension
+ *   8  uint32   hash space (buckets)
+ *  12  uint8    shortest n-gram, 13 uint8 longest n-gram, 14 uint16 reserved
+ *  16  uint32   row count
+ *  20  rows of { uint32 bucket, float32 scale, int8[dimension] } - only buckets that were trained
+ */
+
+class SubwordEmbeddingModel {
+  constructor({ dimension, buckets, minN, maxN, rows }) {
+    this.dimension = dimension;
+    this.buckets = buckets;
+    this.minN = minN;
+    this.maxN = maxN;
+    this.rows = rows; // bucket -> Float32Array(dimension)
+  }
+
+  static get magic() {
+    return 'PHSW';
+  }
+
+  static get version() {
+    return 1;
+  }
+
+  /**
+   * Load a model from the extension package or an ArrayBuffer
+   */
+  static async load(source) {
+    if (source instanceof ArrayBuffer) return this.parse(source);
+
+    const response = await fetch(source);
+    if (!response.ok) throw new Error(`Subword model not found (${response.status})`);
+    return this.parse(await response.arrayBuffer());
+  }
+
+  static parse(buffer) {
+    const view = new DataView(buffer);
+    const magic = String.fromCharCode(...new Uint8Array(buffer, 0, 4));
+    if (magic !== this.magic || view.getUint16(4, true) !== this.version) {
+      throw new Error('Unsupported subword model format');
+    }
+
+    const dimension = view.getUint16(6, true);
+    const rowCount = view.getUint32(16, true);
+    const rows = new Map();
+    let offset = 20;
+
+    for (let row = 0; row < rowCount; row++) {
+      const bucket = view.getUint32(offset, true);
+      const scale = view.getFloat32(offset + 4, true);
+      const values = new Int8Array(buffer, offset + 8, dimension);
+      rows.set(bucket, Float32Array.from(values, value => value * scale));
+      offset += 8 + dimension;
+    }
+
+    return new SubwordEmbeddingModel({
+      dimension,
+      buckets: view.getUint32(8, true),
+      minN: view.getUint8(12),
+      maxN: view.getUint8(13),
+      rows
+    });
+  }
+
+  /**
+   * The word itself plus its character n-grams, with boundary markers ("<boot>", "<bo", "oot>", ...)
+   */
+  getNgrams(word) {
+    const padded = `<${word}>`;
+    const ngrams = [padded];
+
+    for (let n = this.minN; n <= this.maxN; n++) {
+      for (let i = 0; i + n <= padded.length; i++) {
+        const ngram = padded.substr(i, n);
+        if (ngram !== padded) ngrams.push(ngram);
+      }
+    }
+
+    return ngrams;
+  }
+
+  getBucket(ngram) {
+    return SubwordEmbeddingModel.hash(ngram) % this.buckets;
+  }
+
+  /**
+   * { vector, coverage }: unit vector from the trained n-grams and the share of n-grams that were
+   * trained (0 for a word the model knows nothing about)
+   */
+  getWordVector(word) {
+    const vector = new Float32Array(this.dimension);
+    const ngrams = this.getNgrams(word);
+    let known = 0;
+
+    ngrams.forEach(ngram => {
+      const row = this.rows.get(this.getBucket(ngram));
+      if (!row) return;
+
+      known++;
+      for (let i = 0; i < this.dimension; i++) vector[i] += row[i];
+    });
+
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+    if (norm > 0) {
+      for (let i = 0; i < this.dimension; i++) vector[i] /= norm;
+    }
+
+    return { vector, coverage: known / ngrams.length };
+  }
+
+  /**
+   * 32-bit FNV-1a, shared with the training script
+   */
+  static hash(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
+}
+
+// Export for use in content script
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SubwordEmbeddingModel;
+}
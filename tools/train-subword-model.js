@@ -0,0 +1,248 @@
+/**
+ * Subword Model Trainer
+ * Builds models/subword-embeddings.bin from the facet vocabulary, every locale's vocabulary
+ * and tools/subword-lexicon.json. Each term is labelled with its facet value ("productTypes:boot")
+ * and, for product types, its category ("categories:footwear"); character n-gram vectors are
+ * trained fastText-style to predict those labels, so terms with the same meaning end up close
+ * together and new words inherit what their n-grams learned.
+ *
+ * Usage: node tools/train-subword-model.js
+ * Training is seeded, so the same vocabulary always produces the same file.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const LocaleSupport = require('../locale-support.js');
+const FacetExtractor = require('../facet-extractor.js');
+const SubwordEmbeddingModel = require('../subword-embeddings.js');
+
+const settings = {
+  dimension: 32,
+  buckets: 1 << 20, // sparse: only trained buckets are stored
+  minN: 3,
+  maxN: 5,
+  epochs: 80,
+  learningRate: 0.2,
+  categoryRate: 0.5, // share of epochs that also train the category label
+  seed: 42,
+  output: path.join(__dirname, '..', 'models', 'subword-embeddings.bin'),
+  lexicon: path.join(__dirname, 'subword-lexicon.json')
+};
+
+// Facets whose values make useful labels (sizes and genders carry little meaning for similarity)
+const labelledFacets = ['colors', 'materials', 'styles', 'productTypes', 'categories', 'features', 'brands'];
+
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (Math.imul(state, 1664525) + 1013904223) >>> 0;
+    return state / 0x100000000;
+  };
+}
+
+/**
+ * Default vocabulary with the extra lexicon's aliases appended
+ */
+function buildVocabulary() {
+  const vocabulary = FacetExtractor.getDefaultVocabulary();
+  const lexicon = JSON.parse(fs.readFileSync(settings.lexicon, 'utf8'));
+
+  Object.entries(lexicon).forEach(([facet, values]) => {
+    Object.entries(values).forEach(([value, aliases]) => {
+      vocabulary[facet][value] = [...(vocabulary[facet][value] || []), ...aliases];
+    });
+  });
+
+  return vocabulary;
+}
+
+/**
+ * word -> { value labels, category labels } across all locales; words of multi-word terms
+ * ("chelsea boot") take the term's labels unless they are terms of their own
+ */
+function buildExamples(locales, facets) {
+  const single = new Map();
+  const fromPhrases = new Map();
+  const addLabels = (map, word, entries) => {
+    const labels = map.get(word) || { values: new Set(), categories: new Set() };
+    entries.forEach(({ facet, value }) => {
+      if (!labelledFacets.includes(facet)) return;
+      (facet === 'categories' ? labels.categories : labels.values).add(`${facet}:${value}`);
+    });
+    if (labels.values.size + labels.categories.size > 0) map.set(word, labels);
+  };
+
+  Object.keys(locales.localeData).forEach(locale => {
+    facets.getIndex(locale).terms.forEach((entries, phrase) => {
+      const words = phrase.split(' ');
+      if (words.length === 1) {
+        addLabels(single, phrase, entries);
+        return;
+      }
+      words
+        .filter(word => word.length > 1 && !/^\d+$/.test(word) && !locales.isStopword(word, locale))
+        .forEach(word => addLabels(fromPhrases, word, entries));
+    });
+  });
+
+  fromPhrases.forEach((labels, word) => {
+    if (!single.has(word)) single.set(word, labels);
+  });
+
+  return [...single.entries()].map(([word, labels]) => ({
+    word,
+    values: [...labels.values],
+    categories: [...labels.categories]
+  }));
+}
+
+function train(examples) {
+  const random = createRandom(settings.seed);
+  const { dimension } = settings;
+  const shape = new SubwordEmbeddingModel({ ...settings, rows: new Map() });
+
+  const labels = [...new Set(examples.flatMap(example => [...example.values, ...example.categories]))];
+  const labelIndex = new Map(labels.map((label, index) => [label, index]));
+
+  // Input n-gram rows start at zero, so untrained n-grams stay empty and are never stored
+  const rows = new Map();
+  const output = labels.map(() => Float32Array.from({ length: dimension }, () => (random() - 0.5) / dimension));
+  const buckets = examples.map(example => shape.getNgrams(example.word).map(ngram => shape.getBucket(ngram)));
+  buckets.flat().forEach(bucket => {
+    if (!rows.has(bucket)) rows.set(bucket, new Float32Array(dimension));
+  });
+
+  const hidden = new Float32Array(dimension);
+  const gradient = new Float32Array(dimension);
+  const scores = new Float32Array(labels.length);
+  const order = examples.map((example, index) => index);
+  let loss = 0;
+
+  const step = (exampleBuckets, target, learningRate) => {
+    hidden.fill(0);
+    exampleBuckets.forEach(bucket => {
+      const row = rows.get(bucket);
+      for (let i = 0; i < dimension; i++) hidden[i] += row[i] / exampleBuckets.length;
+    });
+
+    let max = -Infinity;
+    output.forEach((weights, label) => {
+      let score = 0;
+      for (let i = 0; i < dimension; i++) score += weights[i] * hidden[i];
+      scores[label] = score;
+      max = Math.max(max, score);
+    });
+
+    let sum = 0;
+    for (let label = 0; label < scores.length; label++) {
+      scores[label] = Math.exp(scores[label] - max);
+      sum += scores[label];
+    }
+    loss -= Math.log(scores[target] / sum);
+
+    gradient.fill(0);
+    output.forEach((weights, label) => {
+      const error = scores[label] / sum - (label === target ? 1 : 0);
+      for (let i = 0; i < dimension; i++) {
+        gradient[i] += error * weights[i];
+        weights[i] -= learningRate * error * hidden[i];
+      }
+    });
+
+    exampleBuckets.forEach(bucket => {
+      const row = rows.get(bucket);
+      for (let i = 0; i < dimension; i++) row[i] -= learningRate * gradient[i] / exampleBuckets.length;
+    });
+  };
+
+  for (let epoch = 0; epoch < settings.epochs; epoch++) {
+    const learningRate = settings.learningRate * (1 - epoch / settings.epochs);
+    loss = 0;
+
+    // Shuffle (Fisher-Yates)
+    for (let i = order.length - 1; i > 0; i--) {
+      const j = Math.floor(random() * (i + 1));
+      [order[i], order[j]] = [order[j], order[i]];
+    }
+
+    let steps = 0;
+    order.forEach(index => {
+      const example = examples[index];
+      const targets = [...example.values];
+      if (random() < settings.categoryRate) targets.push(...example.categories);
+      if (targets.length === 0) targets.push(...example.categories);
+
+      targets.forEach(label => {
+        step(buckets[index], labelIndex.get(label), learningRate);
+        steps++;
+      });
+    });
+
+    if (epoch % 10 === 0 || epoch === settings.epochs - 1) {
+      console.log(`epoch ${epoch + 1}/${settings.epochs}: loss ${(loss / steps).toFixed(4)}`);
+    }
+  }
+
+  return rows;
+}
+
+/**
+ * int8 rows with one float scale each (see subword-embeddings.js for the layout)
+ */
+function serialize(rows) {
+  const { dimension } = settings;
+  const stored = [...rows.entries()].filter(([, row]) => row.some(value => value !== 0));
+  const buffer = new ArrayBuffer(20 + stored.length * (8 + dimension));
+  const view = new DataView(buffer);
+
+  [...SubwordEmbeddingModel.magic].forEach((char, index) => view.setUint8(index, char.charCodeAt(0)));
+  view.setUint16(4, SubwordEmbeddingModel.version, true);
+  view.setUint16(6, dimension, true);
+  view.setUint32(8, settings.buckets, true);
+  view.setUint8(12, settings.minN);
+  view.setUint8(13, settings.maxN);
+  view.setUint32(16, stored.length, true);
+
+  let offset = 20;
+  stored.sort(([a], [b]) => a - b).forEach(([bucket, row]) => {
+    const scale = Math.max(...row.map(Math.abs)) / 127;
+    view.setUint32(offset, bucket, true);
+    view.setFloat32(offset + 4, scale, true);
+    row.forEach((value, index) => view.setInt8(offset + 8 + index, Math.round(value / scale)));
+    offset += 8 + dimension;
+  });
+
+  return buffer;
+}
+
+/**
+ * Nearest training words for a few probes, as a sanity check of the written file
+ */
+function report(buffer, examples, probes) {
+  const model = SubwordEmbeddingModel.parse(buffer);
+  const vectors = examples.map(example => ({ word: example.word, ...model.getWordVector(example.word) }));
+  const similarity = (a, b) => a.reduce((sum, value, index) => sum + value * b[index], 0);
+
+  probes.forEach(probe => {
+    const { vector, coverage } = model.getWordVector(probe);
+    const nearest = vectors
+      .filter(entry => entry.word !== probe)
+      .map(entry => ({ word: entry.word, score: similarity(vector, entry.vector) }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, 5)
+      .map(entry => `${entry.word} ${entry.score.toFixed(2)}`);
+    console.log(`${probe} (coverage ${coverage.toFixed(2)}): ${nearest.join(', ')}`);
+  });
+}
+
+const locales = new LocaleSupport();
+const facets = new FacetExtractor(buildVocabulary(), locales);
+const examples = buildExamples(locales, facets);
+console.log(`Training on ${examples.length} words`);
+
+const buffer = serialize(train(examples));
+fs.mkdirSync(path.dirname(settings.output), { recursive: true });
+fs.writeFileSync(settings.output, Buffer.from(buffer));
+console.log(`Wrote ${path.relative(process.cwd(), settings.output)} (${(buffer.byteLength / 1024).toFixed(0)} KB)`);
+
+report(buffer, examples, ['loafers', 'chelsea', 'lederstiefel', 'winterstiefel', 'laufschuhe', 'sneakers', 'white', 'weiß', 'parkas']);
@@ -4,9 +4,21 @@
  */
 
 class VectorProductSearch {
-  constructor() {
+  constructor(options = {}) {
     this.products = [];
+    this.siteAdapters = options.siteAdapters || new SiteAdapterRegistry();
+    this.domTraversal = options.domTraversal || new DOMTraversal();
+    this.structuredData = new StructuredDataExtractor();
+    this.locales = options.localeSupport || new LocaleSupport();
+    this.priceParser = new PriceParser({ localeSupport: this.locales });
+    this.productIdentity = new ProductIdentity();
+    this.facets = options.facetExtractor || new FacetExtractor(FacetExtractor.getDefaultVocabulary(), this.locales);
+    this.imageAnalyzer = options.imageAnalyzer || new ProductImageAnalyzer();
+    this.elementLocator = new ElementLocator(this.productIdentity, this.domTraversal);
+    this.crawler = new PaginationCrawler(this);
     this.embeddings = new Map();
+    // Any EmbeddingProvider-like object with embed(texts); the content script shares the RAG system's
+    this.embedder = options.embedder || new LightweightEmbeddingProvider({ facetExtractor: this.facets, localeSupport: this.locales });
     this.dbName = 'ProductVectorDB';
     this.dbVersion = 1;
     this.db = null;
@@ -52,12 +64,19 @@ class VectorProductSearch {
   }
 
   /**
-   * Capture all products from DOM (with fake scrolling animation for UX)
+   * Capture all products from DOM, reporting real progress per stage
+   *
+   * Progress events: { stage: 'scanning' | 'crawling' | 'images' | 'indexing', completed, total, productsExtracted }
+   * Pass an AbortSignal to stop scanning and storage early (rejects with AbortError)
+   * Pass crawl: { maxPages } to also index the following result pages
    */
-  async captureAllProducts(onProgress) {
+  async captureAllProducts(options = {}) {
+    // Older callers pass the progress callback directly
+    const { onProgress, signal, crawl } = typeof options === 'function' ? { onProgress: options } : options;
+
     if (this.isScrolling) {
       console.log('⚠️ Already capturing');
-      return;
+      return [];
     }
 
     this.isScrolling = true;
@@ -65,17 +84,39 @@ class VectorProductSearch {
     try {
       // Wait for initial page load
       await this.waitForProducts();
+      signal?.throwIfAborted();
 
-      // Extract all products from DOM immediately
+      // Extract all products from DOM
       console.log('📸 Capturing all products from DOM...');
-      const allProducts = this.captureAllProductsFromDOM();
+      const domProducts = await this.captureAllProductsFromDOM({ onProgress, signal });
+      const allProducts = this.enrichWithStructuredData(domProducts);
+      allProducts.forEach((product, position) => {
+        product.pageNumber = 1;
+        product.pagePosition = position;
+      });
       console.log(`✅ Found ${allProducts.length} products on page`);
 
-      // Fake progress animation for better UX
-      await this.simulateProgressAnimation(allProducts.length, onProgress);
+      // Opt-in: walk the rest of the result set
+      if (crawl) {
+        const crawledProducts = await this.crawler.crawl({
+          adapter: this.siteAdapters.getAdapter(window.location.hostname),
+          maxPages: crawl.maxPages,
+          capturedElements: new Set(allProducts.map(product => product.element)),
+          signal,
+          onProgress: (progress) => onProgress?.({
+            ...progress,
+            productsExtracted: allProducts.length + progress.productsExtracted
+          })
+        });
+        allProducts.push(...crawledProducts);
+        console.log(`✅ Crawl added ${crawledProducts.length} products (${allProducts.length} total)`);
+      }
+
+      // Dominant image colours, for colour queries the title doesn't answer
+      await this.imageAnalyzer.annotateProducts(allProducts, { signal, onProgress });
 
       // Store products in database
-      await this.storeProducts(allProducts);
+      await this.storeProducts(allProducts, { onProgress, signal });
 
       return allProducts;
 
@@ -85,127 +126,183 @@ class VectorProductSearch {
   }
 
   /**
-   * Extract all products from the entire DOM at once
+   * Extract all products from the entire DOM
+   * Yields to the event loop between batches so progress renders and aborts take effect
    */
-  captureAllProductsFromDOM() {
+  async captureAllProductsFromDOM({ onProgress, signal, batchSize = 50 } = {}) {
     const products = [];
-    const seenElements = new Set();
-
-    // Debug: Let's see what's actually on the page
-    console.log('🔍 DEBUG: Analyzing page structure...');
-    console.log('  Articles found:', document.querySelectorAll('article').length);
-    console.log('  Links found:', document.querySelectorAll('a[href*="/"]').length);
-    console.log('  Divs with classes:', document.querySelectorAll('div[class]').length);
 
-    // Simple selectors that work
-    const productSelectors = [
-      'article', // Zalando uses article tags for products
-      'a[href*="/"][class]' // Product links
-    ];
+    // Card and field selectors come from the site adapter for this domain
+    const adapter = this.siteAdapters.getAdapter(window.location.hostname);
+    const productSelectors = adapter.cardSelectors;
 
-    console.log(`🔍 Extracting products using ${productSelectors.length} selectors...`);
+    console.log(`🔍 Extracting products with "${adapter.id}" adapter using ${productSelectors.length} selectors...`);
 
+    // Collect candidates up front so the total is known
+    const candidates = new Set();
     productSelectors.forEach(selector => {
       try {
-        const elements = document.querySelectorAll(selector);
+        const elements = this.domTraversal.querySelectorAll(selector);
         if (elements.length > 0) {
           console.log(`  Found ${elements.length} elements with selector: ${selector}`);
         }
-
-        elements.forEach(element => {
-          // Skip if already processed
-          if (seenElements.has(element)) return;
-
-          // Skip if element is too small or hidden
-          const rect = element.getBoundingClientRect();
-          if (rect.width < 50 || rect.height < 50) return;
-
-          seenElements.add(element);
-
-          const productData = this.extractProductData(element);
-          if (productData && productData.text && productData.text.length > 20) {
-            console.log(`  ✅ Captured product: ${productData.text.substring(0, 50)}...`);
-
-            // Store product data without the DOM element (for IndexedDB)
-            const storeableProduct = {
-              title: productData.title,
-              price: productData.price,
-              description: productData.description,
-              brand: productData.brand,
-              image: productData.image,
-              link: productData.link,
-              text: productData.text,
-              htmlContent: productData.htmlContent,
-              timestamp: Date.now(),
-              domain: window.location.hostname,
-              url: window.location.href,
-              // Store element selector info for later retrieval
-              elementTag: element.tagName,
-              elementClasses: element.className,
-              elementIndex: Array.from(element.parentNode?.children || []).indexOf(element)
-            };
-
-            products.push({
-              ...storeableProduct,
-              element: element // Keep element reference for immediate use
-            });
-          }
-        });
+        elements.forEach(element => candidates.add(element));
       } catch (error) {
         console.error(`Error with selector ${selector}:`, error);
       }
     });
 
+    const elements = Array.from(candidates);
+
+    for (let i = 0; i < elements.length; i++) {
+      const product = this.buildProductRecord(elements[i], adapter);
+      if (product) {
+        console.log(`  ✅ Captured product: ${product.text.substring(0, 50)}...`);
+        products.push(product);
+      }
+
+      const scanned = i + 1;
+      if (scanned % batchSize === 0 || scanned === elements.length) {
+        onProgress?.({
+          stage: 'scanning',
+          completed: scanned,
+          total: elements.length,
+          productsExtracted: products.length
+        });
+        await this.wait(0);
+        signal?.throwIfAborted();
+      }
+    }
+
     return products;
   }
 
   /**
-   * Simulate progress animation for better UX
+   * Capture products from specific card elements (used for incremental capture)
    */
-  async simulateProgressAnimation(totalProducts, onProgress) {
-    const steps = 10;
-    const stepDelay = 100; // ms
-
-    for (let i = 0; i <= steps; i++) {
-      const percentage = Math.round((i / steps) * 100);
-      const productsShown = Math.round((i / steps) * totalProducts);
-
-      if (onProgress) {
-        onProgress({
-          captured: productsShown,
-          scrollPosition: 0,
-          totalHeight: 100,
-          percentage: percentage
-        });
-      }
+  async captureProductsFromElements(elements) {
+    const adapter = this.siteAdapters.getAdapter(window.location.hostname);
+    const products = elements
+      .map(element => this.buildProductRecord(element, adapter))
+      .filter(Boolean);
+
+    const enriched = this.enrichWithStructuredData(products, elements);
+    return this.imageAnalyzer.annotateProducts(enriched);
+  }
 
-      await this.wait(stepDelay);
+  /**
+   * Turn a card element into a product record, or null if it is not a product
+   */
+  buildProductRecord(element, adapter, { skipLayoutCheck = false, pageUrl = window.location.href } = {}) {
+    // Skip if element is too small or hidden (fetched pages have no layout)
+    if (!skipLayoutCheck) {
+      const rect = element.getBoundingClientRect();
+      if (rect.width < 50 || rect.height < 50) return null;
     }
+
+    // Let the adapter reject non-product containers
+    if (adapter.isProductCard && !adapter.isProductCard(element)) return null;
+
+    const productData = this.extractProductData(element, adapter);
+    if (!productData || !productData.text || productData.text.length <= 20) return null;
+
+    // Store product data without the DOM element (for IndexedDB)
+    const storeableProduct = {
+      title: productData.title,
+      price: productData.price,
+      priceAmount: productData.priceAmount,
+      currency: productData.currency,
+      priceKind: productData.priceKind,
+      originalPriceAmount: productData.originalPriceAmount,
+      description: productData.description,
+      brand: productData.brand,
+      image: productData.image,
+      imageAlt: productData.imageAlt,
+      link: productData.link,
+      text: productData.text,
+      htmlContent: productData.htmlContent,
+      sku: productData.sku,
+      gtin: productData.gtin,
+      adapterId: adapter.id,
+      timestamp: Date.now(),
+      domain: window.location.hostname,
+      url: pageUrl,
+      // Store element selector info for later retrieval (fetched pages have no live element)
+      locator: !skipLayoutCheck
+        ? this.elementLocator.createLocator(element, {
+          cardSelector: adapter.cardSelectors.join(', '),
+          link: productData.link,
+          image: productData.image
+        })
+        : null,
+      elementTag: element.tagName,
+      elementClasses: element.className,
+      elementIndex: Array.from(element.parentNode?.children || []).indexOf(element)
+    };
+
+    return {
+      ...storeableProduct,
+      element: element // Keep element reference for immediate use
+    };
   }
 
+  /**
+   * Merge schema.org data (JSON-LD, microdata, Open Graph) into scraped products
+   * When scopeElements is given, only records describing those cards are merged
+   */
+  enrichWithStructuredData(products, scopeElements = null) {
+    try {
+      const adapter = this.siteAdapters.getAdapter(window.location.hostname);
+      let records = this.structuredData.extractAll(document);
+      if (records.length === 0) return products;
+
+      this.structuredData.linkRecordsToElements(records, adapter.cardSelectors, document);
+
+      if (scopeElements) {
+        records = records.filter(record => record.element &&
+          scopeElements.some(element => element === record.element || element.contains(record.element)));
+      }
+      const merged = this.structuredData.mergeIntoProducts(products, records);
+
+      // Products added from structured data need a locator too
+      merged.slice(products.length).forEach(product => {
+        product.locator = this.elementLocator.createLocator(product.element, {
+          cardSelector: adapter.cardSelectors.join(', '),
+          link: product.link,
+          image: product.image
+        });
+      });
+
+      console.log(`🏷️ Structured data enriched ${records.filter(r => r.element).length} products (${merged.length - products.length} added)`);
+      return merged;
+    } catch (error) {
+      console.error('❌ Structured data extraction failed:', error);
+      return products;
+    }
+  }
 
   /**
    * Extract structured data from a product element
    */
-  extractProductData(element) {
-    // Extract text content - Zalando specific and generic selectors
-    const title = element.querySelector('h2, h3, h4, [class*="title"], [class*="name"], [class*="articleName"]')?.textContent?.trim() || '';
-    const price = this.extractPrice(element);
-    const description = element.querySelector('[class*="description"], p')?.textContent?.trim() || '';
+  extractProductData(element, adapter = this.siteAdapters.getAdapter(window.location.hostname)) {
+    const fields = adapter.fields || {};
 
-    // Brand extraction for Zalando
-    const brand = element.querySelector('[class*="brand"], [class*="manufacturer"], h3, span[class*="brand"]')?.textContent?.trim() ||
-                  element.querySelector('h3')?.textContent?.trim() || '';
+    const title = this.queryFieldText(element, fields.title);
+    const priceInfo = this.extractPrice(element, fields.price);
+    const price = priceInfo.price;
+    const description = this.queryFieldText(element, fields.description);
+    const brand = this.queryFieldText(element, fields.brand);
 
     // Extract all text from the element if specific selectors fail
     const fullText = element.textContent?.trim() || '';
 
-    // Extract image
-    const img = element.querySelector('img');
-    const image = img?.src || img?.dataset?.src || '';
+    // Extract image (best srcset candidate) and its alt text
+    const img = fields.image ? element.querySelector(fields.image) : null;
+    const { image, imageAlt } = this.imageAnalyzer.getImageInfo(img);
 
-    // Extract link
-    const link = element.querySelector('a')?.href || element.closest('a')?.href || '';
+    // Extract link (the card itself may be the anchor)
+    const linkElement = (fields.link && element.querySelector(fields.link)) || element.closest('a');
+    const link = linkElement?.href || '';
 
     // Combine all text for embedding - use full text if specific fields are empty
     const text = (title || brand || description || price)
@@ -215,176 +312,48 @@ class VectorProductSearch {
     // Only return if we have meaningful content
     if (!text || text.length < 10) return null;
 
-    return {
+    const productData = {
       element: element,
       title,
-      price,
+      ...priceInfo,
       description,
       brand,
       image,
+      imageAlt,
       link,
       text,
       htmlContent: element.outerHTML.substring(0, 1000) // Store limited HTML
     };
-  }
-
-  /**
-   * Extract price from element
-   */
-  extractPrice(element) {
-    const pricePatterns = [
-      /[\$€£]\s*\d+(?:[.,]\d{2})?/,
-      /\d+(?:[.,]\d{2})?\s*[\$€£]/
-    ];
-
-    const text = element.textContent || '';
-    for (const pattern of pricePatterns) {
-      const match = text.match(pattern);
-      if (match) return match[0];
-    }
 
-    // Look for price in specific elements
-    const priceElement = element.querySelector('[class*="price"], [data-price]');
-    if (priceElement) {
-      return priceElement.textContent?.trim() || '';
-    }
+    // SKU/ASIN/GTIN from data attributes (adapters and structured data may refine these)
+    Object.assign(productData, this.productIdentity.extractIdentifiers(element));
 
-    return '';
+    return adapter.postProcess ? adapter.postProcess(productData, element) : productData;
   }
 
   /**
-   * Generate embedding for text using semantic keyword matching
-   * Much better than hash-based approach for product search
+   * Read trimmed text of the first element matching a field selector
    */
-  generateEmbedding(text) {
-    const cleanText = text.toLowerCase();
-
-    // Define semantic categories with their keywords
-    const categories = {
-      // Colors
-      colors: ['white', 'black', 'red', 'blue', 'green', 'yellow', 'pink', 'purple', 'orange', 'brown', 'grey', 'gray', 'beige', 'navy', 'gold', 'silver'],
-
-      // Footwear
-      footwear: ['sneaker', 'sneakers', 'shoe', 'shoes', 'boot', 'boots', 'sandal', 'sandals', 'heel', 'heels', 'flat', 'flats', 'trainer', 'trainers', 'runner', 'running'],
-
-      // Clothing types
-      clothing: ['shirt', 'shirts', 'dress', 'dresses', 'pant', 'pants', 'jean', 'jeans', 'jacket', 'jackets', 'coat', 'coats', 'sweater', 'sweaters', 'hoodie', 'hoodies'],
-
-      // Materials
-      materials: ['cotton', 'leather', 'denim', 'wool', 'silk', 'polyester', 'canvas', 'suede', 'nylon', 'mesh'],
-
-      // Brands (common ones)
-      brands: ['nike', 'adidas', 'puma', 'converse', 'vans', 'new balance', 'asics', 'reebok', 'under armour', 'jordan'],
-
-      // Sizes
-      sizes: ['small', 'medium', 'large', 'xl', 'xxl', 'xs', 's', 'm', 'l'],
-
-      // Gender
-      gender: ['men', 'women', 'mens', 'womens', 'male', 'female', 'unisex'],
-
-      // Style descriptors
-      style: ['casual', 'formal', 'sport', 'athletic', 'vintage', 'classic', 'modern', 'trendy', 'comfortable', 'slim', 'loose', 'tight']
-    };
-
-    // Create embedding vector
-    const embedding = new Float32Array(200); // Smaller, more focused vector
-    let index = 0;
-
-    // Score each category based on keyword matches
-    Object.entries(categories).forEach(([category, keywords]) => {
-      let categoryScore = 0;
-      keywords.forEach(keyword => {
-        if (cleanText.includes(keyword)) {
-          categoryScore += 1;
-        }
-      });
-
-      // Normalize by category size and boost important matches
-      embedding[index] = categoryScore / Math.sqrt(keywords.length);
-      index++;
-    });
-
-    // Add exact phrase matching for better precision
-    const words = cleanText.split(/\W+/).filter(w => w.length > 2);
-
-    // Boost score for each word that appears
-    words.forEach((word, i) => {
-      if (index < embedding.length - 10) {
-        // Simple hash but with better distribution
-        const hashIndex = Math.abs(this.hashWord(word)) % 50;
-        embedding[index + hashIndex] += 0.5;
-      }
-    });
-
-    // Normalize the entire vector
-    const norm = Math.sqrt(embedding.reduce((sum, val) => sum + val * val, 0));
-    if (norm > 0) {
-      for (let i = 0; i < embedding.length; i++) {
-        embedding[i] = embedding[i] / norm;
-      }
-    }
-
-    return embedding;
+  queryFieldText(element, selector) {
+    if (!selector) return '';
+    return element.querySelector(selector)?.textContent?.trim() || '';
   }
 
   /**
-   * Generate embedding from LLM-extracted keywords
+   * Extract the sale price (and struck-through original, if any) from element
    */
-  generateKeywordEmbedding(keywords) {
-    const embedding = new Float32Array(200);
-    let index = 0;
-
-    // Map LLM categories to embedding positions
-    const categoryWeights = {
-      colors: 3.0,    // High weight for colors
-      types: 4.0,     // Highest weight for product types
-      brands: 2.0,    // Medium weight for brands
-      materials: 2.5, // Medium-high weight for materials
-      styles: 1.5,    // Lower weight for styles
-      sizes: 1.0,     // Lower weight for sizes
-      gender: 1.5,    // Lower weight for gender
-      other: 1.0      // Base weight for other keywords
-    };
-
-    // Fill embedding based on extracted keywords
-    Object.entries(keywords).forEach(([category, keywordList]) => {
-      const weight = categoryWeights[category] || 1.0;
-
-      if (keywordList && keywordList.length > 0) {
-        // Set high values for this category
-        embedding[index] = keywordList.length * weight;
-
-        // Also boost related positions
-        keywordList.forEach((keyword, i) => {
-          if (index + i + 1 < embedding.length) {
-            embedding[index + i + 1] = weight * 0.8;
-          }
-        });
-      }
-      index += 10; // Move to next category block
-    });
+  extractPrice(element, priceSelector = '[class*="price"], [data-price]') {
+    const prices = this.priceParser.parseElement(element, priceSelector);
+    const salePrice = this.priceParser.pickSalePrice(prices);
+    const originalPrice = this.priceParser.pickOriginalPrice(prices);
 
-    // Normalize the vector
-    const norm = Math.sqrt(embedding.reduce((sum, val) => sum + val * val, 0));
-    if (norm > 0) {
-      for (let i = 0; i < embedding.length; i++) {
-        embedding[i] = embedding[i] / norm;
-      }
-    }
-
-    return embedding;
-  }
-
-  /**
-   * Simple hash function for word to index mapping
-   */
-  hashWord(word) {
-    let hash = 0;
-    for (let i = 0; i < word.length; i++) {
-      hash = ((hash << 5) - hash) + word.charCodeAt(i);
-      hash = hash & hash; // Convert to 32-bit integer
-    }
-    return Math.abs(hash);
+    return {
+      price: salePrice?.raw || '',
+      priceAmount: salePrice?.amount ?? null,
+      currency: salePrice?.currency || '',
+      priceKind: salePrice?.kind || null,
+      originalPriceAmount: originalPrice?.amount ?? null
+    };
   }
 
   /**
@@ -456,45 +425,23 @@ Query: "red leather jacket for women" → {"colors":["red"],"types":["jacket"],"
    */
   fallbackKeywordExtraction(query) {
     const cleanQuery = query.toLowerCase();
-    const words = cleanQuery.split(/\W+/).filter(w => w.length > 2);
 
-    // Simple pattern matching for fallback
-    const result = {
-      colors: [],
-      types: [],
-      brands: [],
-      materials: [],
-      styles: [],
-      sizes: [],
-      gender: [],
-      other: []
-    };
+    // Facets from the shared vocabulary (in the query's language); unmatched words become "other"
+    const locale = this.locales.detectLocale(cleanQuery);
+    const facets = this.facets.extract(cleanQuery, { locale });
+    const remaining = this.facets.removeTerms(cleanQuery, facets.matches);
 
-    // Define basic patterns for each category
-    const patterns = {
-      colors: ['white', 'black', 'red', 'blue', 'green', 'yellow', 'pink', 'purple', 'orange', 'brown', 'grey', 'gray', 'beige', 'navy'],
-      types: ['sneaker', 'sneakers', 'shoe', 'shoes', 'boot', 'boots', 'sandal', 'sandals', 'heel', 'heels', 'trainer', 'trainers'],
-      brands: ['nike', 'adidas', 'puma', 'converse', 'vans', 'reebok', 'jordan'],
-      materials: ['leather', 'cotton', 'denim', 'wool', 'canvas'],
-      gender: ['men', 'women', 'mens', 'womens', 'male', 'female'],
-      styles: ['casual', 'formal', 'sport', 'athletic', 'vintage']
+    const result = {
+      colors: facets.colors,
+      types: facets.productTypes,
+      brands: facets.brands,
+      materials: facets.materials,
+      styles: facets.styles,
+      sizes: facets.sizes,
+      gender: facets.genders,
+      other: this.facets.tokenize(remaining).filter(w => w.length > 2 && !this.locales.isStopword(w, locale))
     };
 
-    // Match words against patterns
-    words.forEach(word => {
-      let matched = false;
-      Object.entries(patterns).forEach(([category, categoryWords]) => {
-        if (categoryWords.includes(word)) {
-          result[category].push(word);
-          matched = true;
-        }
-      });
-
-      if (!matched) {
-        result.other.push(word);
-      }
-    });
-
     console.log('🔄 Fallback keywords extracted:', result);
     return result;
   }
@@ -508,16 +455,19 @@ Query: "red leather jacket for women" → {"colors":["red"],"types":["jacket"],"
     // Extract keywords using LLM
     const searchKeywords = await this.extractSearchKeywords(query);
 
-    // Generate embedding for query using extracted keywords
-    const queryEmbedding = this.generateKeywordEmbedding(searchKeywords);
-
     // Get all products from database
     const products = await this.getAllProducts();
 
+    // Embed the extracted keywords and the products with the same provider
+    const keywordText = Object.values(searchKeywords).flat().join(' ') || query;
+    const [queryEmbedding] = await this.embedder.embed([keywordText], { locale: this.locales.detectLocale(query) });
+    const productEmbeddings = await this.embedder.embed(products.map(product => product.text), {
+      locale: this.locales.getPageLocale()
+    });
+
     // Calculate similarities
-    const similarities = products.map(product => {
-      const productEmbedding = this.generateEmbedding(product.text);
-      const similarity = this.cosineSimilarity(queryEmbedding, productEmbedding);
+    const similarities = products.map((product, index) => {
+      const similarity = this.cosineSimilarity(queryEmbedding, productEmbeddings[index]);
 
       return {
         ...product,
@@ -538,16 +488,35 @@ Query: "red leather jacket for women" → {"colors":["red"],"types":["jacket"],"
   }
 
   /**
-   * Store products in IndexedDB
+   * Store products in IndexedDB in a single transaction
+   * Aborting the signal rolls the whole transaction back
    */
-  async storeProducts(products) {
+  async storeProducts(products, { onProgress, signal } = {}) {
+    signal?.throwIfAborted();
+
     const transaction = this.db.transaction(['products'], 'readwrite');
     const store = transaction.objectStore('products');
+    const abortTransaction = () => transaction.abort();
+    signal?.addEventListener('abort', abortTransaction, { once: true });
 
+    let stored = 0;
     for (const product of products) {
       // Remove the DOM element before storing
       const { element, ...storeableProduct } = product;
-      await store.add(storeableProduct);
+      store.add(storeableProduct).onsuccess = () => {
+        stored++;
+        onProgress?.({ stage: 'indexing', completed: stored, total: products.length });
+      };
+    }
+
+    try {
+      await new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onabort = () => reject(signal?.aborted ? signal.reason : transaction.error);
+        transaction.onerror = () => reject(transaction.error);
+      });
+    } finally {
+      signal?.removeEventListener('abort', abortTransaction);
     }
 
     console.log(`💾 Stored ${products.length} products in database`);
@@ -586,16 +555,26 @@ Query: "red leather jacket for women" → {"colors":["red"],"types":["jacket"],"
 
   /**
    * Wait for products to be loaded on the page
+   * With minCount, waits until at least that many adapter cards are present (used by the crawler)
    */
-  async waitForProducts(maxWait = 5000) {
+  async waitForProducts(maxWait = 5000, { minCount = null } = {}) {
     const startTime = Date.now();
+    const adapter = this.siteAdapters.getAdapter(window.location.hostname);
 
     while (Date.now() - startTime < maxWait) {
-      // Check for common product indicators
-      const hasProducts = document.querySelector('article') ||
-                         document.querySelector('[class*="product"]') ||
-                         document.querySelector('[class*="item"]') ||
-                         document.querySelector('[class*="catalog"]');
+      if (minCount !== null) {
+        if (this.domTraversal.querySelectorAll(adapter.cardSelectors.join(', ')).length >= minCount) {
+          return true;
+        }
+        await this.wait(250);
+        continue;
+      }
+
+      // Check for the adapter's card selectors and common product indicators
+      const hasProducts = adapter.cardSelectors.some(selector => this.domTraversal.querySelector(selector)) ||
+                         this.domTraversal.querySelector('[class*="product"]') ||
+                         this.domTraversal.querySelector('[class*="item"]') ||
+                         this.domTraversal.querySelector('[class*="catalog"]');
 
       if (hasProducts) {
         console.log('✅ Products detected on page');